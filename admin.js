@@ -0,0 +1,126 @@
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { Telegraf } from 'telegraf';
+import Storage from './storage.js';
+import {
+  listUsers,
+  listUserItems,
+  showItem,
+  getStats,
+  deleteUserItems,
+  forgetUser,
+  resendUnpostedItems,
+} from './adminTasks.js';
+
+// Admin tool for the database selected by STORAGE_BACKEND and DB_PATH.
+// Every command prints human-readable output, or JSON with --json.
+const USAGE = `Usage: node admin.js <command> [options]
+
+Commands:
+  users                          List users with item counts
+  items <userId>                 List items of a user
+  show <guid>                    Show an item with all its fields
+  stats                          Print aggregate counts
+  delete-items <userId>          Delete items of a user and their channel posts (--type need|resource)
+  forget <userId>                Delete all items and channel posts of a user, then the user record
+  resend                         Post active items that were never published (--limit N, --dry-run)
+
+Options:
+  --json                         Print JSON instead of text`;
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    json: { type: 'boolean', default: false },
+    type: { type: 'string' },
+    limit: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+  },
+});
+const [command, target] = positionals;
+
+// Item line shared by the text output of several commands
+function formatItem(item) {
+  const posted = item.channelMessageId ? `message ${item.channelMessageId} in ${item.channel}` : 'not posted';
+  const description = (item.description || '').replace(/\s+/g, ' ').slice(0, 60);
+  return `${item.type} ${item.guid} [${item.status}] ${posted} ${item.createdAt || ''}\n  ${description}`;
+}
+
+// Text renderers per command; JSON output prints the result as is
+const formatters = {
+  users: (users) => users.length
+    ? users.map((u) => `${u.userId} ${u.name || '-'}: ${u.needs} need(s), ${u.resources} resource(s), ${u.active} active`).join('\n')
+    : 'No users',
+  items: (items) => items.length ? items.map(formatItem).join('\n') : 'No items',
+  show: (entry) => entry
+    ? `${entry.type} of user ${entry.userId}\n${JSON.stringify(entry.item, null, 2)}`
+    : 'Item not found',
+  stats: (stats) => [
+    `Users: ${stats.users}`,
+    `Items: ${stats.items} (${stats.unposted} not posted)`,
+    ...['needs', 'resources'].map((key) => {
+      const { total, ...byStatus } = stats[key];
+      const statuses = Object.entries(byStatus).map(([status, count]) => `${status} ${count}`).join(', ');
+      return `${key[0].toUpperCase()}${key.slice(1)}: ${total}${statuses ? ` (${statuses})` : ''}`;
+    }),
+  ].join('\n'),
+  'delete-items': ({ deleted, failed }) => [
+    `Deleted ${deleted.length} item(s)`,
+    ...deleted.map(formatItem),
+    ...(failed.length ? [`Failed to delete ${failed.length} item(s)`, ...failed.map(formatItem)] : []),
+  ].join('\n'),
+  forget: ({ deleted, failed, forgotten }) => [
+    `Deleted ${deleted.length} item(s)`,
+    ...deleted.map(formatItem),
+    ...(failed.length ? [`Failed to delete ${failed.length} item(s)`, ...failed.map(formatItem)] : []),
+    forgotten ? 'User record deleted' : 'User record kept, run the command again to retry',
+  ].join('\n'),
+  resend: ({ sent, failed }) => [
+    `${args['dry-run'] ? 'Would send' : 'Sent'} ${sent.length} item(s)`,
+    ...sent.map(formatItem),
+    ...(failed.length ? [`Failed to send ${failed.length} item(s)`, ...failed.map((item) => `${formatItem(item)}\n  ${item.error}`)] : []),
+  ].join('\n'),
+};
+
+if (args.help || !formatters[command]) {
+  console.log(USAGE);
+  process.exit(args.help ? 0 : 1);
+}
+if (['items', 'show', 'delete-items', 'forget'].includes(command) && !target) {
+  console.error(`Missing argument for ${command}\n\n${USAGE}`);
+  process.exit(1);
+}
+if (args.type && !['need', 'resource'].includes(args.type)) {
+  console.error(`Invalid --type: ${args.type}`);
+  process.exit(1);
+}
+
+const storage = new Storage();
+await storage.initDB();
+const telegram = new Telegraf(process.env.BOT_TOKEN).telegram;
+
+const commands = {
+  users: () => listUsers(storage),
+  items: () => listUserItems(storage, target),
+  show: () => showItem(storage, target),
+  stats: () => getStats(storage),
+  'delete-items': () => deleteUserItems({ storage, telegram, userId: target, type: args.type }),
+  forget: () => forgetUser({ storage, telegram, userId: target }),
+  resend: () => resendUnpostedItems({
+    storage,
+    telegram,
+    limit: args.limit === undefined ? Infinity : Number(args.limit),
+    dryRun: args['dry-run'],
+  }),
+};
+
+try {
+  const result = await commands[command]();
+  console.log(args.json ? JSON.stringify(result, null, 2) : formatters[command](result));
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await storage.close();
+}
@@ -0,0 +1,189 @@
+import _ from 'lodash';
+import { getItemChannel, deleteChannelPost, sendChannelPost } from './channel.js';
+import { getItemStatus, isItemActive } from './status.js';
+import { isAwaitingApproval, removeReports } from './moderation.js';
+
+const ITEM_TYPES = ['need', 'resource'];
+
+// Find an item of a user inside a transaction; records are reloaded after a failed transaction, so writes
+// that follow Telegram calls look the item up again instead of changing an object read before
+async function findUserItem(data, userId, type, guid) {
+  const user = await data.getUserData(userId);
+  return _.find(user[`${type}s`], { guid }) || null;
+}
+
+// Short item summary used in listings
+function summarizeItem(userId, type, item) {
+  return {
+    userId: String(userId),
+    type,
+    guid: item.guid,
+    status: getItemStatus(item),
+    channel: getItemChannel(item),
+    channelMessageId: item.channelMessageId ?? null,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+    description: item.description,
+  };
+}
+
+/**
+ * List users with item counts.
+ * @param {Object} storage - Storage instance.
+ * @returns {Promise<Array<{userId: string, name: string|null, needs: number, resources: number, active: number}>>}
+ */
+export async function listUsers(storage) {
+  const users = [];
+  for (const userId of await storage.listUserIds()) {
+    const user = await storage.getUserData(userId);
+    const items = [...user.needs, ...user.resources];
+    const owner = _.find(items, 'user')?.user;
+    users.push({
+      userId,
+      name: owner ? (owner.username ? `@${owner.username}` : owner.first_name || null) : null,
+      needs: user.needs.length,
+      resources: user.resources.length,
+      active: _.filter(items, isItemActive).length,
+    });
+  }
+  return users;
+}
+
+// Load an existing user record; getUserData would create a new one
+async function getExistingUser(storage, userId) {
+  if (!(await storage.listUserIds()).includes(String(userId))) throw new Error(`Unknown user: ${userId}`);
+  return storage.getUserData(userId);
+}
+
+// Items of a user, needs first
+export async function listUserItems(storage, userId) {
+  const user = await getExistingUser(storage, userId);
+  return _.flatMap(ITEM_TYPES, (type) => _.map(user[`${type}s`], (item) => summarizeItem(userId, type, item)));
+}
+
+// Full item with its owner and type, or null if no item has this guid
+export async function showItem(storage, guid) {
+  return storage.findItemByGuid(guid);
+}
+
+/**
+ * Aggregate counts over all users and items.
+ * @returns {Promise<{users: number, items: number, unposted: number, needs: Object, resources: Object}>}
+ *   needs and resources hold the total and the count per status.
+ */
+export async function getStats(storage) {
+  const entries = await storage.getAllItems();
+  const countType = (type) => {
+    const items = _.map(_.filter(entries, { type }), 'item');
+    return { total: items.length, ..._.countBy(items, getItemStatus) };
+  };
+  return {
+    users: (await storage.listUserIds()).length,
+    items: entries.length,
+    unposted: _.filter(entries, (entry) => !entry.item.channelMessageId).length,
+    needs: countType('need'),
+    resources: countType('resource'),
+  };
+}
+
+/**
+ * Delete items of a user together with their channel posts.
+ *
+ * Posts that can't be deleted are marked as deleted; items whose post can't be removed either way
+ * are kept so the command can be retried.
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - Storage instance.
+ * @param {Object} options.telegram - Telegram client.
+ * @param {number|string} options.userId - Owner of the items.
+ * @param {'need'|'resource'} [options.type] - Only delete items of this type.
+ * @returns {Promise<{deleted: Array<Object>, failed: Array<Object>}>} Summaries of deleted and kept items.
+ */
+export async function deleteUserItems({ storage, telegram, userId, type }) {
+  const user = await getExistingUser(storage, userId);
+  const deleted = [];
+  const failed = [];
+  for (const itemType of type ? [type] : ITEM_TYPES) {
+    for (const item of [...user[`${itemType}s`]]) {
+      const removed = await deleteChannelPost({ telegram, item });
+      if (!removed) {
+        failed.push(summarizeItem(userId, itemType, item));
+        continue;
+      }
+      await storage.transaction(async (data) => {
+        _.remove((await data.getUserData(userId))[`${itemType}s`], { guid: item.guid });
+      });
+      deleted.push(summarizeItem(userId, itemType, item));
+    }
+  }
+  return { deleted, failed };
+}
+
+/**
+ * Erase a user: delete all their items together with the channel posts, then the whole user record
+ * with settings, sessions and admin overrides, and the reports they made about items of others. The
+ * record is kept while some posts can't be removed, so the erasure can be retried.
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - Storage instance.
+ * @param {Object} options.telegram - Telegram client.
+ * @param {number|string} options.userId - User to erase.
+ * @returns {Promise<{deleted: Array<Object>, failed: Array<Object>, forgotten: boolean}>}
+ *   Summaries of deleted and kept items, and whether the record was removed.
+ */
+export async function forgetUser({ storage, telegram, userId }) {
+  const { deleted, failed } = await deleteUserItems({ storage, telegram, userId });
+  if (failed.length) return { deleted, failed, forgotten: false };
+  await storage.deleteUser(userId);
+  await storage.transaction(async (data) => {
+    for (const { item } of await data.getAllItems()) removeReports(item, userId);
+  });
+  return { deleted, failed, forgotten: true };
+}
+
+/**
+ * Publish active items whose channel post failed to be sent. Items waiting for approval are skipped.
+ * @param {Object} options
+ * @param {Object} options.storage - Storage instance.
+ * @param {Object} options.telegram - Telegram client.
+ * @param {number} [options.limit=Infinity] - Max items to send.
+ * @param {boolean} [options.dryRun=false] - Only list the items that would be sent.
+ * @returns {Promise<{sent: Array<Object>, failed: Array<Object>}>} Item summaries, failed ones with an error.
+ */
+export async function resendUnpostedItems({ storage, telegram, limit = Infinity, dryRun = false }) {
+  const unposted = _.filter(
+    await storage.getAllItems(),
+    ({ item }) => !item.channelMessageId && isItemActive(item) && !isAwaitingApproval(item)
+  ).slice(0, limit);
+  const sent = [];
+  const failed = [];
+  for (const { userId, type, item } of unposted) {
+    if (dryRun) {
+      sent.push(summarizeItem(userId, type, item));
+      continue;
+    }
+    let ids;
+    try {
+      ids = await sendChannelPost({ telegram, type, item });
+    } catch (err) {
+      failed.push({ ...summarizeItem(userId, type, item), error: err.response?.description || err.message });
+      continue;
+    }
+    const stored = await storage.transaction(async (data) => {
+      const current = await findUserItem(data, userId, type, item.guid);
+      if (!current) return null;
+      current.channel = getItemChannel(item);
+      Object.assign(current, ids);
+      current.updatedAt = new Date().toISOString();
+      return current;
+    });
+    if (!stored) {
+      // Deleted while it was being sent
+      await deleteChannelPost({ telegram, item: { ...item, ...ids } });
+      failed.push({ ...summarizeItem(userId, type, item), error: 'Item was deleted' });
+      continue;
+    }
+    sent.push(summarizeItem(userId, type, stored));
+  }
+  return { sent, failed };
+}
@@ -0,0 +1,194 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import _ from 'lodash';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import Storage from './storage.js';
+import {
+  listUsers,
+  listUserItems,
+  showItem,
+  getStats,
+  deleteUserItems,
+  forgetUser,
+  resendUnpostedItems,
+} from './adminTasks.js';
+
+// Telegram client double; messages listed in `undeletable` can be neither deleted nor edited
+function createFakeTelegram({ undeletable = [] } = {}) {
+  const calls = [];
+  const fail = (description) => Object.assign(new Error(description), { response: { description } });
+  let nextMessageId = 100;
+  return {
+    calls,
+    async deleteMessage(chat, msgId) {
+      calls.push(['deleteMessage', msgId]);
+      if (undeletable.includes(msgId)) throw fail("Bad Request: message can't be deleted");
+    },
+    async editMessageText(chat, msgId) {
+      calls.push(['editMessageText', msgId]);
+      throw fail('Bad Request: message to edit not found');
+    },
+    async sendMessage(chat, text) {
+      calls.push(['sendMessage', text]);
+      return { message_id: nextMessageId++ };
+    },
+    async sendPhoto(chat, fileId) {
+      calls.push(['sendPhoto', fileId]);
+      return { message_id: nextMessageId++ };
+    },
+    async sendMediaGroup(chat, media) {
+      calls.push(['sendMediaGroup', media.map((file) => file.media)]);
+      return media.map(() => ({ message_id: nextMessageId++ }));
+    },
+  };
+}
+
+describe('adminTasks', () => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-test-'));
+    storage = new Storage({ backend: 'lowdb', path: path.join(dir, 'db.json') });
+    await storage.initDB();
+    Object.assign(await storage.getUserData(1), {
+      needs: [
+        { guid: 'a', description: 'Drill', channelMessageId: 10, user: { id: 1, username: 'alice' } },
+        { guid: 'b', description: 'Ladder', channelMessageId: null, status: 'open', user: { id: 1 } },
+      ],
+    });
+    Object.assign(await storage.getUserData(2), {
+      resources: [
+        { guid: 'c', description: 'Bike', channelMessageId: 12, status: 'satisfied', user: { id: 2, first_name: 'Bob' } },
+        { guid: 'd', description: 'Tent', channelMessageId: null, status: 'withdrawn', user: { id: 2 } },
+      ],
+    });
+    await storage.writeDB();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('lists users with item counts', async () => {
+    assert.deepStrictEqual(_.sortBy(await listUsers(storage), 'userId'), [
+      { userId: '1', name: '@alice', needs: 2, resources: 0, active: 2 },
+      { userId: '2', name: 'Bob', needs: 0, resources: 2, active: 0 },
+    ]);
+  });
+
+  it('lists items of a user and rejects unknown users', async () => {
+    const items = await listUserItems(storage, 1);
+    assert.deepStrictEqual(items.map((item) => [item.type, item.guid, item.status]), [['need', 'a', 'open'], ['need', 'b', 'open']]);
+    await assert.rejects(listUserItems(storage, 3), /Unknown user: 3/);
+    assert.deepStrictEqual((await storage.listUserIds()).sort(), ['1', '2']);
+  });
+
+  it('shows an item by guid', async () => {
+    const entry = await showItem(storage, 'c');
+    assert.strictEqual(entry.userId, '2');
+    assert.strictEqual(entry.item.description, 'Bike');
+    assert.strictEqual(await showItem(storage, 'zzz'), null);
+  });
+
+  it('counts users and items by status', async () => {
+    assert.deepStrictEqual(await getStats(storage), {
+      users: 2,
+      items: 4,
+      unposted: 2,
+      needs: { total: 2, open: 2 },
+      resources: { total: 2, satisfied: 1, withdrawn: 1 },
+    });
+  });
+
+  it('deletes items with their channel posts and keeps the ones that could not be removed', async () => {
+    const telegram = createFakeTelegram({ undeletable: [10] });
+    const { deleted, failed } = await deleteUserItems({ storage, telegram, userId: 1 });
+    assert.deepStrictEqual(deleted.map((item) => item.guid), ['b']);
+    assert.deepStrictEqual(failed.map((item) => item.guid), ['a']);
+    assert.deepStrictEqual((await storage.getUserData(1)).needs.map((item) => item.guid), ['a']);
+  });
+
+  it('deletes only items of the given type', async () => {
+    const telegram = createFakeTelegram();
+    await deleteUserItems({ storage, telegram, userId: 2, type: 'need' });
+    assert.deepStrictEqual(telegram.calls, []);
+    assert.strictEqual((await storage.getUserData(2)).resources.length, 2);
+  });
+
+  it('forgets a user once all their posts are removed', async () => {
+    const kept = await forgetUser({ storage, telegram: createFakeTelegram({ undeletable: [10] }), userId: 1 });
+    assert.strictEqual(kept.forgotten, false);
+    assert.ok((await storage.listUserIds()).includes('1'));
+
+    const { deleted, forgotten } = await forgetUser({ storage, telegram: createFakeTelegram(), userId: 1 });
+    assert.deepStrictEqual(deleted.map((item) => item.guid), ['a']);
+    assert.strictEqual(forgotten, true);
+    assert.deepStrictEqual(await storage.listUserIds(), ['2']);
+  });
+
+  it('drops the reports of a forgotten user', async () => {
+    await storage.transaction(async (data) => {
+      const [bike] = (await data.getUserData(2)).resources;
+      bike.moderation = { state: 'pending', reports: [{ reporterId: '1', reason: 'spam' }, { reporterId: '3' }] };
+    });
+    await forgetUser({ storage, telegram: createFakeTelegram(), userId: 1 });
+    await storage.readDB();
+    assert.deepStrictEqual((await storage.getUserData(2)).resources[0].moderation.reports, [{ reporterId: '3' }]);
+  });
+
+  it('resends active items that were never posted', async () => {
+    const telegram = createFakeTelegram();
+    const dryRun = await resendUnpostedItems({ storage, telegram, dryRun: true });
+    assert.deepStrictEqual(dryRun.sent.map((item) => item.guid), ['b']);
+    assert.deepStrictEqual(telegram.calls, []);
+
+    const { sent, failed } = await resendUnpostedItems({ storage, telegram });
+    assert.deepStrictEqual(sent.map((item) => [item.guid, item.channelMessageId]), [['b', 100]]);
+    assert.deepStrictEqual(failed, []);
+    assert.strictEqual((await showItem(storage, 'b')).item.channelMessageId, 100);
+    assert.strictEqual((await showItem(storage, 'd')).item.channelMessageId, null);
+  });
+
+  it('keeps the channel IDs of resent items when stored data is reloaded meanwhile', async () => {
+    const telegram = createFakeTelegram();
+    const { sendMessage } = telegram;
+    // A failed transaction reloads the records, as if one had failed while the post was being sent
+    telegram.sendMessage = async (...args) => {
+      await storage.readDB();
+      return sendMessage(...args);
+    };
+    await resendUnpostedItems({ storage, telegram });
+    await storage.readDB();
+    assert.strictEqual((await showItem(storage, 'b')).item.channelMessageId, 100);
+  });
+
+  it('deletes every message of an album', async () => {
+    const telegram = createFakeTelegram();
+    (await showItem(storage, 'c')).item.albumMessageIds = [12, 13, 14];
+    await storage.writeDB();
+    await deleteUserItems({ storage, telegram, userId: 2 });
+    assert.deepStrictEqual(telegram.calls.map(([, msgId]) => msgId), [13, 14, 12]);
+  });
+
+  it('resends albums as media groups', async () => {
+    const telegram = createFakeTelegram();
+    (await showItem(storage, 'b')).item.media = [{ type: 'photo', fileId: 'p' }, { type: 'video', fileId: 'v' }];
+    await storage.writeDB();
+    await resendUnpostedItems({ storage, telegram });
+    assert.deepStrictEqual(telegram.calls, [['sendMediaGroup', ['p', 'v']]]);
+    const { item } = await showItem(storage, 'b');
+    assert.strictEqual(item.channelMessageId, 100);
+    assert.deepStrictEqual(item.albumMessageIds, [100, 101]);
+  });
+
+  it('does not resend items waiting for moderation', async () => {
+    (await showItem(storage, 'b')).item.moderation = { state: 'pending', reports: [] };
+    await storage.writeDB();
+    const { sent } = await resendUnpostedItems({ storage, telegram: createFakeTelegram() });
+    assert.deepStrictEqual(sent, []);
+  });
+});
@@ -0,0 +1,161 @@
+import _ from 'lodash';
+import { parseCsv, detectCsvDelimiter } from './csv.js';
+import { extractHashtags, matchHashtagCategories, resolveItemCategories } from './categories.js';
+
+/**
+ * Bulk import of needs and resources from a CSV or JSON file.
+ *
+ * CSV files have a header line naming the columns, JSON files hold an array of objects (or { items }):
+ * - type: need or resource, required;
+ * - description: text of the post, required;
+ * - category: category ID, label or alias, optional; several are separated by spaces, commas or semicolons;
+ * - image: URL or Telegram file ID of a photo, optional.
+ * Other columns are ignored. Rows are numbered as in a spreadsheet (the header is row 1) or from 1 in JSON.
+ */
+
+export const IMPORT_COLUMNS = ['type', 'description', 'category', 'image'];
+// Most rows in one file; bulk quotas are usually lower
+export const MAX_IMPORT_ROWS = 200;
+// Longest description of a text post and of a photo caption, leaving room for the mention and hashtags
+export const MAX_DESCRIPTION_LENGTH = 3500;
+export const MAX_CAPTION_LENGTH = 900;
+
+const TYPES = { need: 'need', needs: 'need', resource: 'resource', resources: 'resource' };
+
+// Whether a file name or MIME type looks like a supported import file
+export function isImportFile({ fileName = '', mimeType = '' } = {}) {
+  return /\.(csv|json)$/i.test(fileName) || ['text/csv', 'application/json'].includes(mimeType);
+}
+
+/**
+ * Parse an import file into rows.
+ * @param {string} text - File content.
+ * @param {Object} [options]
+ * @param {string} [options.fileName=''] - Name of the file; JSON is also detected by content.
+ * @returns {Array<{row: number, type, description, category, image}>} Rows with raw string values.
+ * @throws {Error} When the file can't be parsed, has no type or description column, or has too many rows.
+ */
+export function parseImportFile(text, { fileName = '' } = {}) {
+  const content = String(text).replace(/^\uFEFF/, '');
+  let rows;
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(content)) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+    const list = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(list)) throw new Error('Invalid JSON: expected an array of items');
+    rows = list.map((entry, index) => ({
+      row: index + 1,
+      ..._.mapValues(_.pick(_.isPlainObject(entry) ? entry : {}, IMPORT_COLUMNS), (value) => (
+        Array.isArray(value) ? value.join(' ') : _.toString(value)
+      )),
+      ...(_.isPlainObject(entry) && Array.isArray(entry.categories) ? { category: entry.categories.join(' ') } : {}),
+    }));
+  } else {
+    const [header = [], ...records] = parseCsv(content, { delimiter: detectCsvDelimiter(content) });
+    const columns = header.map((name) => name.trim().toLowerCase());
+    if (!columns.includes('type') || !columns.includes('description')) {
+      throw new Error('Invalid CSV: the header must name the type and description columns');
+    }
+    rows = records.map((fields, index) => ({
+      row: index + 2,
+      ..._.omitBy(_.pick(_.zipObject(columns, fields), IMPORT_COLUMNS), _.isUndefined),
+    }));
+  }
+  if (rows.length > MAX_IMPORT_ROWS) throw new Error(`Too many rows: ${rows.length}, at most ${MAX_IMPORT_ROWS}`);
+  return rows;
+}
+
+// Whether a value is a photo URL or a Telegram file ID
+function isImage(value) {
+  return /^https?:\/\/\S+$/i.test(value) || /^[\w-]{20,}$/.test(value);
+}
+
+/**
+ * Validate parsed rows and turn them into item drafts.
+ * @param {Array<Object>} rows - Rows from parseImportFile.
+ * @param {Object} options
+ * @param {Array<Object>} options.categories - Category taxonomy.
+ * @param {Function} [options.isDuplicate] - (type, description) => boolean, e.g. a repost of an active item.
+ * @returns {{items: Array<Object>, errors: Array<{row: number, error: string, value: string}>}}
+ *   Items as { row, type, description, categories, tags, image }; errors name the problem of skipped rows:
+ *   type, description, descriptionTooLong, category, image or duplicate.
+ */
+export function prepareImport(rows, { categories, isDuplicate = () => false }) {
+  const items = [];
+  const errors = [];
+  const seen = new Set();
+  for (const { row, type: rawType = '', description: rawDescription = '', category = '', image = '' } of rows) {
+    const type = TYPES[rawType.trim().toLowerCase()];
+    const description = rawDescription.trim();
+    const imageRef = image.trim();
+    const names = _.compact(category.split(/[\s,;]+/).map((name) => name.replace(/^#/, '').toLowerCase()));
+    const unknown = _.find(names, (name) => !matchHashtagCategories(categories, [name]).length);
+    const key = `${type}:${description.toLowerCase()}`;
+    let error = null;
+    if (!type) error = { error: 'type', value: rawType };
+    else if (!description) error = { error: 'description', value: '' };
+    else if (description.length > (imageRef ? MAX_CAPTION_LENGTH : MAX_DESCRIPTION_LENGTH)) {
+      error = { error: 'descriptionTooLong', value: String(description.length) };
+    } else if (unknown) error = { error: 'category', value: unknown };
+    else if (imageRef && !isImage(imageRef)) error = { error: 'image', value: imageRef };
+    else if (seen.has(key) || isDuplicate(type, description)) error = { error: 'duplicate', value: '' };
+    if (error) {
+      errors.push({ row, ...error });
+      continue;
+    }
+    seen.add(key);
+    const tags = extractHashtags(description);
+    items.push(_.omitBy({
+      row,
+      type,
+      description,
+      categories: _.uniq([...matchHashtagCategories(categories, names), ...resolveItemCategories(categories, { tags })]),
+      tags,
+      image: imageRef || undefined,
+    }, _.isUndefined));
+  }
+  return { items, errors };
+}
+
+// Seconds Telegram asks to wait after a 429 Too Many Requests error, or null for other errors
+export function getRetryAfter(err) {
+  const retryAfter = err?.response?.parameters?.retry_after ?? err?.parameters?.retry_after;
+  return Number.isFinite(retryAfter) ? retryAfter : null;
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run tasks one by one with a pause between them, waiting as long as Telegram asks and retrying
+ * when it answers 429 Too Many Requests. Other errors fail the task and the next one runs.
+ * @param {Array<Function>} tasks - Async functions.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=3000] - Pause between tasks.
+ * @param {number} [options.maxRetries=3] - Retries of a rate-limited task.
+ * @param {Function} [options.sleep] - async (ms) => void, for tests.
+ * @returns {Promise<Array<{ok: boolean, value?: *, error?: Error}>>} Results in task order.
+ */
+export async function runPaced(tasks, { intervalMs = 3000, maxRetries = 3, sleep = delay } = {}) {
+  const results = [];
+  for (const [index, task] of tasks.entries()) {
+    if (index > 0) await sleep(intervalMs);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        results.push({ ok: true, value: await task() });
+        break;
+      } catch (err) {
+        const retryAfter = getRetryAfter(err);
+        if (retryAfter === null || attempt >= maxRetries) {
+          results.push({ ok: false, error: err });
+          break;
+        }
+        await sleep(retryAfter * 1000);
+      }
+    }
+  }
+  return results;
+}
@@ -0,0 +1,130 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import {
+  MAX_IMPORT_ROWS,
+  MAX_CAPTION_LENGTH,
+  isImportFile,
+  parseImportFile,
+  prepareImport,
+  getRetryAfter,
+  runPaced,
+} from './bulkImport.js';
+
+const categories = [
+  { id: 'tools', labels: { en: 'Tools', ru: 'Инструменты' }, aliases: ['drill'] },
+  { id: 'food', labels: { en: 'Food' } },
+];
+
+describe('isImportFile', () => {
+  it('accepts CSV and JSON files', () => {
+    assert.strictEqual(isImportFile({ fileName: 'items.CSV' }), true);
+    assert.strictEqual(isImportFile({ fileName: 'export', mimeType: 'application/json' }), true);
+    assert.strictEqual(isImportFile({ fileName: 'photo.jpg', mimeType: 'image/jpeg' }), false);
+  });
+});
+
+describe('parseImportFile', () => {
+  it('reads CSV rows by the header, numbered as in a spreadsheet', () => {
+    const rows = parseImportFile('Type,Description,Category,Notes\nresource,"Drill, cordless",tools,x\nneed,Rice\n');
+    assert.deepStrictEqual(rows, [
+      { row: 2, type: 'resource', description: 'Drill, cordless', category: 'tools' },
+      { row: 3, type: 'need', description: 'Rice' },
+    ]);
+  });
+
+  it('reads semicolon separated CSV', () => {
+    assert.deepStrictEqual(parseImportFile('type;description\nneed;Rice'), [{ row: 2, type: 'need', description: 'Rice' }]);
+  });
+
+  it('reads JSON arrays and { items }', () => {
+    const rows = parseImportFile('[{"type":"need","description":"Rice","categories":["food"]},{"type":"resource","description":"Sofa","image":"https://example.org/sofa.jpg"}]');
+    assert.deepStrictEqual(rows, [
+      { row: 1, type: 'need', description: 'Rice', category: 'food' },
+      { row: 2, type: 'resource', description: 'Sofa', image: 'https://example.org/sofa.jpg' },
+    ]);
+    assert.deepStrictEqual(parseImportFile('{"items":[]}', { fileName: 'a.json' }), []);
+  });
+
+  it('rejects broken files', () => {
+    assert.throws(() => parseImportFile('[', { fileName: 'a.json' }), /Invalid JSON/);
+    assert.throws(() => parseImportFile('{"type":"need"}'), /expected an array/);
+    assert.throws(() => parseImportFile('name,text\na,b'), /must name the type and description columns/);
+    const many = `type,description\n${'need,x\n'.repeat(MAX_IMPORT_ROWS + 1)}`;
+    assert.throws(() => parseImportFile(many), /Too many rows/);
+  });
+});
+
+describe('prepareImport', () => {
+  it('turns valid rows into items with categories', () => {
+    const { items, errors } = prepareImport([
+      { row: 2, type: 'Resources', description: ' Cordless drill #food ', category: 'Инструменты' },
+      { row: 3, type: 'need', description: 'Photo', image: 'AgACAgIAAxkBAAIBZ2Xk1234567890' },
+    ], { categories });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(items, [
+      { row: 2, type: 'resource', description: 'Cordless drill #food', categories: ['tools', 'food'], tags: ['food'] },
+      { row: 3, type: 'need', description: 'Photo', categories: [], tags: [], image: 'AgACAgIAAxkBAAIBZ2Xk1234567890' },
+    ]);
+  });
+
+  it('reports the rows it skips', () => {
+    const { items, errors } = prepareImport([
+      { row: 2, type: 'offer', description: 'x' },
+      { row: 3, type: 'need', description: ' ' },
+      { row: 4, type: 'need', description: 'x'.repeat(MAX_CAPTION_LENGTH + 1), image: 'https://example.org/a.jpg' },
+      { row: 5, type: 'need', description: 'Rice', category: 'food, toys' },
+      { row: 6, type: 'need', description: 'Rice', image: 'not an image' },
+      { row: 7, type: 'need', description: 'Rice' },
+      { row: 8, type: 'need', description: 'rice' },
+      { row: 9, type: 'need', description: 'Old post' },
+    ], { categories, isDuplicate: (type, description) => description === 'Old post' });
+    assert.deepStrictEqual(items.map((item) => item.row), [7]);
+    assert.deepStrictEqual(errors, [
+      { row: 2, error: 'type', value: 'offer' },
+      { row: 3, error: 'description', value: '' },
+      { row: 4, error: 'descriptionTooLong', value: String(MAX_CAPTION_LENGTH + 1) },
+      { row: 5, error: 'category', value: 'toys' },
+      { row: 6, error: 'image', value: 'not an image' },
+      { row: 8, error: 'duplicate', value: '' },
+      { row: 9, error: 'duplicate', value: '' },
+    ]);
+  });
+});
+
+describe('runPaced', () => {
+  const tooManyRequests = (retryAfter) => Object.assign(new Error('Too Many Requests'), {
+    response: { error_code: 429, parameters: { retry_after: retryAfter } },
+  });
+
+  it('pauses between tasks', async () => {
+    const sleeps = [];
+    const results = await runPaced([async () => 1, async () => 2], { intervalMs: 50, sleep: async (ms) => sleeps.push(ms) });
+    assert.deepStrictEqual(results, [{ ok: true, value: 1 }, { ok: true, value: 2 }]);
+    assert.deepStrictEqual(sleeps, [50]);
+  });
+
+  it('waits as long as Telegram asks and retries', async () => {
+    const sleeps = [];
+    let calls = 0;
+    const task = async () => {
+      if (++calls < 3) throw tooManyRequests(calls);
+      return 'sent';
+    };
+    const results = await runPaced([task], { sleep: async (ms) => sleeps.push(ms) });
+    assert.deepStrictEqual(results, [{ ok: true, value: 'sent' }]);
+    assert.deepStrictEqual(sleeps, [1000, 2000]);
+  });
+
+  it('fails tasks with other errors or too many retries and goes on', async () => {
+    const failure = new Error('Bad Request');
+    const results = await runPaced([
+      async () => { throw failure; },
+      async () => { throw tooManyRequests(1); },
+      async () => 'sent',
+    ], { maxRetries: 1, sleep: async () => {} });
+    assert.deepStrictEqual(results.map((result) => result.ok), [false, false, true]);
+    assert.strictEqual(results[0].error, failure);
+    assert.strictEqual(getRetryAfter(results[1].error), 1);
+    assert.strictEqual(getRetryAfter(failure), null);
+  });
+});
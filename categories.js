@@ -0,0 +1,54 @@
+import fs from 'fs';
+import _ from 'lodash';
+
+/**
+ * Category taxonomy and hashtag helpers.
+ *
+ * The taxonomy is a list of { id, labels: { [languageCode]: label }, aliases } kept in categories.json.
+ * Items store the IDs of their categories in item.categories and the hashtags typed in the description
+ * (lowercase, without '#') in item.tags.
+ */
+
+// Read a taxonomy file
+export function loadCategories(file) {
+  const categories = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  for (const category of categories) {
+    if (!/^[a-z0-9_]+$/.test(category.id || '')) throw new Error(`Invalid category ID: ${category.id}`);
+  }
+  return categories;
+}
+
+// Label of a category in the given language, falling back to English and then the ID
+export function getCategoryLabel(category, languageCode) {
+  return category.labels?.[languageCode] || category.labels?.en || category.id;
+}
+
+// Hashtags of a text, lowercase and without '#', in order of appearance
+export function extractHashtags(text) {
+  const tags = _.map(String(text || '').normalize('NFKC').match(/#[\p{L}\p{N}_]+/gu), (tag) => tag.slice(1).toLowerCase());
+  return _.uniq(tags);
+}
+
+// IDs of categories named by hashtags, by ID, label or alias
+export function matchHashtagCategories(categories, tags) {
+  const names = (category) => _.map([category.id, ...Object.values(category.labels || {}), ...(category.aliases || [])], _.toLower);
+  return _.map(_.filter(categories, (category) => _.some(names(category), (name) => tags.includes(name))), 'id');
+}
+
+/**
+ * Categories of an item: the ones picked by the user followed by the ones detected from hashtags.
+ * @param {Array<Object>} categories - Taxonomy.
+ * @param {Object} options
+ * @param {Array<string>} [options.selected=[]] - Category IDs picked by the user; unknown IDs are dropped.
+ * @param {Array<string>} [options.tags=[]] - Hashtags of the description.
+ * @returns {Array<string>} Category IDs.
+ */
+export function resolveItemCategories(categories, { selected = [], tags = [] } = {}) {
+  const known = _.map(categories, 'id');
+  return _.uniq([..._.intersection(selected, known), ...matchHashtagCategories(categories, tags)]);
+}
+
+// Category hashtags to append to a channel post, skipping the ones already typed in the description
+export function getPostHashtags(item) {
+  return _.map(_.difference(item.categories || [], item.tags || []), (id) => `#${id}`);
+}
@@ -0,0 +1,72 @@
+import assert from 'assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, it } from 'node:test';
+import {
+  loadCategories,
+  getCategoryLabel,
+  extractHashtags,
+  matchHashtagCategories,
+  resolveItemCategories,
+  getPostHashtags,
+} from './categories.js';
+
+const taxonomy = [
+  { id: 'housing', labels: { en: 'Housing', ru: 'Жильё' }, aliases: ['flat', 'квартира'] },
+  { id: 'food', labels: { en: 'Food', ru: 'Еда' }, aliases: [] },
+  { id: 'tools', labels: { en: 'Tools' } },
+];
+
+describe('loadCategories', () => {
+  it('loads the bundled taxonomy', () => {
+    const file = path.join(path.dirname(fileURLToPath(import.meta.url)), 'categories.json');
+    const categories = loadCategories(file);
+    assert.ok(categories.length > 0);
+    assert.ok(categories.every((category) => category.labels.en && category.labels.ru));
+  });
+});
+
+describe('getCategoryLabel', () => {
+  it('falls back to English and then to the ID', () => {
+    assert.strictEqual(getCategoryLabel(taxonomy[0], 'ru'), 'Жильё');
+    assert.strictEqual(getCategoryLabel(taxonomy[2], 'ru'), 'Tools');
+    assert.strictEqual(getCategoryLabel({ id: 'misc' }, 'en'), 'misc');
+  });
+});
+
+describe('extractHashtags', () => {
+  it('finds unique lowercase hashtags in any script', () => {
+    assert.deepStrictEqual(extractHashtags('Need a #Flat near #центр, #flat please'), ['flat', 'центр']);
+  });
+
+  it('returns an empty list for text without hashtags', () => {
+    assert.deepStrictEqual(extractHashtags('No tags here'), []);
+    assert.deepStrictEqual(extractHashtags(undefined), []);
+  });
+});
+
+describe('matchHashtagCategories', () => {
+  it('matches by ID, label and alias', () => {
+    assert.deepStrictEqual(matchHashtagCategories(taxonomy, ['food']), ['food']);
+    assert.deepStrictEqual(matchHashtagCategories(taxonomy, ['жильё', 'tools']), ['housing', 'tools']);
+    assert.deepStrictEqual(matchHashtagCategories(taxonomy, ['квартира']), ['housing']);
+    assert.deepStrictEqual(matchHashtagCategories(taxonomy, ['bike']), []);
+  });
+});
+
+describe('resolveItemCategories', () => {
+  it('keeps picked categories first and adds detected ones', () => {
+    assert.deepStrictEqual(resolveItemCategories(taxonomy, { selected: ['tools'], tags: ['flat', 'tools'] }), ['tools', 'housing']);
+  });
+
+  it('drops unknown picked categories', () => {
+    assert.deepStrictEqual(resolveItemCategories(taxonomy, { selected: ['gone'] }), []);
+  });
+});
+
+describe('getPostHashtags', () => {
+  it('renders categories not already typed as hashtags', () => {
+    assert.deepStrictEqual(getPostHashtags({ categories: ['housing', 'food'], tags: ['food'] }), ['#housing']);
+    assert.deepStrictEqual(getPostHashtags({}), []);
+  });
+});
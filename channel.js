@@ -0,0 +1,285 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import _ from 'lodash';
+import { buildUserMention } from './buildUserMention.js';
+import { formatEntities } from './formatEntities.js';
+import { getItemStatus } from './status.js';
+import { loadCategories, getCategoryLabel, getPostHashtags } from './categories.js';
+import { formatPlace, getMapLink } from './location.js';
+import { MEDIA_SEND_METHODS, getItemMedia, toInputMedia } from './media.js';
+import { formatDateTime } from './i18n.js';
+import { loadPostTemplates, getPostTemplates, renderChannelPost, getPostDescriptionEnd } from './postTemplates.js';
+import { getRespondLink } from './relay.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default channel where needs and resources are published, a @username or a numeric chat ID
+export const CHANNEL_USERNAME = process.env.CHANNEL_USERNAME || '@CorrelationCenter';
+// Language of channel posts, per channel in CHANNEL_LANGUAGES and CHANNEL_LANGUAGE for the others
+export const CHANNEL_LANGUAGE = process.env.CHANNEL_LANGUAGE || 'en';
+const CHANNEL_LANGUAGES = parseChannelLanguages(process.env.CHANNEL_LANGUAGES);
+// Post templates per language from the locale files, optionally overridden by CHANNEL_TEMPLATES_PATH
+const POST_TEMPLATES = loadPostTemplates(path.join(__dirname, 'locales'), process.env.CHANNEL_TEMPLATES_PATH);
+// Category labels shown in posts use the same taxonomy as the bot
+const CATEGORIES = loadCategories(process.env.CATEGORIES_PATH || path.join(__dirname, 'categories.json'));
+// Username of the bot for the "Respond" links of active posts, set once the bot knows it
+let respondBotUsername = process.env.BOT_USERNAME || null;
+
+// Set the bot username used in the "Respond" links of channel posts
+export function setBotUsername(username) {
+  respondBotUsername = username || null;
+}
+
+/**
+ * Parse channel routing rules, e.g. CHANNEL_ROUTES.
+ * @param {string} [value] - JSON like { "chats": { "<group chat ID>": "<channel>" }, "categories": { "<category>": "<channel>" } }.
+ * @returns {{chats: Object, categories: Object}} Routes, empty when not configured.
+ */
+export function parseChannelRoutes(value) {
+  if (!value) return { chats: {}, categories: {} };
+  let routes;
+  try {
+    routes = JSON.parse(value);
+  } catch (err) {
+    throw new Error(`Invalid channel routes: ${err.message}`);
+  }
+  return { chats: { ...routes.chats }, categories: { ...routes.categories } };
+}
+
+/**
+ * Parse the post languages of channels, e.g. CHANNEL_LANGUAGES.
+ * @param {string} [value] - JSON like { "<channel>": "<language>" }.
+ * @returns {Object} Languages by channel, empty when not configured.
+ */
+export function parseChannelLanguages(value) {
+  if (!value) return {};
+  try {
+    return { ...JSON.parse(value) };
+  } catch (err) {
+    throw new Error(`Invalid channel languages: ${err.message}`);
+  }
+}
+
+// Language of the posts of a channel
+export function getChannelLanguage(channel, languages = CHANNEL_LANGUAGES, fallback = CHANNEL_LANGUAGE) {
+  const configured = _.find(Object.keys(languages), (ref) => isSameChannel(ref, channel));
+  return configured ? languages[configured] : fallback;
+}
+
+// Pick the channel for a new item: by its category first, then by the group chat it came from
+export function resolveChannel({ routes, chatId, category, fallback = CHANNEL_USERNAME }) {
+  return (category && routes?.categories?.[category]) || routes?.chats?.[String(chatId)] || fallback;
+}
+
+// Default channel followed by every routed one
+export function listChannels(routes, fallback = CHANNEL_USERNAME) {
+  return _.uniq([fallback, ...Object.values(routes?.categories || {}), ...Object.values(routes?.chats || {})]);
+}
+
+// Channel an item was posted to; items posted before channels were stored went to the default one
+export function getItemChannel(item) {
+  return item.channel || CHANNEL_USERNAME;
+}
+
+// Whether two channel references (@username or chat ID) point to the same channel
+export function isSameChannel(a, b) {
+  const normalize = (ref) => String(ref).replace(/^@/, '').toLowerCase();
+  return normalize(a) === normalize(b);
+}
+
+// Whether a Telegram chat object, e.g. forward_from_chat, is the given channel
+export function isChannelChat(channel, chat) {
+  if (!chat) return false;
+  return isSameChannel(channel, chat.id) || (Boolean(chat.username) && isSameChannel(channel, chat.username));
+}
+
+// Helper function to build a public link to a channel post
+export function getChannelPostLink(msgId, channel = CHANNEL_USERNAME) {
+  const ref = String(channel);
+  // Private channels are only reachable by ID, in links without the -100 prefix
+  if (/^-100\d+$/.test(ref)) return `https://t.me/c/${ref.slice(4)}/${msgId}`;
+  return `https://t.me/${ref.replace(/^@/, '')}/${msgId}`;
+}
+
+// Link to the channel post of an item
+export function getItemPostLink(item) {
+  return getChannelPostLink(item.channelMessageId, getItemChannel(item));
+}
+
+/**
+ * Parse a link to a channel post, or a bare message ID.
+ * @param {string} text - E.g. https://t.me/CorrelationCenter/42, t.me/c/123/42 or 42.
+ * @returns {{channel: string|null, msgId: number}|null} Channel is null for a bare ID.
+ */
+export function parseChannelPostLink(text) {
+  const match = /^(?:(?:https?:\/\/)?t\.me\/(c\/)?(\w+)\/)?(\d+)$/.exec(String(text || '').trim());
+  if (!match) return null;
+  const [, isPrivate, name, msgId] = match;
+  let channel = null;
+  if (name) channel = isPrivate ? `-100${name}` : `@${name}`;
+  return { channel, msgId: parseInt(msgId, 10) };
+}
+
+/**
+ * Build channel post content for an item from the post template of the channel language.
+ * The description keeps the formatting of its entities and is escaped, closed items are struck through
+ * and the place links to a map.
+ * @param {'need'|'resource'} type - Type of the item.
+ * @param {string} description - Description of the item.
+ * @param {Object} user - Telegram user of the owner.
+ * @param {string} [status='open'] - Item status.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.hashtags=[]] - Category hashtags, e.g. ['#tools'].
+ * @param {Object} [options.location] - Place of the item.
+ * @param {Array<Object>} [options.entities] - Formatting of the description.
+ * @param {Array<string>} [options.categories=[]] - Category IDs, shown as labels.
+ * @param {string} [options.createdAt] - Creation date.
+ * @param {string} [options.updatedAt] - Date of the last change.
+ * @param {string} [options.language=CHANNEL_LANGUAGE] - Language of the templates, labels and dates.
+ * @param {boolean} [options.metadataOnly=false] - Leave out the description, for the reply to a reposted original.
+ * @param {string} [options.respondLink] - Deep link opening an anonymous conversation with the owner.
+ * @returns {string} HTML content.
+ */
+export function buildChannelContent(type, description, user, status = 'open', {
+  hashtags = [],
+  location,
+  entities,
+  categories = [],
+  createdAt,
+  updatedAt,
+  language = CHANNEL_LANGUAGE,
+  metadataOnly = false,
+  respondLink,
+} = {}) {
+  const closed = status === 'satisfied' || status === 'withdrawn';
+  const formatted = metadataOnly ? '' : formatEntities({ text: description || '', entities });
+  const escape = (text) => formatEntities({ text });
+  const formatDate = (ts) => (ts ? escape(formatDateTime(ts, { language })) : '');
+  const labels = _.compact(categories.map((id) => _.find(CATEGORIES, { id })))
+    .map((category) => getCategoryLabel(category, language));
+  const templates = getPostTemplates(POST_TEMPLATES, language);
+  return renderChannelPost(templates, type, {
+    description: closed && formatted ? `<s>${formatted}</s>` : formatted,
+    mention: buildUserMention({ user }),
+    categories: escape(labels.join(', ')),
+    hashtags: hashtags.join(' '),
+    place: location ? `<a href="${getMapLink(location)}">${escape(formatPlace(location))}</a>` : '',
+    createdAt: formatDate(createdAt),
+    updatedAt: formatDate(updatedAt),
+    respond: respondLink && !closed ? `<a href="${respondLink}">${templates.respond || ''}</a>` : '',
+  }, status);
+}
+
+// Length of the description in the text of a post forwarded back from a channel, without the footer rendered
+// from the need or resource template of the channel language; the whole text if neither matches
+export function getForwardedDescriptionLength(text, channel) {
+  const templates = getPostTemplates(POST_TEMPLATES, getChannelLanguage(channel));
+  return getPostDescriptionEnd(templates, 'need', text) ?? getPostDescriptionEnd(templates, 'resource', text) ?? text.length;
+}
+
+// Helper to build the channel post content of a stored item in the language of its channel
+export function buildItemContent(type, item, { metadataOnly = false } = {}) {
+  return buildChannelContent(type, item.description, item.user, getItemStatus(item), {
+    hashtags: getPostHashtags(item),
+    location: item.location,
+    entities: item.entities,
+    categories: item.categories,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+    language: getChannelLanguage(getItemChannel(item)),
+    metadataOnly,
+    respondLink: respondBotUsername && item.guid ? getRespondLink(respondBotUsername, item.guid) : undefined,
+  });
+}
+
+/**
+ * Publish an item as a new channel post. Albums are sent as a media group with the content
+ * as the caption of the first file.
+ * @returns {Promise<{channelMessageId: number, albumMessageIds: (Array<number>|undefined)}>} Message IDs to store on the item.
+ */
+export async function sendChannelPost({ telegram, type, item, channel = getItemChannel(item) }) {
+  const content = buildItemContent(type, { ...item, channel });
+  const media = getItemMedia(item);
+  if (media.length > 1) {
+    const messages = await telegram.sendMediaGroup(channel, media.map((file, index) => (
+      toInputMedia(file, index === 0 ? { caption: content, parse_mode: 'HTML' } : {})
+    )));
+    return { channelMessageId: messages[0].message_id, albumMessageIds: _.map(messages, 'message_id') };
+  }
+  const post = media.length
+    ? await telegram[MEDIA_SEND_METHODS[media[0].type]](channel, media[0].fileId, { caption: content, parse_mode: 'HTML' })
+    : await telegram.sendMessage(channel, content, { parse_mode: 'HTML' });
+  return { channelMessageId: post.message_id };
+}
+
+// Helper to re-render an existing channel post of an item in place
+export async function updateChannelPost({ telegram, type, item, channel = getItemChannel(item) }) {
+  // In repost mode the channel message only holds metadata
+  const content = buildItemContent(type, { ...item, channel }, { metadataOnly: Boolean(item.descriptionMessageId) });
+  try {
+    if (item.descriptionMessageId) {
+      await telegram.editMessageText(channel, item.channelMessageId, undefined, content, { parse_mode: 'HTML' });
+    } else if (getItemMedia(item).length) {
+      await telegram.editMessageCaption(channel, item.channelMessageId, undefined, content, { parse_mode: 'HTML' });
+    } else {
+      await telegram.editMessageText(channel, item.channelMessageId, undefined, content, { parse_mode: 'HTML' });
+    }
+  } catch (err) {
+    const desc = err.response?.description || '';
+    if (!/message is not modified/i.test(desc)) throw err;
+  }
+}
+
+// Helper function to encapsulate deletion or marking as deleted
+export async function deleteChannelMessage({ telegram, channel, msgId, tracing = false }) {
+  const deletedText = getPostTemplates(POST_TEMPLATES, getChannelLanguage(channel)).deleted || 'Deleted.';
+  try {
+    if (tracing) console.log(`deleteChannelMessage: deleting message ${msgId}`);
+    await telegram.deleteMessage(channel, msgId);
+    return true;
+  } catch (err) {
+    const desc = err.response?.description || err.message;
+    if (/message to delete not found/i.test(desc)) {
+      if (tracing) console.log(`deleteChannelMessage: message ${msgId} already gone`);
+      return true;
+    } else if (/message can'?t be deleted/i.test(desc)) {
+      if (tracing) console.log(`deleteChannelMessage: message ${msgId} can't be deleted, marking as deleted`);
+      let edited = false;
+      try {
+        await telegram.editMessageText(channel, msgId, undefined, deletedText);
+        edited = true;
+      } catch (editErr) {
+        const desc2 = editErr.response?.description || editErr.message;
+        if (/MESSAGE_ID_INVALID/i.test(desc2)) {
+          // fallback to editing caption
+          try {
+            await telegram.editMessageCaption(channel, msgId, undefined, deletedText);
+            edited = true;
+          } catch (editErr2) {
+            if (tracing) console.error(`deleteChannelMessage: failed to edit caption for message ${msgId}`, editErr2);
+          }
+        } else {
+          if (tracing) console.error(`deleteChannelMessage: failed to edit message ${msgId}`, editErr);
+        }
+      }
+      return edited;
+    } else {
+      if (tracing) console.error(`deleteChannelMessage: failed to delete message ${msgId}`, err);
+      return false;
+    }
+  }
+}
+
+/**
+ * Delete every channel message of an item: the post, the other files of an album and, in repost mode,
+ * the forwarded original.
+ * @returns {Promise<boolean>} Whether the post itself was deleted or marked as deleted.
+ */
+export async function deleteChannelPost({ telegram, item, channel = getItemChannel(item), tracing = false }) {
+  const extraIds = _.without(_.compact(_.uniq([item.descriptionMessageId, ...(item.albumMessageIds || [])])), item.channelMessageId);
+  for (const msgId of extraIds) {
+    await deleteChannelMessage({ telegram, channel, msgId, tracing });
+  }
+  if (!item.channelMessageId) return true;
+  return deleteChannelMessage({ telegram, channel, msgId: item.channelMessageId, tracing });
+}
@@ -0,0 +1,152 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import {
+  CHANNEL_USERNAME,
+  parseChannelRoutes,
+  resolveChannel,
+  listChannels,
+  getItemChannel,
+  isChannelChat,
+  getChannelPostLink,
+  parseChannelPostLink,
+  buildChannelContent,
+  parseChannelLanguages,
+  getChannelLanguage,
+  getForwardedDescriptionLength,
+} from './channel.js';
+
+describe('parseChannelRoutes', () => {
+  it('returns empty routes when not configured', () => {
+    assert.deepStrictEqual(parseChannelRoutes(undefined), { chats: {}, categories: {} });
+  });
+
+  it('parses chat and category routes', () => {
+    const routes = parseChannelRoutes('{"chats":{"-100":"@Local"},"categories":{"housing":"@Housing"}}');
+    assert.deepStrictEqual(routes, { chats: { '-100': '@Local' }, categories: { housing: '@Housing' } });
+  });
+
+  it('rejects invalid JSON', () => {
+    assert.throws(() => parseChannelRoutes('{'), /Invalid channel routes/);
+  });
+});
+
+describe('resolveChannel', () => {
+  const routes = { chats: { '-100': '@Local' }, categories: { housing: '@Housing' } };
+
+  it('prefers the category route', () => {
+    assert.strictEqual(resolveChannel({ routes, chatId: -100, category: 'housing' }), '@Housing');
+  });
+
+  it('routes by source group chat', () => {
+    assert.strictEqual(resolveChannel({ routes, chatId: -100, category: 'food' }), '@Local');
+  });
+
+  it('falls back to the default channel', () => {
+    assert.strictEqual(resolveChannel({ routes, chatId: 42 }), CHANNEL_USERNAME);
+    assert.strictEqual(resolveChannel({ routes: parseChannelRoutes(), chatId: 42 }), CHANNEL_USERNAME);
+  });
+
+  it('lists every configured channel once', () => {
+    assert.deepStrictEqual(listChannels({ chats: { 1: '@A', 2: '@A' }, categories: { x: '@B' } }, '@Main'), ['@Main', '@B', '@A']);
+  });
+});
+
+describe('getItemChannel', () => {
+  it('uses the stored channel or the default one', () => {
+    assert.strictEqual(getItemChannel({ channel: '@Local' }), '@Local');
+    assert.strictEqual(getItemChannel({}), CHANNEL_USERNAME);
+  });
+});
+
+describe('isChannelChat', () => {
+  it('matches by username regardless of case and by chat ID', () => {
+    assert.strictEqual(isChannelChat('@Local', { id: -1001, username: 'local' }), true);
+    assert.strictEqual(isChannelChat('-1001', { id: -1001 }), true);
+    assert.strictEqual(isChannelChat('@Local', { id: -1002, username: 'Other' }), false);
+    assert.strictEqual(isChannelChat('@Local', undefined), false);
+  });
+});
+
+describe('channel post links', () => {
+  it('builds links to public and private channels', () => {
+    assert.strictEqual(getChannelPostLink(42, '@Local'), 'https://t.me/Local/42');
+    assert.strictEqual(getChannelPostLink(42, '-1001234'), 'https://t.me/c/1234/42');
+  });
+
+  it('parses links back to the channel and message ID', () => {
+    assert.deepStrictEqual(parseChannelPostLink('https://t.me/Local/42'), { channel: '@Local', msgId: 42 });
+    assert.deepStrictEqual(parseChannelPostLink('t.me/c/1234/42'), { channel: '-1001234', msgId: 42 });
+    assert.deepStrictEqual(parseChannelPostLink('42'), { channel: null, msgId: 42 });
+    assert.strictEqual(parseChannelPostLink('hello'), null);
+    assert.strictEqual(parseChannelPostLink(undefined), null);
+  });
+});
+
+describe('channel languages', () => {
+  it('parses languages per channel', () => {
+    assert.deepStrictEqual(parseChannelLanguages(undefined), {});
+    assert.deepStrictEqual(parseChannelLanguages('{"@Local":"ru"}'), { '@Local': 'ru' });
+    assert.throws(() => parseChannelLanguages('{'), /Invalid channel languages/);
+  });
+
+  it('looks up the language of a channel', () => {
+    assert.strictEqual(getChannelLanguage('@local', { '@Local': 'ru' }, 'en'), 'ru');
+    assert.strictEqual(getChannelLanguage('@Other', { '@Local': 'ru' }, 'en'), 'en');
+  });
+});
+
+describe('buildChannelContent', () => {
+  it('appends category hashtags after the status line', () => {
+    const content = buildChannelContent('need', 'Drill', { id: 1, first_name: 'Ann' }, 'in_progress', { hashtags: ['#tools', '#housing'] });
+    assert.ok(content.endsWith('\n<b>In progress.</b>\n#tools #housing'));
+  });
+
+  it('escapes the description and keeps its formatting', () => {
+    const entities = [{ type: 'bold', offset: 0, length: 5 }];
+    const content = buildChannelContent('need', 'Drill <10mm> & bits', { id: 1, first_name: 'Ann' }, 'open', { entities });
+    assert.ok(content.startsWith('<b>Drill</b> &lt;10mm&gt; &amp; bits\n\n'));
+  });
+
+  it('links the place to a map', () => {
+    const location = { latitude: 52.52, longitude: 13.405, name: 'Berlin', source: 'text' };
+    const content = buildChannelContent('resource', 'Drill', { id: 1, first_name: 'Ann' }, 'open', { location });
+    assert.ok(content.endsWith('.</i>\n📍 <a href="https://www.openstreetmap.org/?mlat=52.52&mlon=13.405#map=12/52.52/13.405">Berlin</a>'));
+  });
+
+  it('renders the templates of the channel language', () => {
+    const content = buildChannelContent('need', 'Дрель', { id: 1, first_name: 'Ann' }, 'withdrawn', { language: 'ru' });
+    assert.ok(content.startsWith('<s>Дрель</s>\n\n<i>Потребность '));
+    assert.ok(content.endsWith('\n<b>Отозвана.</b>'));
+  });
+
+  it('leaves out the description for reposted originals', () => {
+    const content = buildChannelContent('resource', 'Drill', { id: 1, first_name: 'Ann' }, 'open', { metadataOnly: true });
+    assert.ok(content.startsWith('<i>Resource provided by '));
+  });
+  it('links active posts to an anonymous conversation with the owner', () => {
+    const respondLink = 'https://t.me/CenterBot?start=respond_a';
+    const content = buildChannelContent('need', 'Drill', { id: 1, first_name: 'Ann' }, 'open', { respondLink, hashtags: ['#tools'] });
+    assert.ok(content.endsWith(`\n<a href="${respondLink}">💬 Respond anonymously</a>\n#tools`));
+    const closed = buildChannelContent('need', 'Drill', { id: 1, first_name: 'Ann' }, 'satisfied', { respondLink });
+    assert.ok(!closed.includes(respondLink));
+  });
+});
+
+describe('getForwardedDescriptionLength', () => {
+  const user = { id: 1, first_name: 'Ann' };
+  // Forwarded posts arrive as plain text with entities
+  const forward = (...args) => buildChannelContent(...args).replace(/<[^>]*>/g, '');
+
+  it('leaves out the footer of active posts with the respond link', () => {
+    const respondLink = 'https://t.me/CenterBot?start=respond_a';
+    const text = forward('need', 'Drill\nand bits', user, 'open', { respondLink, hashtags: ['#tools'] });
+    assert.strictEqual(getForwardedDescriptionLength(text, CHANNEL_USERNAME), 'Drill\nand bits'.length);
+    const location = { latitude: 52.52, longitude: 13.405, name: 'Berlin', source: 'text' };
+    const resource = forward('resource', 'Sofa', user, 'in_progress', { respondLink, location });
+    assert.strictEqual(getForwardedDescriptionLength(resource, CHANNEL_USERNAME), 'Sofa'.length);
+  });
+
+  it('keeps texts that are not channel posts', () => {
+    assert.strictEqual(getForwardedDescriptionLength('Drill\nand bits', CHANNEL_USERNAME), 'Drill\nand bits'.length);
+  });
+});
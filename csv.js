@@ -0,0 +1,72 @@
+/**
+ * CSV in the RFC 4180 dialect: comma separated, fields with commas, quotes or line breaks quoted,
+ * quotes doubled and CRLF line endings. Parsing also accepts LF line endings, a byte order mark and
+ * another delimiter, such as the semicolon spreadsheets use in many locales.
+ */
+
+// Quote a field when needed
+function formatField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV with a header line.
+ * @param {Array<Object>} rows - Rows as objects keyed by column.
+ * @param {Array<string>} columns - Columns in order, also used as the header.
+ * @returns {string} CSV text.
+ */
+export function formatCsv(rows, columns) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(formatField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// Delimiter of a CSV text: a semicolon when the first line has semicolons but no commas
+export function detectCsvDelimiter(text) {
+  const [firstLine] = String(text).split(/\r?\n/, 1);
+  return firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+}
+
+/**
+ * Parse CSV into records of fields. Empty lines are skipped.
+ * @param {string} text - CSV text.
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Field delimiter.
+ * @returns {Array<Array<string>>} Records.
+ * @throws {Error} When a quoted field is not closed.
+ */
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (input[i + 1] === '"') field += input[++i];
+      else quoted = false;
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error('Unclosed quoted field');
+  if (field !== '' || record.length) endRecord();
+  return records;
+}
@@ -0,0 +1,35 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { formatCsv, detectCsvDelimiter, parseCsv } from './csv.js';
+
+describe('formatCsv', () => {
+  it('writes a header and the rows', () => {
+    assert.strictEqual(formatCsv([{ a: 1, b: 'x' }, { a: 2 }], ['a', 'b']), 'a,b\r\n1,x\r\n2,\r\n');
+  });
+
+  it('quotes fields with commas, quotes and line breaks', () => {
+    assert.strictEqual(formatCsv([{ a: 'x, y', b: 'say "hi"\nbye' }], ['a', 'b']), 'a,b\r\n"x, y","say ""hi""\nbye"\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads what formatCsv writes', () => {
+    const text = formatCsv([{ a: 'x, y', b: 'say "hi"\nbye' }, { a: '', b: 'z' }], ['a', 'b']);
+    assert.deepStrictEqual(parseCsv(text), [['a', 'b'], ['x, y', 'say "hi"\nbye'], ['', 'z']]);
+  });
+
+  it('accepts LF line endings, a byte order mark and empty lines', () => {
+    assert.deepStrictEqual(parseCsv('\uFEFFa,b\n\n1,2\n3,'), [['a', 'b'], ['1', '2'], ['3', '']]);
+  });
+
+  it('parses other delimiters', () => {
+    const text = 'type;description\nneed;"Drill; cordless"';
+    assert.strictEqual(detectCsvDelimiter(text), ';');
+    assert.strictEqual(detectCsvDelimiter('a,b;c\n'), ',');
+    assert.deepStrictEqual(parseCsv(text, { delimiter: ';' }), [['type', 'description'], ['need', 'Drill; cordless']]);
+  });
+
+  it('rejects unclosed quotes', () => {
+    assert.throws(() => parseCsv('a,"b\n'), /Unclosed quoted field/);
+  });
+});
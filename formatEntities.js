@@ -0,0 +1,170 @@
+import _ from 'lodash';
+
+// Entities whose content is shown verbatim: nested entities are dropped and only code escaping applies
+const CODE_ENTITIES = ['code', 'pre'];
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeHtmlAttribute = (text) => escapeHtml(text).replace(/"/g, '&quot;');
+
+const HTML_TAGS = {
+  bold: 'b',
+  italic: 'i',
+  underline: 'u',
+  strikethrough: 's',
+  spoiler: 'tg-spoiler',
+  code: 'code',
+  blockquote: 'blockquote',
+};
+
+const MARKDOWN_V2_DELIMITERS = {
+  bold: '*',
+  italic: '_',
+  underline: '__',
+  strikethrough: '~',
+  spoiler: '||',
+  code: '`',
+};
+
+// Formatting rules per parse mode: how to escape plain text and code, and how to wrap an entity around its rendered content
+const parseModes = {
+  HTML: {
+    escape: escapeHtml,
+    escapeCode: escapeHtml,
+    wrap(entity, inner) {
+      if (HTML_TAGS[entity.type]) return `<${HTML_TAGS[entity.type]}>${inner}</${HTML_TAGS[entity.type]}>`;
+      switch (entity.type) {
+        case 'expandable_blockquote':
+          return `<blockquote expandable>${inner}</blockquote>`;
+        case 'pre':
+          return entity.language
+            ? `<pre><code class="language-${escapeHtmlAttribute(entity.language)}">${inner}</code></pre>`
+            : `<pre>${inner}</pre>`;
+        case 'text_link':
+          return `<a href="${escapeHtmlAttribute(entity.url)}">${inner}</a>`;
+        case 'text_mention':
+          return `<a href="tg://user?id=${entity.user.id}">${inner}</a>`;
+        case 'custom_emoji':
+          return `<tg-emoji emoji-id="${escapeHtmlAttribute(entity.custom_emoji_id)}">${inner}</tg-emoji>`;
+        default:
+          return inner;
+      }
+    },
+  },
+  MarkdownV2: {
+    escape: (text) => text.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&'),
+    escapeCode: (text) => text.replace(/[`\\]/g, '\\$&'),
+    wrap(entity, inner, parent) {
+      const escapeUrl = (url) => url.replace(/[)\\]/g, '\\$&');
+      switch (entity.type) {
+        case 'italic':
+          // An italic entity closing right before an underline one needs a separator, see the Bot API docs
+          return parent?.type === 'underline' && parent.offset + parent.length === entity.offset + entity.length
+            ? `_${inner}_\r`
+            : `_${inner}_`;
+        case 'pre':
+          return `\`\`\`${entity.language || ''}\n${inner}\n\`\`\``;
+        case 'text_link':
+          return `[${inner}](${escapeUrl(entity.url)})`;
+        case 'text_mention':
+          return `[${inner}](tg://user?id=${entity.user.id})`;
+        case 'custom_emoji':
+          return `![${inner}](tg://emoji?id=${entity.custom_emoji_id})`;
+        case 'blockquote':
+          return inner.split('\n').map((line) => `>${line}`).join('\n');
+        case 'expandable_blockquote':
+          return `${inner.split('\n').map((line, index) => `${index ? '' : '**'}>${line}`).join('\n')}||`;
+        default: {
+          const delimiter = MARKDOWN_V2_DELIMITERS[entity.type];
+          return delimiter ? `${delimiter}${inner}${delimiter}` : inner;
+        }
+      }
+    },
+  },
+  // Legacy Markdown has no nesting and no escaping inside entities, so only the outermost entity is kept
+  Markdown: {
+    escape: (text, parent) => (parent ? text : text.replace(/[_*`[]/g, '\\$&')),
+    escapeCode: (text) => text,
+    wrap(entity, inner, parent) {
+      if (parent) return inner;
+      // A delimiter inside the entity closes it, is escaped and reopens it
+      const delimit = (delimiter) => `${delimiter}${inner.split(delimiter).join(`${delimiter}\\${delimiter}${delimiter}`)}${delimiter}`;
+      switch (entity.type) {
+        case 'bold':
+          return delimit('*');
+        case 'italic':
+          return delimit('_');
+        case 'code':
+          return `\`${inner}\``;
+        case 'pre':
+          return `\`\`\`${entity.language || ''}\n${inner}\n\`\`\``;
+        case 'text_link':
+          return `[${inner}](${entity.url})`;
+        case 'text_mention':
+          return `[${inner}](tg://user?id=${entity.user.id})`;
+        default:
+          return inner;
+      }
+    },
+  },
+};
+
+/**
+ * Keep the entities that fall into a slice of a text, e.g. after trimming it, with offsets relative to the slice.
+ *
+ * @param {Array<Object>} entities - Telegram message entities of the whole text.
+ * @param {number} start - Start of the slice in UTF-16 code units.
+ * @param {number} end - End of the slice (exclusive).
+ * @returns {Array<Object>} Clipped and shifted entities; entities outside the slice are dropped.
+ */
+export function sliceEntities(entities = [], start, end) {
+  return _.compact(_.map(entities, (entity) => {
+    const from = Math.max(entity.offset, start);
+    const to = Math.min(entity.offset + entity.length, end);
+    if (to <= from) return null;
+    return { ...entity, offset: from - start, length: to - from };
+  }));
+}
+
+/**
+ * Convert a text with Telegram message entities (or caption entities) into a formatted string
+ * that is safe to send in the given parse mode. Entity offsets are in UTF-16 code units, like
+ * JavaScript string indices.
+ *
+ * @param {Object} options - Options for formatting.
+ * @param {string} [options.text=''] - Message text or caption.
+ * @param {Array<Object>} [options.entities=[]] - Entities of the text.
+ * @param {'HTML'|'Markdown'|'MarkdownV2'} [options.parseMode='HTML'] - The parse mode to use.
+ * @returns {string} Escaped text with the formatting of the entities.
+ */
+export function formatEntities({ text = '', entities = [], parseMode = 'HTML' }) {
+  const mode = parseModes[parseMode] || parseModes.HTML;
+  // Outer entities first, nested ones follow their parent
+  const sorted = _.sortBy(sliceEntities(entities, 0, text.length), ['offset', (entity) => -entity.length]);
+
+  const render = (start, end, list, parent) => {
+    let result = '';
+    let position = start;
+    let index = 0;
+    while (index < list.length) {
+      const entity = list[index];
+      const entityEnd = entity.offset + entity.length;
+      // Entities starting inside this one are nested in it; parts sticking out are cut off
+      let next = index + 1;
+      while (next < list.length && list[next].offset < entityEnd) next++;
+      const nested = _.map(list.slice(index + 1, next), (child) => ({
+        ...child,
+        length: Math.min(child.offset + child.length, entityEnd) - child.offset,
+      }));
+      result += mode.escape(text.slice(position, entity.offset), parent);
+      const inner = CODE_ENTITIES.includes(entity.type)
+        ? mode.escapeCode(text.slice(entity.offset, entityEnd))
+        : render(entity.offset, entityEnd, nested, entity);
+      result += mode.wrap(entity, inner, parent);
+      position = entityEnd;
+      index = next;
+    }
+    return result + mode.escape(text.slice(position, end), parent);
+  };
+
+  return render(0, text.length, sorted, undefined);
+}
@@ -0,0 +1,154 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { formatEntities, sliceEntities } from './formatEntities.js';
+
+describe('formatEntities', () => {
+  describe('HTML format', () => {
+    it('escapes plain text', () => {
+      assert.strictEqual(formatEntities({ text: 'a < b & c > d' }), 'a &lt; b &amp; c &gt; d');
+    });
+
+    it('renders simple entities', () => {
+      const text = 'bold italic code';
+      const entities = [
+        { type: 'bold', offset: 0, length: 4 },
+        { type: 'italic', offset: 5, length: 6 },
+        { type: 'code', offset: 12, length: 4 },
+      ];
+      assert.strictEqual(formatEntities({ text, entities }), '<b>bold</b> <i>italic</i> <code>code</code>');
+    });
+
+    it('renders nested entities regardless of their order', () => {
+      const text = 'Need a drill now';
+      const entities = [
+        { type: 'italic', offset: 7, length: 5 },
+        { type: 'bold', offset: 0, length: 12 },
+      ];
+      assert.strictEqual(formatEntities({ text, entities }), '<b>Need a <i>drill</i></b> now');
+    });
+
+    it('escapes link URLs and content', () => {
+      const text = 'Tom & Jerry';
+      const entities = [{ type: 'text_link', offset: 0, length: 11, url: 'https://example.com/?a=1&b="2"' }];
+      assert.strictEqual(
+        formatEntities({ text, entities }),
+        '<a href="https://example.com/?a=1&amp;b=&quot;2&quot;">Tom &amp; Jerry</a>'
+      );
+    });
+
+    it('renders mentions, spoilers, quotes and code blocks', () => {
+      const text = 'Ann secret quote x<y';
+      const entities = [
+        { type: 'text_mention', offset: 0, length: 3, user: { id: 42 } },
+        { type: 'spoiler', offset: 4, length: 6 },
+        { type: 'blockquote', offset: 11, length: 5 },
+        { type: 'pre', offset: 17, length: 3, language: 'js' },
+      ];
+      assert.strictEqual(
+        formatEntities({ text, entities }),
+        '<a href="tg://user?id=42">Ann</a> <tg-spoiler>secret</tg-spoiler> <blockquote>quote</blockquote> '
+          + '<pre><code class="language-js">x&lt;y</code></pre>'
+      );
+    });
+
+    it('leaves auto-detected entities as plain text', () => {
+      const text = '#tools @alice https://example.com';
+      const entities = [
+        { type: 'hashtag', offset: 0, length: 6 },
+        { type: 'mention', offset: 7, length: 6 },
+        { type: 'url', offset: 14, length: 19 },
+      ];
+      assert.strictEqual(formatEntities({ text, entities }), text);
+    });
+
+    it('uses UTF-16 offsets', () => {
+      const text = '😀 bold';
+      assert.strictEqual(formatEntities({ text, entities: [{ type: 'bold', offset: 3, length: 4 }] }), '😀 <b>bold</b>');
+    });
+
+    it('cuts off entities sticking out of their parent or the text', () => {
+      const text = 'abcdef';
+      const entities = [
+        { type: 'bold', offset: 0, length: 3 },
+        { type: 'italic', offset: 2, length: 3 },
+        { type: 'underline', offset: 5, length: 10 },
+      ];
+      assert.strictEqual(formatEntities({ text, entities }), '<b>ab<i>c</i></b>de<u>f</u>');
+    });
+  });
+
+  describe('MarkdownV2 format', () => {
+    it('escapes special characters', () => {
+      assert.strictEqual(formatEntities({ text: 'Price: 5.00 (net) - 10%!', parseMode: 'MarkdownV2' }), 'Price: 5\\.00 \\(net\\) \\- 10%\\!');
+    });
+
+    it('renders nested entities and links', () => {
+      const text = 'Bold and link.';
+      const entities = [
+        { type: 'bold', offset: 0, length: 8 },
+        { type: 'italic', offset: 5, length: 3 },
+        { type: 'text_link', offset: 9, length: 4, url: 'https://example.com/a)b' },
+      ];
+      assert.strictEqual(
+        formatEntities({ text, entities, parseMode: 'MarkdownV2' }),
+        '*Bold _and_* [link](https://example.com/a\\)b)\\.'
+      );
+    });
+
+    it('separates italic from the end of an underline', () => {
+      const text = 'both';
+      const entities = [{ type: 'underline', offset: 0, length: 4 }, { type: 'italic', offset: 0, length: 4 }];
+      assert.strictEqual(formatEntities({ text, entities, parseMode: 'MarkdownV2' }), '___both_\r__');
+    });
+
+    it('escapes only backticks and backslashes in code', () => {
+      const text = 'a_b`c';
+      assert.strictEqual(
+        formatEntities({ text, entities: [{ type: 'code', offset: 0, length: 5 }], parseMode: 'MarkdownV2' }),
+        '`a_b\\`c`'
+      );
+    });
+
+    it('prefixes quoted lines', () => {
+      const text = 'one\ntwo';
+      assert.strictEqual(
+        formatEntities({ text, entities: [{ type: 'blockquote', offset: 0, length: 7 }], parseMode: 'MarkdownV2' }),
+        '>one\n>two'
+      );
+    });
+  });
+
+  describe('Markdown format', () => {
+    it('escapes special characters outside of entities', () => {
+      assert.strictEqual(formatEntities({ text: 'snake_case *star*', parseMode: 'Markdown' }), 'snake\\_case \\*star\\*');
+    });
+
+    it('keeps only the outermost entity', () => {
+      const text = 'bold_italic';
+      const entities = [{ type: 'bold', offset: 0, length: 11 }, { type: 'italic', offset: 5, length: 6 }];
+      assert.strictEqual(formatEntities({ text, entities, parseMode: 'Markdown' }), '*bold_italic*');
+    });
+
+    it('escapes the delimiter inside an entity by reopening it', () => {
+      const text = 'snake_case';
+      assert.strictEqual(
+        formatEntities({ text, entities: [{ type: 'italic', offset: 0, length: 10 }], parseMode: 'Markdown' }),
+        '_snake_\\__case_'
+      );
+    });
+  });
+});
+
+describe('sliceEntities', () => {
+  it('clips and shifts entities to a slice of the text', () => {
+    const entities = [
+      { type: 'bold', offset: 0, length: 4 },
+      { type: 'italic', offset: 2, length: 6 },
+      { type: 'code', offset: 10, length: 2 },
+    ];
+    assert.deepStrictEqual(sliceEntities(entities, 3, 9), [
+      { type: 'bold', offset: 0, length: 1 },
+      { type: 'italic', offset: 0, length: 5 },
+    ]);
+  });
+});
@@ -0,0 +1,127 @@
+import fs from 'fs';
+import path from 'path';
+import _ from 'lodash';
+
+/**
+ * Localization helpers: locale loading, message formatting with plurals, time zones and dates.
+ *
+ * Messages use {{name}} placeholders. Numbers that need a plural form use an ICU-like block,
+ * {{count, plural, one {# need} other {# needs}}}, where # is replaced by the number and the
+ * form is picked by the plural rules of the language (exact matches such as =0 win).
+ */
+
+// Supported date formats of the user settings; 'locale' follows the interface language
+export const DATE_FORMATS = ['locale', 'iso', 'dmy', 'mdy'];
+
+const PLURAL_PATTERN = /\{\{(\w+),\s*plural,((?:\s*(?:=\d+|\w+)\s*\{[^{}]*\})+)\s*\}\}/g;
+const PLURAL_FORM_PATTERN = /(=\d+|\w+)\s*\{([^{}]*)\}/g;
+
+// Load every locales/<language>.json file of a directory, keyed by language code
+export function loadLocales(dir) {
+  const files = fs.readdirSync(dir).filter((file) => file.endsWith('.json')).sort();
+  return Object.fromEntries(files.map((file) => [
+    path.basename(file, '.json'),
+    JSON.parse(fs.readFileSync(path.join(dir, file))),
+  ]));
+}
+
+// First candidate language that has a locale, e.g. the saved setting before the client language
+export function resolveLanguage(locales, ...candidates) {
+  return _.find(candidates, (language) => language && locales[language]) || 'en';
+}
+
+/**
+ * Pick the plural form for a number.
+ * @param {string} language - Language code for Intl.PluralRules.
+ * @param {number} count - The number.
+ * @param {Object} forms - Forms keyed by plural category ('one', 'few', ...) or exact value ('=0').
+ * @returns {string} The matching form, falling back to 'other'.
+ */
+export function selectPlural(language, count, forms) {
+  if (forms[`=${count}`] !== undefined) return forms[`=${count}`];
+  return forms[new Intl.PluralRules(language).select(count)] ?? forms.other ?? '';
+}
+
+/**
+ * Fill in placeholders and plural blocks of a message.
+ * @param {string} text - Message with {{name}} placeholders.
+ * @param {Object} [vars={}] - Values of the placeholders.
+ * @param {string} [language='en'] - Language for plural rules.
+ * @returns {string} The formatted message.
+ */
+export function formatMessage(text, vars = {}, language = 'en') {
+  return text
+    .replace(PLURAL_PATTERN, (block, name, body) => {
+      if (vars[name] === undefined) return block;
+      const count = Number(vars[name]);
+      const forms = Object.fromEntries(Array.from(body.matchAll(PLURAL_FORM_PATTERN), ([, form, value]) => [form, value]));
+      return selectPlural(language, count, forms).replace(/#/g, String(vars[name]));
+    })
+    .replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (vars[name] === undefined ? placeholder : vars[name]));
+}
+
+// Canonical name of a valid IANA time zone, or null
+function getTimeZoneName(timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en', { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a time zone typed by a user: an IANA name in any case (Europe/Berlin) or a whole-hour
+ * UTC offset (UTC+3, GMT-5, +3).
+ * @param {string} input - User input.
+ * @returns {string|null} IANA time zone name, or null when the input is not a time zone.
+ */
+export function parseTimeZone(input) {
+  const text = String(input || '').trim();
+  if (!text) return null;
+  const offset = text.match(/^(?:UTC|GMT)?\s*([+-])\s*(\d{1,2})(?::?00)?$/i);
+  if (offset) {
+    const hours = Number(offset[2]);
+    if (hours > 14) return null;
+    if (hours === 0) return 'UTC';
+    // Etc/GMT zones have inverted signs: UTC+3 is Etc/GMT-3
+    return `Etc/GMT${offset[1] === '+' ? '-' : '+'}${hours}`;
+  }
+  const exact = getTimeZoneName(text);
+  if (exact) return exact;
+  const lower = text.toLowerCase().replace(/\s+/g, '_');
+  return _.find(Intl.supportedValuesOf('timeZone'), (name) => name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Format a timestamp for a user.
+ * @param {string|number|Date} [ts] - Timestamp, now by default.
+ * @param {Object} [options]
+ * @param {string} [options.language='en'] - Language of the 'locale' format.
+ * @param {string} [options.timeZone] - IANA time zone, the server time zone by default.
+ * @param {string} [options.dateFormat='locale'] - One of DATE_FORMATS.
+ * @returns {string} Formatted date and time.
+ */
+export function formatDateTime(ts, { language = 'en', timeZone, dateFormat = 'locale' } = {}) {
+  const date = new Date(ts || Date.now());
+  if (!DATE_FORMATS.includes(dateFormat) || dateFormat === 'locale') {
+    return date.toLocaleString(language, { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+  }
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).map(({ type, value }) => [type, value]));
+  const time = `${parts.hour}:${parts.minute}`;
+  switch (dateFormat) {
+    case 'iso':
+      return `${parts.year}-${parts.month}-${parts.day} ${time}`;
+    case 'dmy':
+      return `${parts.day}.${parts.month}.${parts.year} ${time}`;
+    default:
+      return `${parts.month}/${parts.day}/${parts.year} ${time}`;
+  }
+}
@@ -0,0 +1,99 @@
+import assert from 'assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, it } from 'node:test';
+import {
+  loadLocales,
+  resolveLanguage,
+  selectPlural,
+  formatMessage,
+  parseTimeZone,
+  formatDateTime,
+} from './i18n.js';
+
+describe('loadLocales', () => {
+  it('loads every bundled locale', () => {
+    const locales = loadLocales(path.join(path.dirname(fileURLToPath(import.meta.url)), 'locales'));
+    assert.ok(locales.en.messages);
+    assert.ok(locales.ru.messages);
+  });
+});
+
+describe('resolveLanguage', () => {
+  it('takes the first available language and falls back to English', () => {
+    const locales = { en: {}, ru: {} };
+    assert.strictEqual(resolveLanguage(locales, 'ru', 'en'), 'ru');
+    assert.strictEqual(resolveLanguage(locales, undefined, 'ru'), 'ru');
+    assert.strictEqual(resolveLanguage(locales, 'de', undefined), 'en');
+  });
+});
+
+describe('selectPlural', () => {
+  const forms = { one: 'потребность', few: 'потребности', many: 'потребностей', other: 'потребности' };
+
+  it('uses the plural rules of the language', () => {
+    assert.strictEqual(selectPlural('ru', 1, forms), 'потребность');
+    assert.strictEqual(selectPlural('ru', 3, forms), 'потребности');
+    assert.strictEqual(selectPlural('ru', 5, forms), 'потребностей');
+    assert.strictEqual(selectPlural('ru', 21, forms), 'потребность');
+    assert.strictEqual(selectPlural('en', 1, { one: 'need', other: 'needs' }), 'need');
+  });
+
+  it('prefers exact matches', () => {
+    assert.strictEqual(selectPlural('en', 0, { '=0': 'none', one: 'one', other: 'many' }), 'none');
+  });
+});
+
+describe('formatMessage', () => {
+  it('replaces every placeholder', () => {
+    assert.strictEqual(formatMessage('{{a}} and {{a}}, {{b}}', { a: 1 }), '1 and 1, {{b}}');
+  });
+
+  it('keeps dollar signs of values', () => {
+    assert.strictEqual(formatMessage('Price: {{price}}', { price: '$& 5' }), 'Price: $& 5');
+  });
+
+  it('fills in plural blocks', () => {
+    const text = 'Вы разместили {{count, plural, one {# потребность} few {# потребности} many {# потребностей} other {# потребности}}}. Лимит — {{limit}}.';
+    assert.strictEqual(formatMessage(text, { count: 5, limit: 3 }, 'ru'), 'Вы разместили 5 потребностей. Лимит — 3.');
+    assert.strictEqual(formatMessage(text, { count: 2, limit: 3 }, 'ru'), 'Вы разместили 2 потребности. Лимит — 3.');
+    assert.strictEqual(formatMessage('{{n, plural, one {# need} other {# needs}}}', { n: 1 }), '1 need');
+  });
+});
+
+describe('parseTimeZone', () => {
+  it('accepts IANA names in any case', () => {
+    assert.strictEqual(parseTimeZone('Europe/Berlin'), 'Europe/Berlin');
+    assert.strictEqual(parseTimeZone('europe/moscow'), 'Europe/Moscow');
+    assert.strictEqual(parseTimeZone('america/new york'), 'America/New_York');
+  });
+
+  it('converts whole-hour UTC offsets', () => {
+    assert.strictEqual(parseTimeZone('UTC+3'), 'Etc/GMT-3');
+    assert.strictEqual(parseTimeZone('GMT -5'), 'Etc/GMT+5');
+    assert.strictEqual(parseTimeZone('+0'), 'UTC');
+  });
+
+  it('rejects anything else', () => {
+    assert.strictEqual(parseTimeZone('Mars/Olympus'), null);
+    assert.strictEqual(parseTimeZone('UTC+20'), null);
+    assert.strictEqual(parseTimeZone(''), null);
+  });
+});
+
+describe('formatDateTime', () => {
+  const ts = '2024-03-05T21:07:00Z';
+
+  it('formats dates in the time zone', () => {
+    assert.strictEqual(formatDateTime(ts, { timeZone: 'UTC', dateFormat: 'iso' }), '2024-03-05 21:07');
+    assert.strictEqual(formatDateTime(ts, { timeZone: 'Europe/Moscow', dateFormat: 'dmy' }), '06.03.2024 00:07');
+    assert.strictEqual(formatDateTime(ts, { timeZone: 'America/New_York', dateFormat: 'mdy' }), '03/05/2024 16:07');
+  });
+
+  it('follows the language in the locale format', () => {
+    assert.notStrictEqual(
+      formatDateTime(ts, { language: 'ru', timeZone: 'UTC' }),
+      formatDateTime(ts, { language: 'en', timeZone: 'UTC' })
+    );
+  });
+});
@@ -0,0 +1,17 @@
+import 'dotenv/config';
+import fs from 'fs';
+import Storage from './storage.js';
+
+// One-shot import of a lowdb db.json file into the storage backend selected by STORAGE_BACKEND.
+// Usage: STORAGE_BACKEND=sqlite node importDB.js [path/to/db.json]
+const source = process.argv[2] || 'db.json';
+const storage = new Storage();
+if (storage.backend === 'lowdb' && storage.adapter.path === source) {
+  console.error(`Refusing to import ${source} into itself. Set STORAGE_BACKEND or DB_PATH to the target database.`);
+  process.exit(1);
+}
+const data = JSON.parse(fs.readFileSync(source));
+await storage.initDB();
+const { users, items, meta } = await storage.importData(data);
+await storage.close();
+console.log(`Imported ${users} user(s), ${items} item(s) and ${meta} meta value(s) from ${source} into ${storage.backend} storage at ${storage.adapter.path}`);
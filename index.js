@@ -1,254 +1,323 @@
 import 'dotenv/config';
 import { fileURLToPath } from 'url';
-import fs from 'fs';
 import path from 'path';
 import { Telegraf, Markup } from 'telegraf';
 import Storage from './storage.js';
 import { v7 as uuidv7 } from 'uuid';
 import { buildUserMention } from './buildUserMention.js';
+import { findMatches } from './matching.js';
+import { searchItems, paginate } from './search.js';
+import { getItemStatus, isItemActive, canTransition, getNextStatuses } from './status.js';
+import { getStaleItemAction } from './reminders.js';
+import {
+  TRUST_TIERS,
+  DEFAULT_LIMITS,
+  parseLimits,
+  getTrustTier,
+  getDailyLimit,
+  findDuplicate,
+} from './limits.js';
+import SessionStore from './sessions.js';
+import SettingsStore from './settings.js';
+import { migrations, getSchemaVersion } from './migrations.js';
+import {
+  parseAdminIds,
+  isAdmin,
+  isBanned,
+  isPendingModeration,
+  isAwaitingApproval,
+  submitForModeration,
+  addReport,
+  approveItem,
+} from './moderation.js';
+import {
+  CHANNEL_USERNAME,
+  CHANNEL_LANGUAGE,
+  parseChannelRoutes,
+  resolveChannel,
+  listChannels,
+  getItemChannel,
+  isSameChannel,
+  isChannelChat,
+  getItemPostLink,
+  parseChannelPostLink,
+  deleteChannelPost,
+  buildItemContent,
+  sendChannelPost,
+  updateChannelPost,
+  setBotUsername,
+  getForwardedDescriptionLength,
+} from './channel.js';
+import {
+  loadCategories,
+  getCategoryLabel,
+  extractHashtags,
+  matchHashtagCategories,
+  resolveItemCategories,
+} from './categories.js';
+import {
+  loadCities,
+  findCity,
+  findCityInText,
+  getCityLocation,
+  getSharedLocation,
+  formatPlace,
+  formatDistance,
+  parseNearQuery,
+} from './location.js';
+import {
+  MEDIA_SEND_METHODS,
+  extractMessageMedia,
+  getItemMedia,
+  toInputMedia,
+  canEditMediaInPlace,
+} from './media.js';
+import { formatEntities, sliceEntities } from './formatEntities.js';
+import { createWebhookServer, getStorageStatus, stopWebhookServer } from './webhook.js';
+import { createPublicApiHandler } from './publicApi.js';
+import { forgetUser } from './adminTasks.js';
+import { buildUserExport, buildItemsCsv } from './userData.js';
+import { isImportFile, parseImportFile, prepareImport, runPaced } from './bulkImport.js';
+import RelayStore, { parseRespondPayload } from './relay.js';
+import {
+  DATE_FORMATS,
+  loadLocales,
+  resolveLanguage,
+  formatMessage,
+  parseTimeZone,
+  formatDateTime,
+} from './i18n.js';
 import _ from 'lodash';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load localization files
-const locales = {
-  en: JSON.parse(fs.readFileSync(path.join(__dirname, 'locales/en.json'))),
-  ru: JSON.parse(fs.readFileSync(path.join(__dirname, 'locales/ru.json'))),
-};
+// Load localization files, one per interface language
+const locales = loadLocales(path.join(__dirname, 'locales'));
+
+// Language of a user: the one picked in /settings, otherwise the language of their Telegram client
+function getLanguage(ctx) {
+  return resolveLanguage(locales, settings.get(ctx.from.id).language, ctx.from.language_code);
+}
 
 // Translation helper
 function t(ctx, key, vars = {}) {
-  const lang = locales[ctx.from.language_code] ? ctx.from.language_code : 'en';
-  let text = (locales[lang].messages && locales[lang].messages[key]) || locales[lang][key] || locales['en'].messages?.[key] || locales['en'][key] || key;
-  Object.keys(vars).forEach((k) => {
-    text = text.replace(`{{${k}}}`, vars[k]);
-  });
-  return text;
+  const lang = getLanguage(ctx);
+  const text = (locales[lang].messages && locales[lang].messages[key]) || locales[lang][key] || locales['en'].messages?.[key] || locales['en'][key] || key;
+  return formatMessage(text, vars, lang);
+}
+
+// Helper to get a message in every interface language, e.g. to recognize keyboard buttons
+function translateAll(key) {
+  return Object.keys(locales).map((language) => t({ from: { language_code: language } }, key));
+}
+
+// Helper to get the translation context of a user who is not the sender of the current update
+function getUserContext(userId, languageCode) {
+  return { from: { id: userId, language_code: languageCode } };
 }
 
+// Category taxonomy offered when adding items and used to detect categories from hashtags
+const CATEGORIES = loadCategories(process.env.CATEGORIES_PATH || path.join(__dirname, 'categories.json'));
+// Cities recognized in descriptions and /near queries, and used to name shared locations
+const CITIES = loadCities(process.env.CITIES_PATH || path.join(__dirname, 'cities.json'));
+
 // Initialize database
 const storage = new Storage();
 await storage.initDB();
 
-/**
- * Migrate old user mentions to clickable mentions.
- * @param {Object} [options]
- * @param {number} [options.limit=Number(process.env.MIGRATE_LIMIT)||1] - Max items to migrate per run.
- * @param {boolean} [options.tracing=false] - Enable detailed tracing logs.
- */
-async function migrateUserMentions({ limit = Number(process.env.MIGRATE_LIMIT) || 1, tracing = false } = {}) {
-  if (tracing) console.log(`migrateUserMentions: starting migration with limit=${limit}`);
-  let migratedCount = 0;
-  if (tracing) console.log('migrateUserMentions: reading database');
-  await storage.readDB();
-  const users = storage.db.data.users || {};
-  if (tracing) console.log(`migrateUserMentions: found ${Object.keys(users).length} users in DB`);
-  outer: for (const [userId, user] of Object.entries(users)) {
-    if (tracing) console.log(`migrateUserMentions: inspecting user ${userId}`);
-    for (const type of ['needs', 'resources']) {
-      if (tracing) console.log(`migrateUserMentions:  checking type ${type}`);
-      const items = user[type] || [];
-      for (const item of items) {
-        if (tracing) console.log(`migrateUserMentions:    processing item channelMessageId=${item.channelMessageId}`);
-        const msgId = item.channelMessageId;
-        if (!msgId) {
-          if (tracing) console.log('migrateUserMentions:      skip - no channelMessageId');
-          continue;
-        }
-        if (migratedCount >= limit) {
-          if (tracing) console.log('migrateUserMentions:      reached limit, stopping');
-          break outer;
-        }
-        // Fetch chat to build mention
-        let chat;
-        try {
-          if (tracing) console.log(`migrateUserMentions:      fetching chat for user ${userId}`);
-          chat = await bot.telegram.getChat(userId);
-          if (tracing) console.log(`migrateUserMentions:      fetched chat: ${JSON.stringify(chat)}`);
-        } catch (err) {
-          if (tracing) console.error(`migrateUserMentions:      failed to fetch chat for ${userId}`, err);
-          continue;
-        }
-        const mention = buildUserMention({ user: chat });
-        // Clone and prepare DB updates
-        const original = _.cloneDeep(item);
-        // Persist full user info for future bumps
-        item.user = {
-          id: chat.id,
-          username: chat.username,
-          first_name: chat.first_name,
-          last_name: chat.last_name
-        };
-        if (tracing) {
-          console.log('migrateUserMentions:      set item.user:');
-          console.log(JSON.stringify(item.user, null, 2));
-        }
-        // Update role field for DB
-        const roleField = type === 'needs' ? 'requestor' : 'supplier';
-        item[roleField] = chat.username || chat.first_name || 'unknown';
-        if (tracing) console.log(`migrateUserMentions:      set ${roleField}: ${item[roleField]}`);
-        // Detect real changes (excluding updatedAt), stripping undefined fields
-        const origClean = JSON.parse(JSON.stringify(_.omit(original, 'updatedAt')));
-        const currClean = JSON.parse(JSON.stringify(_.omit(item, 'updatedAt')));
-        if (_.isEqual(origClean, currClean)) {
-          if (tracing) console.log(`migrateUserMentions: no DB changes detected for message ${msgId}, skipping API call`);
-          continue;
-        }
-        // Build new content only when change detected
-        let newContent;
-        if (type === 'needs') {
-          if (tracing) console.log('migrateUserMentions:      building need content');
-          newContent = `${item.description}\n\n<i>Need of ${mention}.</i>`;
-        } else {
-          if (tracing) console.log('migrateUserMentions:      building resource content');
-          newContent = `${item.description}\n\n<i>Resource provided by ${mention}.</i>`;
-        }
-        // Now perform API call; treat 'message is not modified' as non-error
-        try {
-          if (tracing) console.log(`migrateUserMentions: editing message ${msgId}`);
-          if (item.fileId) {
-            await bot.telegram.editMessageCaption(
-              CHANNEL_USERNAME,
-              msgId,
-              undefined,
-              newContent,
-              { parse_mode: 'HTML' }
-            );
-          } else {
-            await bot.telegram.editMessageText(
-              CHANNEL_USERNAME,
-              msgId,
-              undefined,
-              newContent,
-              { parse_mode: 'HTML' }
-            );
-          }
-        } catch (err) {
-          const desc = err.response?.description || '';
-          if (/message is not modified/i.test(desc)) {
-            if (tracing) console.log(`migrateUserMentions: message not modified, skipping error`);
-          } else {
-            if (tracing) console.error(`migrateUserMentions: failed to update message ${msgId}`, err);
-            console.error(`Failed to migrate message ${msgId} for user ${userId}:`, err);
-            continue;
-          }
-        }
-        // After successful API and DB change, set updatedAt and count
-        const now = new Date().toISOString();
-        item.updatedAt = now;
-        if (tracing) {
-          console.log(`After migration for message ${msgId}:`);
-          console.log(JSON.stringify(item, null, 2));
-        }
-        migratedCount++;
-      }
-    }
-  }
-  if (migratedCount > 0) {
-    if (tracing) console.log('migrateUserMentions: writing DB updates');
-    await storage.writeDB();
-    console.log(`User mention migration: ${migratedCount} item(s) updated`);
-  } else {
-    console.log('User mention migration: no items updated');
-  }
+// Initialize bot
+const bot = new Telegraf(process.env.BOT_TOKEN);
+
+// Status reported by the health endpoints of the webhook mode: start time and the last update handled without errors
+const botStatus = { startedAt: new Date().toISOString(), lastUpdateAt: null };
+bot.use(async (ctx, next) => {
+  await next();
+  botStatus.lastUpdateAt = new Date().toISOString();
+});
+
+// Log failed updates instead of letting the rejection stop the bot
+bot.catch((err, ctx) => {
+  console.error(`Failed to handle update ${ctx.update?.update_id}:`, err);
+});
+
+// Username of the bot used in explicit command mentions, e.g. /help@CorrelationCenterBot
+function getBotUsername() {
+  return process.env.BOT_USERNAME || bot.botInfo?.username || 'CorrelationCenterBot';
 }
 
-// Insert deleteChannelMessage helper function to encapsulate deletion or marking as deleted
-async function deleteChannelMessage({ telegram, channel, msgId, tracing = false }) {
-  try {
-    if (tracing) console.log(`deleteChannelMessage: deleting message ${msgId}`);
-    await telegram.deleteMessage(channel, msgId);
-    return true;
-  } catch (err) {
-    const desc = err.response?.description || err.message;
-    if (/message to delete not found/i.test(desc)) {
-      if (tracing) console.log(`deleteChannelMessage: message ${msgId} already gone`);
-      return true;
-    } else if (/message can'?t be deleted/i.test(desc)) {
-      if (tracing) console.log(`deleteChannelMessage: message ${msgId} can't be deleted, marking as deleted`);
-      let edited = false;
-      try {
-        await telegram.editMessageText(channel, msgId, undefined, 'Deleted.');
-        edited = true;
-      } catch (editErr) {
-        const desc2 = editErr.response?.description || editErr.message;
-        if (/MESSAGE_ID_INVALID/i.test(desc2)) {
-          // fallback to editing caption
-          try {
-            await telegram.editMessageCaption(channel, msgId, undefined, 'Deleted.');
-            edited = true;
-          } catch (editErr2) {
-            if (tracing) console.error(`deleteChannelMessage: failed to edit caption for message ${msgId}`, editErr2);
-          }
-        } else {
-          if (tracing) console.error(`deleteChannelMessage: failed to edit message ${msgId}`, editErr);
-        }
-      }
-      return edited;
-    } else {
-      if (tracing) console.error(`deleteChannelMessage: failed to delete message ${msgId}`, err);
-      return false;
-    }
-  }
+// Whether a message was forwarded from one of the channels items are published to
+function isForwardedFromChannel(message) {
+  return Boolean(getForwardedChannel(message));
 }
 
-/**
- * Delete channel messages for a given unreachable user.
- * @param {Object} options
- * @param {number} options.userId - Telegram ID of the user whose messages should be deleted.
- * @param {boolean} [options.tracing=false] - Enable detailed tracing logs.
- */
-async function migrateDeleteUserChannelMessages({ userId, tracing = false } = {}) {
-  if (tracing) console.log(`migrateDeleteUserChannelMessages: starting for user ${userId}`);
-  await storage.readDB();
-  const user = storage.db.data.users?.[userId];
-  if (!user) {
-    if (tracing) console.log(`migrateDeleteUserChannelMessages: no data for user ${userId}`);
-    return;
-  }
-  let deletedCount = 0;
-  for (const type of ['needs', 'resources']) {
-    const items = user[type] || [];
-    const retained = [];
-    for (const item of items) {
-      const msgId = item.channelMessageId;
-      if (!msgId) {
-        // not posted to channel, keep
-        retained.push(item);
-        continue;
-      }
-      // Attempt deletion or marking as deleted
-      if (tracing) console.log(`migrateDeleteUserChannelMessages: deleting ${type} message ${msgId}`);
-      if (await deleteChannelMessage({ telegram: bot.telegram, channel: CHANNEL_USERNAME, msgId, tracing })) {
-        deletedCount++;
-      } else {
-        retained.push(item);
-      }
-    }
-    // replace items array with retained ones only
-    user[type] = retained;
-  }
-  await storage.writeDB();
-  console.log(`Deleted ${deletedCount} channel message(s) for user ${userId}`);
+// Helper to get the configured channel a message was forwarded from, or null
+function getForwardedChannel(message) {
+  return _.find(listChannels(CHANNEL_ROUTES), (channel) => isChannelChat(channel, message.forward_from_chat)) || null;
+}
+// Helper to read a numeric setting; 0 is kept, unset and non-numeric values fall back to the default
+function getNumberSetting(name, fallback) {
+  const value = Number(process.env[name] || NaN);
+  return Number.isFinite(value) ? value : fallback;
 }
 
-// Initialize bot
-const bot = new Telegraf(process.env.BOT_TOKEN);
-const pendingActions = {}; // Structure: { "userId_chatId": action }
-const CHANNEL_USERNAME = '@CorrelationCenter';
-// Daily posting limits per user
-const DAILY_LIMITS = { need: 3, resource: 3 };
+// Pending actions per user and chat, persisted so they survive restarts
+const sessions = new SessionStore(storage, {
+  ttlMs: (Number(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000,
+});
+// Language, time zone and date format per user
+const settings = new SettingsStore(storage);
+const relay = new RelayStore(storage);
+const searchSessions = {}; // Structure: { "userId_chatId": { query, type, category, ageDays } }
+// Daily posting limits per trust tier; NEED_DAILY_LIMIT and RESOURCE_DAILY_LIMIT set the ones of new users, the limits
+// of everyone before trust tiers, 0 turns a type off
+const DAILY_LIMITS = parseLimits(process.env.DAILY_LIMITS, {
+  ...DEFAULT_LIMITS,
+  new: {
+    ...DEFAULT_LIMITS.new,
+    need: getNumberSetting('NEED_DAILY_LIMIT', DEFAULT_LIMITS.new.need),
+    resource: getNumberSetting('RESOURCE_DAILY_LIMIT', DEFAULT_LIMITS.new.resource),
+  },
+});
+// Users become established after publishing this many items over at least this many days
+const TRUST_ESTABLISHED_ITEMS = getNumberSetting('TRUST_ESTABLISHED_ITEMS', 3);
+const TRUST_ESTABLISHED_DAYS = getNumberSetting('TRUST_ESTABLISHED_DAYS', 7);
+// Near-duplicate descriptions: minimum similarity, how far back to look and whether to 'warn' or 'reject'
+const DUPLICATE_THRESHOLD = Number(process.env.DUPLICATE_THRESHOLD) || 0.85;
+const DUPLICATE_WINDOW_MS = (Number(process.env.DUPLICATE_WINDOW_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const DUPLICATE_ACTION = process.env.DUPLICATE_ACTION === 'reject' ? 'reject' : 'warn';
+// Channels per category or source group chat; items from anywhere else go to CHANNEL_USERNAME
+const CHANNEL_ROUTES = parseChannelRoutes(process.env.CHANNEL_ROUTES);
 // Delay (ms) before prompting user for description when pending action is set
 const PROMPT_DELAY_MS = Number(process.env.PROMPT_DELAY_MS) || 750;
+// Telegram sends albums as one message per file; wait this long (ms) after the last one before handling them
+const ALBUM_WAIT_MS = Number(process.env.ALBUM_WAIT_MS) || 1000;
+const pendingAlbums = new Map(); // Structure: { "chatId_mediaGroupId": { messages, timer } }
 // Feature flag to enable repost mode: forward original user message to channel and post metadata separately
 const ENABLE_REPOSTS = process.env.ENABLE_REPOSTS === 'true';
+// Moderation: new items wait for approval by one of the admins before being posted
+const MODERATION_ENABLED = process.env.MODERATION === 'true';
+const ADMIN_IDS = parseAdminIds(process.env.ADMIN_IDS);
+// Maximum number of suggested matches per new item and minimum similarity score for a match
+const MATCH_LIMIT = getNumberSetting('MATCH_LIMIT', 3);
+const MATCH_THRESHOLD = getNumberSetting('MATCH_THRESHOLD', 0.2);
+// Inactivity period before the owner is reminded, grace period before expiry and how often to check
+const ITEM_TTL_MS = (Number(process.env.ITEM_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const REMINDER_GRACE_MS = (Number(process.env.REMINDER_GRACE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const REMINDER_CHECK_INTERVAL_MS = Number(process.env.REMINDER_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+// Number of search results shown per page and the selectable age filters (in days, 0 means any time)
+const SEARCH_PAGE_SIZE = 5;
+const SEARCH_AGE_FILTERS = { 0: 'searchAnyTime', 1: 'searchLastDay', 7: 'searchLastWeek', 30: 'searchLastMonth' };
+// Webhook mode: Telegram posts updates to WEBHOOK_URL, served by a built-in HTTP server, instead of long polling
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const WEBHOOK_PORT = Number(process.env.WEBHOOK_PORT) || 8080;
+const WEBHOOK_HOST = process.env.WEBHOOK_HOST || '0.0.0.0';
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+// Set WEBHOOK_REGISTER=false to serve WEBHOOK_URL without registering it at Telegram, e.g. to POST recorded updates locally
+const WEBHOOK_REGISTER = process.env.WEBHOOK_REGISTER !== 'false';
+// Read-only JSON API and RSS/Atom feeds of posted items, served by the same HTTP server also in polling mode
+const PUBLIC_API = process.env.PUBLIC_API === 'true';
+// Public URL of the HTTP server, used in the self links of the feeds
+const PUBLIC_URL = process.env.PUBLIC_URL?.replace(/\/+$/, '');
+// Default radius of /near in kilometers
+const NEAR_RADIUS_KM = Number(process.env.NEAR_RADIUS_KM) || 25;
+// Pause between the posts of a bulk import, channels accept about 20 messages per minute, and the largest import file
+const IMPORT_POST_INTERVAL_MS = Number(process.env.IMPORT_POST_INTERVAL_MS) || 3000;
+const IMPORT_MAX_FILE_BYTES = 1024 * 1024;
+// Number of inline results per answer, Telegram accepts at most 50, and the longest description shown in them
+const INLINE_PAGE_SIZE = 20;
+const INLINE_DESCRIPTION_LENGTH = 3500;
 
 // Helper function to generate pending action key
 function getPendingActionKey(userId, chatId) {
   return `${userId}_${chatId}`;
 }
 
+// Helper functions to read, set and clear the pending action of the current user in the current chat
+function getPendingAction(ctx) {
+  return sessions.get(ctx.from.id, ctx.chat.id);
+}
+
+async function setPendingAction(ctx, action, { prompted = false } = {}) {
+  await sessions.set(ctx.from.id, ctx.chat.id, action, { languageCode: ctx.from.language_code, prompted });
+}
+
+async function clearPendingAction(ctx) {
+  await sessions.delete(ctx.from.id, ctx.chat.id);
+}
+
+// Helper function to get the locale key of the prompt for a pending action
+function getPromptKey(action) {
+  const editMatch = /^edit_(need|resource)_[\w-]+$/.exec(action);
+  if (editMatch) return `promptEdit${_.capitalize(editMatch[1])}`;
+  if (action.startsWith('moderate_')) return 'promptModerationEdit';
+  if (action.startsWith('relay_')) return 'promptRelay';
+  return `prompt${_.capitalize(action)}`;
+}
+
+// Helper to build the category picker of a new item, picked categories are checked
+function getCategoryKeyboard(ctx, selected = []) {
+  const buttons = CATEGORIES.map((category) => Markup.button.callback(
+    `${selected.includes(category.id) ? '✅ ' : ''}${getCategoryLabel(category, getLanguage(ctx))}`,
+    `category_${category.id}`
+  ));
+  return Markup.inlineKeyboard(_.chunk(buttons, 3));
+}
+
+// Helper to get the extra options of the prompt for a pending action: new items get the category picker
+function getPromptExtra(ctx, action, session) {
+  return action === 'need' || action === 'resource' ? getCategoryKeyboard(ctx, session?.categories) : {};
+}
+
+// Helper to re-detect hashtags after the description of an item changed, keeping the categories picked by hand
+function retagItem(item, description) {
+  const selected = _.difference(item.categories, matchHashtagCategories(CATEGORIES, item.tags || []));
+  const tags = extractHashtags(description);
+  return { tags, categories: resolveItemCategories(CATEGORIES, { selected, tags }) };
+}
+
+// Helper to get the location of an item from the city named in its description, or null
+function getTextLocation(description) {
+  const city = findCityInText(CITIES, description);
+  return city ? getCityLocation(city) : null;
+}
+
+// Helper to get the location of an item after its description changed: shared locations stay, cities are re-detected
+function locateItem(item, description) {
+  return item.location?.source === 'shared' ? item.location : getTextLocation(description);
+}
+
+// Helper to collect the messages of an album and handle them together once no more arrive
+function collectAlbum(ctx, handle) {
+  const key = `${ctx.chat.id}_${ctx.message.media_group_id}`;
+  const album = pendingAlbums.get(key) || { messages: [] };
+  pendingAlbums.set(key, album);
+  album.messages.push(ctx.message);
+  clearTimeout(album.timer);
+  album.timer = setTimeout(async () => {
+    pendingAlbums.delete(key);
+    try {
+      await handle(_.sortBy(album.messages, 'message_id'));
+    } catch (err) {
+      console.error(`Failed to handle album ${ctx.message.media_group_id}:`, err);
+    }
+  }, ALBUM_WAIT_MS);
+}
+
+// Helper function to prompt for input after a delay, unless the pending action changed meanwhile
+function schedulePrompt(ctx, action) {
+  setTimeout(async () => {
+    if (getPendingAction(ctx) !== action) return;
+    try {
+      const session = sessions.getSession(ctx.from.id, ctx.chat.id);
+      await ctx.reply(t(ctx, getPromptKey(action)), getPromptExtra(ctx, action, session));
+      await sessions.markPrompted(ctx.from.id, ctx.chat.id);
+    } catch (err) {
+      console.error(`Failed to prompt user ${ctx.from.id}:`, err);
+    }
+  }, PROMPT_DELAY_MS);
+}
+
 // Helper function to check if this is the only bot in the chat
 async function isOnlyBotInChat(ctx) {
   if (ctx.chat.type === 'private') {
@@ -277,8 +346,8 @@ function getAllBotMessageVariants() {
         variants.add(message);
         // Always add a variant with both replacements
         const withMentions = message
-          .replace(/\/start/g, '/start@CorrelationCenterBot')
-          .replace(/\/help/g, '/help@CorrelationCenterBot');
+          .replace(/\/start/g, `/start@${getBotUsername()}`)
+          .replace(/\/help/g, `/help@${getBotUsername()}`);
         if (withMentions !== message) variants.add(withMentions);
       }
     }
@@ -294,60 +363,214 @@ function isBotSystemMessage(msg, botId) {
   return variants.some(variant => msg.text.trim().startsWith(variant.trim()));
 }
 
+// Helper to list category labels of an item, skipping categories removed from the taxonomy
+function formatCategories(ctx, ids) {
+  return _.compact(ids.map((id) => _.find(CATEGORIES, { id }))).map((category) => getCategoryLabel(category, getLanguage(ctx))).join(', ');
+}
+
+// Helper to build the private chat message and buttons for one listed item
+function buildListEntry(ctx, type, item) {
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  const createdAt = formatDate(ctx, item.createdAt);
+  // Items waiting for approval have no channel post to manage yet
+  if (isAwaitingApproval(item)) {
+    return {
+      message: `${item.description}\n\n${t(ctx, 'createdAt', { date: createdAt })}\n${t(ctx, 'awaitingModeration')}`,
+      keyboard: Markup.inlineKeyboard([]),
+    };
+  }
+  const updatedAt = formatDate(ctx, item.updatedAt);
+  const status = getItemStatus(item);
+  const active = isItemActive(item);
+  // Build delete (and optional bump) buttons, keyed by guid: message IDs repeat across channels
+  const buttons = [
+    Markup.button.callback(
+      t(ctx, `delete${capitalized}Button`) || 'Delete',
+      `delete_${type}_${item.guid}`
+    )
+  ];
+  const last = new Date(item.updatedAt || item.createdAt);
+  const ageMs = Date.now() - last.getTime();
+  // Show bump only if an active posted item is older than 24 hours
+  if (active && ageMs >= 24 * 60 * 60 * 1000 && item.channelMessageId) {
+    buttons.push(
+      Markup.button.callback(
+        t(ctx, 'bumpButton') || 'Bump',
+        `bump_${type}_${item.guid}`
+      )
+    );
+  }
+  if (active && item.channelMessageId) {
+    buttons.push(
+      Markup.button.callback(
+        t(ctx, 'editButton') || 'Edit',
+        `edit_${type}_${item.guid}`
+      )
+    );
+  }
+  const rows = [buttons];
+  // Status transition buttons
+  if (item.channelMessageId) {
+    const statusButtons = getNextStatuses(item).map((next) => Markup.button.callback(
+      t(ctx, getStatusButtonKey(type, next)),
+      `status_${type}_${next}_${item.guid}`
+    ));
+    if (statusButtons.length) rows.push(statusButtons);
+  }
+  // Localized creation and update timestamps
+  let message = `${item.description}\n\n${t(ctx, 'createdAt', { date: createdAt })}`;
+  if (item.updatedAt && item.updatedAt !== item.createdAt) {
+    message += `\n${t(ctx, 'updatedAt', { date: updatedAt })}`;
+  }
+  if (status !== 'open') {
+    message += `\n${t(ctx, 'statusLine', { status: t(ctx, getStatusLabelKey(type, status)) })}`;
+  }
+  if (item.location) {
+    message += `\n${t(ctx, 'locationLine', { place: formatPlace(item.location) })}`;
+  }
+  if (!_.isEmpty(item.categories)) {
+    message += `\n${t(ctx, 'categoriesLine', { categories: formatCategories(ctx, item.categories) })}`;
+  }
+  return { message, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+// Locale key of the button that moves an item to the given status
+function getStatusButtonKey(type, status) {
+  const keys = {
+    open: 'reopenButton',
+    in_progress: 'markInProgressButton',
+    satisfied: type === 'need' ? 'markNeedSatisfiedButton' : 'markResourceGivenAwayButton',
+    withdrawn: 'withdrawButton',
+  };
+  return keys[status];
+}
+
+// Locale key of the human readable status name
+function getStatusLabelKey(type, status) {
+  const keys = {
+    open: 'statusOpen',
+    in_progress: 'statusInProgress',
+    satisfied: type === 'need' ? 'statusNeedSatisfied' : 'statusResourceGivenAway',
+    withdrawn: 'statusWithdrawn',
+    expired: 'statusExpired',
+  };
+  return keys[status];
+}
+
 // Helper to list items for both needs and resources
 async function listItems(ctx, type) {
   if (ctx.chat.type !== 'private') return;
   const user = await storage.getUserData(ctx.from.id);
   const plural = `${type}s`;
-  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
   const capitalizedPlural = plural.charAt(0).toUpperCase() + plural.slice(1);
   if (user[plural].length === 0) {
     return ctx.reply(t(ctx, `no${capitalizedPlural}`));
   }
   for (let i = 0; i < user[plural].length; i++) {
-    const item = user[plural][i];
-    const createdAt = formatDate(item.createdAt);
-    const updatedAt = formatDate(item.updatedAt);
-    // Build delete (and optional bump) buttons, keyed by channelMessageId
-    const delId = item.channelMessageId;
-    const buttons = [
-      Markup.button.callback(
-        t(ctx, `delete${capitalized}Button`) || 'Delete',
-        `delete_${type}_${delId}`
-      )
-    ];
-    const last = new Date(item.updatedAt || item.createdAt);
-    const ageMs = Date.now() - last.getTime();
-    // Show bump only if item is older than 24 hours, using channelMessageId
-    if (ageMs >= 24 * 60 * 60 * 1000 && item.channelMessageId) {
-      buttons.push(
-        Markup.button.callback(
-          t(ctx, 'bumpButton') || 'Bump',
-          `bump_${type}_${item.channelMessageId}`
-        )
-      );
-    }
-    // Localized creation and update timestamps
-    let message = `${item.description}\n\n${t(ctx, 'createdAt', { date: createdAt })}`;
-    if (item.updatedAt && item.updatedAt !== item.createdAt) {
-      message += `\n${t(ctx, 'updatedAt', { date: updatedAt })}`;
-    }
-    await ctx.reply(
-      message,
-      Markup.inlineKeyboard([buttons])
+    const { message, keyboard } = buildListEntry(ctx, type, user[plural][i]);
+    await ctx.reply(message, keyboard);
+  }
+}
+// Helper to extract the description with its formatting entities and the files of a message, or of all messages of an album
+function extractItemContent(messages, forwardedChannel = null) {
+  // The description is the text or caption of the message, for albums the first caption
+  const captioned = _.find(messages, (message) => message.text || message.caption);
+  const text = captioned?.text || captioned?.caption || '';
+  // Trim by offsets rather than by text, so the formatting entities can be cut the same way
+  const start = text.length - text.trimStart().length;
+  let end = Math.max(start, text.trimEnd().length);
+  // Strip the footer rendered from the post template from messages forwarded from a channel
+  if (forwardedChannel) end = start + getForwardedDescriptionLength(text.slice(start, end), forwardedChannel);
+  return {
+    description: text.slice(start, end),
+    entities: sliceEntities(captioned?.entities || captioned?.caption_entities, start, end),
+    media: _.compact(_.map(messages, extractMessageMedia)),
+  };
+}
+
+/**
+ * Post an item to the channel. In repost mode the original message is forwarded and followed by
+ * a metadata reply, otherwise the item is sent as a single post.
+ * @param {Object} telegram - Telegram API client.
+ * @param {'need'|'resource'} type - Type of the item.
+ * @param {Object} item - Item to publish.
+ * @param {Object} [source] - Original message as { chatId, messageId, messageIds }, needed for reposts;
+ *   messageIds lists all messages of an album.
+ * @returns {Promise<Object>} Channel message IDs to store on the item.
+ */
+async function publishItem(telegram, type, item, source) {
+  if (ENABLE_REPOSTS && source) {
+    const channel = getItemChannel(item);
+    const album = source.messageIds
+      ? _.map(await telegram.forwardMessages(channel, source.chatId, source.messageIds), 'message_id')
+      : undefined;
+    const forwarded = album
+      ? { message_id: album[0] }
+      : await telegram.forwardMessage(channel, source.chatId, source.messageId);
+    // Send metadata only (without description) as a reply to the forwarded message
+    const metadata = buildItemContent(type, item, { metadataOnly: true });
+    const post = await telegram.sendMessage(
+      channel,
+      metadata,
+      { parse_mode: 'HTML', reply_to_message_id: forwarded.message_id }
     );
+    return _.omitBy({
+      channelMessageId: post.message_id,
+      descriptionMessageId: forwarded.message_id,
+      albumMessageIds: album,
+    }, _.isUndefined);
   }
+  return sendChannelPost({ telegram, type, item });
+}
+
+// Helper to get the user info stored on items for later mentions (e.g. bump)
+function getUserSnapshot(from) {
+  return {
+    id: from.id,
+    username: from.username,
+    first_name: from.first_name,
+    last_name: from.last_name,
+    language_code: from.language_code
+  };
 }
+
+// Helper to match an item by the reference in callback data and edit actions: its guid, or the channel message ID
+// used before, which is not unique across channels but still arrives from older messages
+function matchItemRef(ref) {
+  return /^\d+$/.test(ref) ? { channelMessageId: Number(ref) } : { guid: ref };
+}
+
+// Items whose channel post is being replaced, so repeated clicks don't post them twice
+const itemsInFlight = new Set();
+
+// Helper to find an item of a user inside a transaction. Records are reloaded after a failed transaction,
+// so writes that follow Telegram calls look the item up again instead of reusing an earlier object.
+async function findUserItem(data, userId, type, predicate) {
+  const user = await data.getUserData(userId);
+  return _.find(user[`${type}s`], predicate) || null;
+}
+
+// Helper to claim an item for a change of its channel post; returns null if it is missing, fails the check
+// or is already being changed. Release it with itemsInFlight.delete(item.guid).
+async function claimUserItem(userId, type, predicate, check = () => true) {
+  return storage.transaction(async (data) => {
+    const item = await findUserItem(data, userId, type, predicate);
+    if (!item || !check(item) || itemsInFlight.has(item.guid)) return null;
+    itemsInFlight.add(item.guid);
+    return item;
+  });
+}
+
 // Helper to add a new item (need or resource)
 async function addItem(ctx, type) {
   const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
   const promptKey = `prompt${capitalized}`;
 
   let description = '';
-  let fileId = null;
+  let entities = [];
+  let media = [];
   // Detect forwarded messages from channel to strip auto-appended lines
-  const channelName = CHANNEL_USERNAME.startsWith('@') ? CHANNEL_USERNAME.slice(1) : CHANNEL_USERNAME;
-  const isFromChannelMsg = ctx.message.forward_from_chat && ctx.message.forward_from_chat.username === channelName;
+  const forwardedChannel = getForwardedChannel(ctx.message);
 
   // If command used as a reply, take replied message as input
   if (ctx.message.text && ctx.message.text.startsWith('/') && ctx.message.reply_to_message) {
@@ -359,67 +582,18 @@ async function addItem(ctx, type) {
     }
 
     const replied = ctx.message.reply_to_message;
-    const isFromChannel = replied.forward_from_chat && replied.forward_from_chat.username === channelName;
-    if (replied.photo && replied.photo.length > 0) {
-      fileId = replied.photo[replied.photo.length - 1].file_id;
-      let raw = replied.caption?.trim() || '';
-      if (isFromChannel) {
-        const lines = raw.split('\n');
-        if (lines.length >= 3) raw = lines.slice(0, -2).join('\n').trim();
-      }
-      description = raw;
-    } else if (replied.document && replied.document.mime_type.startsWith('image/')) {
-      fileId = replied.document.file_id;
-      let raw = replied.caption?.trim() || '';
-      if (isFromChannel) {
-        const lines = raw.split('\n');
-        if (lines.length >= 3) raw = lines.slice(0, -2).join('\n').trim();
-      }
-      description = raw;
-    } else if (replied.text) {
-      let raw = replied.text.trim();
-      if (isFromChannel) {
-        const lines = raw.split('\n');
-        if (lines.length >= 3) raw = lines.slice(0, -2).join('\n').trim();
-      }
-      description = raw;
-    }
+    ({ description, entities, media } = extractItemContent([replied], getForwardedChannel(replied)));
   } else {
     // Prepare and reject commands as input
     if (ctx.message.text && ctx.message.text.startsWith('/')) {
       await ctx.reply(t(ctx, promptKey));
       return;
     }
-    // Support both text and image inputs, strip channel footer if forwarded
-    const hasPhoto = ctx.message.photo && ctx.message.photo.length > 0;
-    const hasDocImage = ctx.message.document && ctx.message.document.mime_type.startsWith('image/');
-    if (hasPhoto) {
-      fileId = ctx.message.photo[ctx.message.photo.length - 1].file_id;
-      let raw = ctx.message.caption?.trim() || '';
-      if (isFromChannelMsg) {
-        const lines = raw.split('\n');
-        if (lines.length >= 3) raw = lines.slice(0, -2).join('\n').trim();
-      }
-      description = raw;
-    } else if (hasDocImage) {
-      fileId = ctx.message.document.file_id;
-      let raw = ctx.message.caption?.trim() || '';
-      if (isFromChannelMsg) {
-        const lines = raw.split('\n');
-        if (lines.length >= 3) raw = lines.slice(0, -2).join('\n').trim();
-      }
-      description = raw;
-    } else if (ctx.message.text) {
-      let raw = ctx.message.text.trim();
-      if (isFromChannelMsg) {
-        const lines = raw.split('\n');
-        if (lines.length >= 3) raw = lines.slice(0, -2).join('\n').trim();
-      }
-      description = raw;
-    }
+    // Support text, media and albums collected by the message handler, strip channel footer if forwarded
+    ({ description, entities, media } = extractItemContent(ctx.album || [ctx.message], forwardedChannel));
   }
 
-  if (!description && !fileId) {
+  if (!description && !media.length) {
     await ctx.reply(t(ctx, promptKey));
     return;
   }
@@ -437,256 +611,957 @@ async function addItem(ctx, type) {
     }
   }
   const user = await storage.getUserData(ctx.from.id);
-  // Enforce rolling 24-hour creation limits
-  const fieldKey = `${type}s`;
-  const sinceTs = Date.now() - 24 * 60 * 60 * 1000;
-  const recentItems = _.filter(
-    user[fieldKey],
-    (item) => new Date(item.createdAt).getTime() >= sinceTs
-  );
-  const limitKey = type === 'need' ? 'limitNeedsPerDay' : 'limitResourcesPerDay';
-  const limit = DAILY_LIMITS[type];
-  if (recentItems.length >= limit) {
-    await ctx.reply(t(ctx, limitKey, { count: recentItems.length, limit }));
-    const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-    delete pendingActions[pendingKey];
+  if (isBanned(user)) {
+    await ctx.reply(t(ctx, 'bannedUser'));
+    await clearPendingAction(ctx);
     return;
   }
   const config = {
-    need: {
-      field: 'needs',
-      role: 'requestor',
-      channelTemplate: (description, from) =>
-        `${description}\n\n<i>Need of ${buildUserMention({ user: from })}.</i>`
-    },
-    resource: {
-      field: 'resources',
-      role: 'supplier',
-      channelTemplate: (description, from) =>
-        `${description}\n\n<i>Resource provided by ${buildUserMention({ user: from })}.</i>`
-    }
+    need: { field: 'needs', role: 'requestor' },
+    resource: { field: 'resources', role: 'supplier' }
   };
-  const { field, role, channelTemplate } = config[type];
+  const { field, role } = config[type];
   const timestamp = new Date().toISOString();
+  // Categories picked in the prompt keyboard plus the ones named by hashtags in the description
+  const session = sessions.getSession(ctx.from.id, ctx.chat.id);
+  const tags = extractHashtags(description);
+  const selected = session?.categories;
   const item = {
     // Persist full user info for later mentions (e.g. bump)
-    user: {
-      id: ctx.from.id,
-      username: ctx.from.username,
-      first_name: ctx.from.first_name,
-      last_name: ctx.from.last_name
-    },
+    user: getUserSnapshot(ctx.from),
     [role]: ctx.from.username || ctx.from.first_name || 'unknown',
     guid: uuidv7(),
     description,
+    categories: resolveItemCategories(CATEGORIES, { selected, tags }),
+    tags,
+    status: 'open',
     createdAt: timestamp,
     updatedAt: timestamp
   };
-  if (fileId) item.fileId = fileId;
+  // Formatting of the description, rendered into the channel post by buildItemContent
+  if (entities.length) item.entities = entities;
+  if (media.length) item.media = media;
+  // A location shared before the description wins over a city named in it
+  const location = session?.location || getTextLocation(description);
+  if (location) item.location = location;
+  // Remember the channel, so later deletes, bumps and edits target it even if routing changes
+  const category = _.find(item.categories, (id) => CHANNEL_ROUTES.categories[id]);
+  item.channel = resolveChannel({ routes: CHANNEL_ROUTES, chatId: ctx.chat.id, category });
+  // The original message is forwarded in repost mode, also when the item is approved later
+  const source = { chatId: ctx.chat.id, messageId: ctx.message.message_id };
+  if (ctx.album) source.messageIds = _.map(ctx.album, 'message_id');
+  // Items of admins are trusted and skip the queue
+  const moderated = MODERATION_ENABLED && !isAdmin(ADMIN_IDS, ctx.from.id);
+  if (moderated) {
+    submitForModeration(item);
+    if (ENABLE_REPOSTS) item.source = source;
+  }
+  // The item is stored unposted in the transaction that checks the limits and duplicates, so messages sent at the
+  // same time can't all pass the checks
+  item.channelMessageId = null;
+  const checked = await storage.transaction(async (data) => {
+    const owner = await data.getUserData(ctx.from.id);
+    // Enforce rolling 24-hour creation limits; imported items count against the bulk limit instead
+    const sinceTs = Date.now() - 24 * 60 * 60 * 1000;
+    const count = _.filter(owner[field], (it) => !it.imported && new Date(it.createdAt).getTime() >= sinceTs).length;
+    const limit = getDailyLimit(DAILY_LIMITS, owner, getUserTrustTier(ctx.from.id, owner), type);
+    if (count >= limit) return { limit, count };
+    // Near-duplicates of recent active posts, by this user or anyone else, are rejected or flagged
+    const duplicate = findDuplicate({
+      description,
+      type,
+      entries: await data.findItems({ type, active: true, createdSince: Date.now() - DUPLICATE_WINDOW_MS }),
+      userId: ctx.from.id,
+      windowMs: DUPLICATE_WINDOW_MS,
+      threshold: DUPLICATE_THRESHOLD,
+    });
+    if (duplicate && DUPLICATE_ACTION === 'reject') return { duplicate, rejected: true };
+    // Flagged near-duplicates are shown to moderators
+    if (duplicate) item.duplicateOf = duplicate.item.guid;
+    owner[field].push(item);
+    return { duplicate };
+  });
+  if (checked.limit !== undefined) {
+    const limitKey = type === 'need' ? 'limitNeedsPerDay' : 'limitResourcesPerDay';
+    await ctx.reply(t(ctx, limitKey, { count: checked.count, limit: checked.limit }));
+    await clearPendingAction(ctx);
+    return;
+  }
+  const { duplicate } = checked;
+  if (checked.rejected) {
+    // The pending action stays, so a different description can be sent right away
+    await ctx.reply(t(ctx, duplicate.own ? 'duplicateOwnRejected' : 'duplicateRejected', { post: describePost(duplicate.item) }));
+    return;
+  }
+  if (moderated) {
+    await ctx.reply(t(ctx, `${type}Queued`));
+    if (duplicate) await ctx.reply(t(ctx, 'duplicateWarning', { post: describePost(duplicate.item) }));
+    await clearPendingAction(ctx);
+    await sendModerationRequest(ctx.telegram, { userId: String(ctx.from.id), type, item });
+    return;
+  }
   try {
-    let post;
-    if (ENABLE_REPOSTS) {
-      // Forward the original user message to the channel
-      const forwarded = await ctx.telegram.forwardMessage(
-        CHANNEL_USERNAME,
-        ctx.chat.id,
-        ctx.message.message_id
-      );
-      // Store the forwarded message ID for reference
-      item.descriptionMessageId = forwarded.message_id;
-      // Send metadata only (without description) as a reply to the forwarded message
-      const mention = buildUserMention({ user: ctx.from });
-      const metadata = type === 'need'
-        ? `<i>Need of ${mention}.</i>`
-        : `<i>Resource provided by ${mention}.</i>`;
-      post = await ctx.telegram.sendMessage(
-        CHANNEL_USERNAME,
-        metadata,
-        { parse_mode: 'HTML', reply_to_message_id: forwarded.message_id }
-      );
-    } else if (fileId) {
-      post = await ctx.telegram.sendPhoto(
-        CHANNEL_USERNAME,
-        fileId,
-        { caption: channelTemplate(item.description, ctx.from), parse_mode: 'HTML' }
-      );
-    } else {
-      post = await ctx.telegram.sendMessage(
-        CHANNEL_USERNAME,
-        channelTemplate(item.description, ctx.from),
-        { parse_mode: 'HTML' }
-      );
-    }
-    item.channelMessageId = post.message_id;
-  } catch (e) {
-    item.channelMessageId = null;
+    const ids = await publishItem(ctx.telegram, type, item, source);
+    const stored = await storage.transaction(async (data) => {
+      const current = await findUserItem(data, ctx.from.id, type, { guid: item.guid });
+      if (current) Object.assign(current, ids);
+      return Boolean(current);
+    });
+    // Deleted while it was being posted
+    if (!stored) await deleteChannelPost({ telegram: ctx.telegram, item: { ...item, ...ids } });
+    Object.assign(item, ids);
+  } catch (err) {
+    // The item is kept unposted, `node admin.js resend` publishes it later
+    console.error(`Failed to publish ${type} ${item.guid}:`, err);
   }
-  user[field].push(item);
-  await storage.writeDB();
   // Send confirmation: private chat vs group chat
   // Use specialized translation in private chats to mention management commands
   const privateKey = type === 'need' ? 'needAddedPrivate' : 'resourceAddedPrivate';
   const groupKey = type === 'need' ? 'needAdded' : 'resourceAdded';
   const replyKey = ctx.chat.type === 'private' ? privateKey : groupKey;
-  await ctx.reply(t(ctx, replyKey, { channel: CHANNEL_USERNAME }));
-  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-  delete pendingActions[pendingKey];
-}
-// Helper to format timestamps consistently
-function formatDate(ts) {
-  return new Date(ts || Date.now()).toLocaleString();
+  await ctx.reply(t(ctx, replyKey, { channel: item.channel, bot: `@${getBotUsername()}` }));
+  if (duplicate) await ctx.reply(t(ctx, 'duplicateWarning', { post: describePost(duplicate.item) }));
+  await clearPendingAction(ctx);
+  try {
+    await suggestMatches({ telegram: ctx.telegram, userId: ctx.from.id, type, guid: item.guid });
+  } catch (err) {
+    console.error(`Failed to suggest matches for ${type} ${item.guid}:`, err);
+  }
 }
-// Consolidated handlers for prompt, listing, and deletion of needs and resources
-const itemTypes = ['need', 'resource'];
-itemTypes.forEach((type) => {
+
+/**
+ * Replace the description and/or image of an existing item with the content of the current message
+ * and update its channel post in place. The previous version is kept in item.editHistory.
+ * @param {Object} ctx - Telegraf context of the message with the new content.
+ * @param {'need'|'resource'} type - Type of the edited item.
+ * @param {string} ref - Guid of the item, or its channel message ID in edits started before items were keyed by guid.
+ */
+async function editItem(ctx, type, ref) {
   const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
-  const plural = `${type}s`;
-  const capitalizedPlural = plural.charAt(0).toUpperCase() + plural.slice(1);
-  const buttonKey = `button${capitalized}`;
-  const promptKey = `prompt${capitalized}`;
-  const deleteButtonKey = `delete${capitalized}Button`;
+  if (ctx.message.text && ctx.message.text.startsWith('/')) {
+    await ctx.reply(t(ctx, `promptEdit${capitalized}`));
+    return;
+  }
+  const content = extractItemContent(ctx.album || [ctx.message]);
+  if (!content.description && !content.media.length) {
+    await ctx.reply(t(ctx, `promptEdit${capitalized}`));
+    return;
+  }
+  const item = await claimUserItem(ctx.from.id, type, matchItemRef(ref));
+  if (!item) {
+    await clearPendingAction(ctx);
+    await ctx.reply(t(ctx, 'editFailed'));
+    return;
+  }
+  try {
+    await applyItemEdit(ctx, type, item, content);
+  } finally {
+    itemsInFlight.delete(item.guid);
+  }
+}
 
-  // Prompt handlers (/need and keyboard)
-  bot.command(type, async (ctx) => {
-    // Disallow anonymous (chat/channel) accounts from creating items
-    if (ctx.message.sender_chat) {
-      await ctx.reply(t(ctx, 'anonymousNotAllowed'));
+// Helper to edit the channel post of a claimed item and store the new content with the edit history
+async function applyItemEdit(ctx, type, item, content) {
+  const msgId = item.channelMessageId;
+  // Files without caption only replace the files and keep the description
+  const description = content.description || item.description;
+  const entities = content.description ? content.entities : item.entities;
+  const oldMedia = getItemMedia(item);
+  const media = content.media.length ? content.media : oldMedia;
+  const tagged = retagItem(item, description);
+  const location = locateItem(item, description);
+  const now = new Date().toISOString();
+  const updated = _.omitBy({
+    ...item,
+    user: item.user || ctx.from,
+    description,
+    entities,
+    media,
+    ...tagged,
+    location,
+    updatedAt: now,
+  }, _.isNil);
+  const caption = buildItemContent(type, updated);
+  const channel = getItemChannel(item);
+  let ids = {};
+  try {
+    if (item.descriptionMessageId || !canEditMediaInPlace(oldMedia, content.media)) {
+      // Reposted messages and changes of the kind or number of files can't be edited in place, so publish
+      // a new post, and remove the old one only once the new one is there
+      ids = await sendChannelPost({ telegram: ctx.telegram, type, item: _.omit(updated, ['descriptionMessageId', 'albumMessageIds']) });
+      await deleteChannelPost({ telegram: ctx.telegram, item });
+    } else if (content.media.length) {
+      await ctx.telegram.editMessageMedia(channel, msgId, undefined, toInputMedia(media[0], { caption, parse_mode: 'HTML' }));
+    } else if (media.length) {
+      await ctx.telegram.editMessageCaption(channel, msgId, undefined, caption, { parse_mode: 'HTML' });
+    } else {
+      await ctx.telegram.editMessageText(channel, msgId, undefined, caption, { parse_mode: 'HTML' });
+    }
+  } catch (err) {
+    const desc = err.response?.description || '';
+    if (!/message is not modified/i.test(desc)) {
+      console.error(`Failed to edit channel message ${msgId}:`, err);
+      await ctx.reply(t(ctx, 'editFailed'));
       return;
     }
-
-    // Check if this is a reply to a help/start message
-    if (ctx.message.reply_to_message) {
-      if (isBotSystemMessage(ctx.message.reply_to_message, bot.botInfo.id)) {
-        // Just switch to the new mode without publishing
-        const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-        pendingActions[pendingKey] = type;
-        await ctx.reply(t(ctx, promptKey));
-        return;
-      }
-
-      // For other replies, proceed with normal addItem logic
-      return addItem(ctx, type);
+  }
+  // Keep the previous version in the edit history
+  const stored = await storage.transaction(async (data) => {
+    const current = await findUserItem(data, ctx.from.id, type, { guid: item.guid });
+    if (!current) return false;
+    current.editHistory = current.editHistory || [];
+    current.editHistory.push(_.omitBy({
+      description: current.description,
+      entities: _.isEmpty(current.entities) ? undefined : current.entities,
+      media: _.isEmpty(oldMedia) ? undefined : oldMedia,
+      editedAt: now,
+    }, _.isNil));
+    current.description = description;
+    if (!_.isEmpty(entities)) current.entities = entities;
+    else delete current.entities;
+    Object.assign(current, tagged);
+    if (location) current.location = location;
+    else delete current.location;
+    if (media.length) current.media = media;
+    delete current.fileId;
+    if (ids.channelMessageId) {
+      delete current.descriptionMessageId;
+      delete current.albumMessageIds;
+      Object.assign(current, ids);
     }
+    current.updatedAt = now;
+    return true;
+  });
+  await clearPendingAction(ctx);
+  if (!stored) {
+    // Deleted while the post was being edited
+    if (ids.channelMessageId) await deleteChannelPost({ telegram: ctx.telegram, item: { ..._.omit(item, ['descriptionMessageId', 'albumMessageIds']), ...ids } });
+    await ctx.reply(t(ctx, 'editFailed'));
+    return;
+  }
+  await ctx.reply(t(ctx, `${type}Updated`));
+}
 
-    // Set pending and schedule prompt after delay
-    const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-    pendingActions[pendingKey] = type;
-    setTimeout(() => {
-      if (pendingActions[pendingKey] === type) {
-        ctx.reply(t(ctx, promptKey));
+// Build a plain text list of matched items with links to their channel posts
+function formatMatchList(matches) {
+  return matches.map((match, index) => {
+    const description = _.truncate(match.item.description || '', { length: 200 });
+    const link = match.item.channelMessageId ? `\n${getItemPostLink(match.item)}` : '';
+    return `${index + 1}. ${description}${link}`;
+  }).join('\n\n');
+}
+
+/**
+ * Score a newly added item against stored items of the opposite type and DM both owners
+ * the top candidates. Suggested pairs are remembered on both items so they are never repeated.
+ * @param {Object} options
+ * @param {Object} options.telegram - Telegram API client.
+ * @param {number} options.userId - Owner of the new item.
+ * @param {'need'|'resource'} options.type - Type of the new item.
+ * @param {string} options.guid - GUID of the new item.
+ */
+async function suggestMatches({ telegram, userId, type, guid }) {
+  const { own, matches } = await storage.transaction(async (data) => {
+    const ownEntry = await data.findItemByGuid(guid);
+    if (!ownEntry) return { matches: [] };
+    const counterType = type === 'need' ? 'resource' : 'need';
+    const candidates = _.reject(
+      await data.findItems({ type: counterType, active: true }),
+      (entry) => isAwaitingApproval(entry.item)
+    );
+    const found = findMatches({
+      item: ownEntry.item,
+      userId,
+      candidates,
+      limit: MATCH_LIMIT,
+      threshold: MATCH_THRESHOLD,
+    });
+    // Remember suggested pairs on both sides before notifying
+    if (found.length) {
+      ownEntry.item.suggestedMatches = _.union(ownEntry.item.suggestedMatches || [], _.map(found, 'item.guid'));
+      for (const match of found) {
+        match.item.suggestedMatches = _.union(match.item.suggestedMatches || [], [guid]);
       }
-    }, PROMPT_DELAY_MS);
+    }
+    return { own: ownEntry, matches: found };
   });
-  bot.hears([
-    t({ from: { language_code: 'en' } }, buttonKey),
-    t({ from: { language_code: 'ru' } }, buttonKey)
-  ], async (ctx) => {
-    // Disallow anonymous (chat/channel) accounts from creating items
-    if (ctx.message.sender_chat) {
-      await ctx.reply(t(ctx, 'anonymousNotAllowed'));
-      return;
+  if (!matches.length) return;
+  const listKey = type === 'need' ? 'matchesForNeed' : 'matchesForResource';
+  const counterListKey = type === 'need' ? 'matchesForResource' : 'matchesForNeed';
+  const lang = getUserContext(userId, own.item.user?.language_code);
+  try {
+    await telegram.sendMessage(
+      userId,
+      `${t(lang, listKey, { description: _.truncate(own.item.description || '', { length: 100 }) })}\n\n${formatMatchList(matches)}`,
+      { disable_web_page_preview: true }
+    );
+  } catch (err) {
+    console.log(`Could not send matches to user ${userId}:`, err.message);
+  }
+  for (const match of matches) {
+    const counterLang = getUserContext(match.userId, match.item.user?.language_code);
+    try {
+      await telegram.sendMessage(
+        match.userId,
+        `${t(counterLang, counterListKey, { description: _.truncate(match.item.description || '', { length: 100 }) })}\n\n${formatMatchList([own])}`,
+        { disable_web_page_preview: true }
+      );
+    } catch (err) {
+      console.log(`Could not send matches to user ${match.userId}:`, err.message);
     }
-    // Keyboard-triggered same flow with delayed prompt
-    const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-    pendingActions[pendingKey] = type;
-    setTimeout(() => {
-      if (pendingActions[pendingKey] === type) {
-        ctx.reply(t(ctx, promptKey));
+  }
+}
+/**
+ * Remind owners about items without activity for longer than ITEM_TTL_MS and expire items whose
+ * owners did not react to the reminder within REMINDER_GRACE_MS.
+ * @param {Object} options
+ * @param {Object} options.telegram - Telegram API client.
+ * @param {boolean} [options.tracing=false] - Enable detailed tracing logs.
+ */
+async function checkStaleItems({ telegram, tracing = false }) {
+  const entries = await storage.findItems({ active: true });
+  for (const { userId, type, item } of entries) {
+    const action = getStaleItemAction(item, { ttlMs: ITEM_TTL_MS, graceMs: REMINDER_GRACE_MS });
+    if (!action) continue;
+    const msgId = item.channelMessageId;
+    // The owner may have bumped, confirmed or closed the item since it was listed, so check again while claiming it
+    const claimed = await storage.transaction(async (data) => {
+      const current = await findUserItem(data, userId, type, { guid: item.guid });
+      if (!current || getStaleItemAction(current, { ttlMs: ITEM_TTL_MS, graceMs: REMINDER_GRACE_MS }) !== action) return null;
+      if (action === 'expire') {
+        current.status = 'expired';
+        current.statusUpdatedAt = new Date().toISOString();
+      } else {
+        current.reminderSentAt = new Date().toISOString();
       }
-    }, PROMPT_DELAY_MS);
-  });
-
-  // Listing handlers using the generic helper
-  bot.command(plural, async (ctx) => {
-    await listItems(ctx, type);
-  });
-  bot.hears([
-    t({ from: { language_code: 'en' } }, `buttonMy${capitalizedPlural}`),
-    t({ from: { language_code: 'ru' } }, `buttonMy${capitalizedPlural}`)
-  ], async (ctx) => {
-    // Disallow anonymous (chat/channel) accounts from creating items
-    if (ctx.message.sender_chat) {
-      await ctx.reply(t(ctx, 'anonymousNotAllowed'));
-      return;
+      return current;
+    });
+    if (!claimed) continue;
+    if (action === 'expire') {
+      if (tracing) console.log(`checkStaleItems: expiring ${type} ${msgId} of user ${userId}`);
+      await deleteChannelPost({ telegram, item: claimed, tracing });
+      continue;
     }
-    await listItems(ctx, type);
-  });
-
-  // Deletion handlers
-  bot.action(new RegExp(`delete_${type}_(\\d+)`), async (ctx) => {
-    const msgId = parseInt(ctx.match[1], 10);
-    const user = await storage.getUserData(ctx.from.id);
-    const collection = user[plural];
-    // Remove items matching channelMessageId
-    const removedItems = _.remove(collection, (it) => it.channelMessageId === msgId);
-    if (!removedItems.length) {
-      return ctx.answerCbQuery('Not found');
+    if (tracing) console.log(`checkStaleItems: reminding user ${userId} about ${type} ${msgId}`);
+    const lang = getUserContext(userId, item.user?.language_code);
+    const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+    try {
+      await telegram.sendMessage(
+        userId,
+        t(lang, `reminder${capitalized}`, {
+          description: _.truncate(item.description || '', { length: 200 }),
+          date: formatDate(lang, item.updatedAt || item.createdAt),
+        }),
+        Markup.inlineKeyboard([[
+          Markup.button.callback(t(lang, 'bumpButton'), `bump_${type}_${item.guid}`),
+          Markup.button.callback(t(lang, 'stillRelevantButton'), `keep_${type}_${item.guid}`),
+          Markup.button.callback(t(lang, 'closeButton'), `status_${type}_withdrawn_${item.guid}`),
+        ]])
+      );
+    } catch (err) {
+      // The owner still gets the grace period before the item expires
+      console.log(`Could not send reminder to user ${userId}:`, err.message);
     }
-    const removed = removedItems[0];
-    // Use helper to delete or mark as deleted
-    await deleteChannelMessage({ telegram: ctx.telegram, channel: CHANNEL_USERNAME, msgId });
-    await storage.writeDB();
-    const createdAt = formatDate(removed.createdAt);
-    const deletedAt = formatDate();
-    await ctx.editMessageText(
-      `${removed.description}\n\n${t(ctx, 'createdAt', { date: createdAt })}\n${t(ctx, 'deletedAt', { date: deletedAt })}`
-    );
-    // answer the callback query to remove loading state
+  }
+}
+
+/**
+ * DM admins a queued item with Approve / Reject / Edit buttons. Reported items include the reasons.
+ * @param {Object} telegram - Telegram API client.
+ * @param {Object} entry - Queued item as { userId, type, item }.
+ * @param {Array<number|string>} [adminIds=ADMIN_IDS] - Admins to notify.
+ */
+async function sendModerationRequest(telegram, { userId, type, item }, adminIds = ADMIN_IDS) {
+  const lang = { from: {} };
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  const reports = item.moderation?.reports || [];
+  const author = buildUserMention({ user: item.user || { id: userId } });
+  let text = reports.length
+    ? t(lang, `moderationReported${capitalized}`, { author, count: reports.length })
+    : t(lang, `moderationNew${capitalized}`, { author });
+  text += `\n\n${_.escape(_.truncate(item.description || '', { length: 700 }))}`;
+  if (item.channelMessageId) text += `\n${getItemPostLink(item)}`;
+  const duplicate = item.duplicateOf && await storage.findItemByGuid(item.duplicateOf);
+  if (duplicate) text += `\n\n${t(lang, 'moderationDuplicate', { post: _.escape(describePost(duplicate.item)) })}`;
+  const reasons = _.compact(_.map(reports, 'reason'));
+  if (reasons.length) {
+    text += `\n\n${t(lang, 'moderationReportReasons')}\n${reasons.map((reason) => `- ${_.escape(reason)}`).join('\n')}`;
+  }
+  const keyboard = Markup.inlineKeyboard([[
+    Markup.button.callback(t(lang, 'approveButton'), `moderate_approve_${item.guid}`),
+    Markup.button.callback(t(lang, 'rejectButton'), `moderate_reject_${item.guid}`),
+    Markup.button.callback(t(lang, 'editButton'), `moderate_edit_${item.guid}`),
+  ]]);
+  const media = getItemMedia(item);
+  for (const adminId of adminIds) {
+    try {
+      if (media.length === 1) {
+        await telegram[MEDIA_SEND_METHODS[media[0].type]](adminId, media[0].fileId, {
+          caption: _.truncate(text, { length: 1024 }),
+          parse_mode: 'HTML',
+          ...keyboard,
+        });
+      } else {
+        // Albums can't have buttons, so the files go first and the request follows
+        if (media.length) await telegram.sendMediaGroup(adminId, media.map((file) => toInputMedia(file)));
+        await telegram.sendMessage(adminId, text, { parse_mode: 'HTML', disable_web_page_preview: true, ...keyboard });
+      }
+    } catch (err) {
+      console.log(`Could not send moderation request to admin ${adminId}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Approve a queued item: new items are posted to the channel and their owner is notified,
+ * reported items simply stay published.
+ * @param {Object} telegram - Telegram API client.
+ * @param {Object} entry - Queued item as { userId, type, item }.
+ * @param {number} adminId - Telegram ID of the approving admin.
+ * @returns {Promise<boolean>} False if the item was already handled by another admin.
+ */
+async function approveQueuedItem(telegram, { userId, type, item: { guid } }, adminId) {
+  // Claim the item first, so approvals by several admins at once post it only once
+  const claimed = await storage.transaction(async (data) => {
+    const current = await findUserItem(data, userId, type, { guid });
+    if (!current || !isPendingModeration(current)) return null;
+    approveItem(current, { adminId });
+    return current;
+  });
+  if (!claimed) return false;
+  if (claimed.channelMessageId) return true;
+  let ids;
+  try {
+    ids = await publishItem(telegram, type, claimed, claimed.source);
+  } catch (err) {
+    await storage.transaction(async (data) => {
+      const current = await findUserItem(data, userId, type, { guid });
+      if (current) current.moderation.state = 'pending';
+    });
+    throw err;
+  }
+  const item = await storage.transaction(async (data) => {
+    const current = await findUserItem(data, userId, type, { guid });
+    if (!current) return null;
+    Object.assign(current, ids);
+    delete current.source;
+    current.updatedAt = new Date().toISOString();
+    return current;
+  });
+  if (!item) {
+    // Deleted by its owner while it was being posted
+    await deleteChannelPost({ telegram, item: { ...claimed, ...ids } });
+    return true;
+  }
+  const lang = getUserContext(userId, item.user?.language_code);
+  try {
+    await telegram.sendMessage(userId, t(lang, `${type}Approved`, { link: getItemPostLink(item) }));
+  } catch (err) {
+    console.log(`Could not notify user ${userId} about approval:`, err.message);
+  }
+  try {
+    await suggestMatches({ telegram, userId, type, guid: item.guid });
+  } catch (err) {
+    console.error(`Failed to suggest matches for ${type} ${item.guid}:`, err);
+  }
+  return true;
+}
+
+/**
+ * Reject a queued item: remove it together with its channel post, if any, and notify the owner.
+ * @param {Object} telegram - Telegram API client.
+ * @param {Object} entry - Queued item as { userId, type, item }.
+ * @returns {Promise<boolean>} False if the item was already handled by another admin.
+ */
+async function rejectQueuedItem(telegram, { userId, type, item: { guid } }) {
+  const [item] = await storage.transaction(async (data) => {
+    const owner = await data.getUserData(userId);
+    return _.remove(owner[`${type}s`], (it) => it.guid === guid && isPendingModeration(it));
+  });
+  if (!item) return false;
+  await deleteChannelPost({ telegram, item });
+  const lang = getUserContext(userId, item.user?.language_code);
+  try {
+    await telegram.sendMessage(userId, t(lang, `${type}Rejected`, {
+      description: _.truncate(item.description || '', { length: 200 }),
+    }));
+  } catch (err) {
+    console.log(`Could not notify user ${userId} about rejection:`, err.message);
+  }
+  return true;
+}
+
+// Replace the description of a queued item with the text sent by an admin and ask for a decision again
+async function moderateEditItem(ctx, guid) {
+  if (!ctx.message.text || ctx.message.text.startsWith('/')) {
+    await ctx.reply(t(ctx, 'promptModerationEdit'));
+    return;
+  }
+  await clearPendingAction(ctx);
+  const entry = await storage.findItemByGuid(guid);
+  if (!entry || !isPendingModeration(entry.item) || !isAdmin(ADMIN_IDS, ctx.from.id)) {
+    await ctx.reply(t(ctx, 'moderationAlreadyHandled'));
+    return;
+  }
+  const { description, entities } = extractItemContent([ctx.message]);
+  const item = await storage.transaction(async (data) => {
+    const current = await findUserItem(data, entry.userId, entry.type, { guid });
+    if (!current || !isPendingModeration(current)) return null;
+    const now = new Date().toISOString();
+    current.editHistory = current.editHistory || [];
+    current.editHistory.push(_.omitBy({
+      description: current.description,
+      entities: _.isEmpty(current.entities) ? undefined : current.entities,
+      editedAt: now,
+      editedBy: String(ctx.from.id),
+    }, _.isNil));
+    current.description = description;
+    if (entities.length) current.entities = entities;
+    else delete current.entities;
+    Object.assign(current, retagItem(current, current.description));
+    const location = locateItem(current, current.description);
+    if (location) current.location = location;
+    else delete current.location;
+    // A forwarded original would show the unedited text, so post the item itself instead
+    delete current.source;
+    current.updatedAt = now;
+    return current;
+  });
+  if (!item) {
+    await ctx.reply(t(ctx, 'moderationAlreadyHandled'));
+    return;
+  }
+  if (item.channelMessageId) {
+    try {
+      await updateChannelPost({ telegram: ctx.telegram, type: entry.type, item });
+    } catch (err) {
+      console.error(`Failed to update channel message ${item.channelMessageId}:`, err);
+    }
+  }
+  await ctx.reply(t(ctx, 'moderationEdited'));
+  await sendModerationRequest(ctx.telegram, { ...entry, item }, [ctx.from.id]);
+}
+
+// Helper to format timestamps in the language, time zone and date format of a user
+function formatDate(ctx, ts) {
+  const { timeZone, dateFormat } = settings.get(ctx.from.id);
+  return formatDateTime(ts, { language: getLanguage(ctx), timeZone, dateFormat });
+}
+// Consolidated handlers for prompt, listing, and deletion of needs and resources
+const itemTypes = ['need', 'resource'];
+itemTypes.forEach((type) => {
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  const plural = `${type}s`;
+  const capitalizedPlural = plural.charAt(0).toUpperCase() + plural.slice(1);
+  const buttonKey = `button${capitalized}`;
+  const promptKey = `prompt${capitalized}`;
+  const deleteButtonKey = `delete${capitalized}Button`;
+
+  // Prompt handlers (/need and keyboard)
+  bot.command(type, async (ctx) => {
+    // Disallow anonymous (chat/channel) accounts from creating items
+    if (ctx.message.sender_chat) {
+      await ctx.reply(t(ctx, 'anonymousNotAllowed'));
+      return;
+    }
+
+    // Check if this is a reply to a help/start message
+    if (ctx.message.reply_to_message) {
+      if (isBotSystemMessage(ctx.message.reply_to_message, bot.botInfo.id)) {
+        // Just switch to the new mode without publishing
+        await setPendingAction(ctx, type, { prompted: true });
+        await ctx.reply(t(ctx, promptKey), getPromptExtra(ctx, type));
+        return;
+      }
+
+      // For other replies, proceed with normal addItem logic
+      return addItem(ctx, type);
+    }
+
+    // Set pending and schedule prompt after delay
+    await setPendingAction(ctx, type);
+    schedulePrompt(ctx, type);
+  });
+  bot.hears(translateAll(buttonKey), async (ctx) => {
+    // Disallow anonymous (chat/channel) accounts from creating items
+    if (ctx.message.sender_chat) {
+      await ctx.reply(t(ctx, 'anonymousNotAllowed'));
+      return;
+    }
+    // Keyboard-triggered same flow with delayed prompt
+    await setPendingAction(ctx, type);
+    schedulePrompt(ctx, type);
+  });
+
+  // Listing handlers using the generic helper
+  bot.command(plural, async (ctx) => {
+    await listItems(ctx, type);
+  });
+  bot.hears(translateAll(`buttonMy${capitalizedPlural}`), async (ctx) => {
+    // Disallow anonymous (chat/channel) accounts from creating items
+    if (ctx.message.sender_chat) {
+      await ctx.reply(t(ctx, 'anonymousNotAllowed'));
+      return;
+    }
+    await listItems(ctx, type);
+  });
+
+  // Deletion handlers
+  bot.action(new RegExp(`^delete_${type}_([\\w-]+)$`), async (ctx) => {
+    const removedItems = await storage.transaction(async (data) => {
+      const user = await data.getUserData(ctx.from.id);
+      return _.remove(user[plural], matchItemRef(ctx.match[1]));
+    });
+    if (!removedItems.length) {
+      return ctx.answerCbQuery('Not found');
+    }
+    const removed = removedItems[0];
+    // Use helper to delete or mark as deleted, together with the other files of an album; old buttons keyed by
+    // message ID may match items of several channels
+    for (const item of removedItems) {
+      await deleteChannelPost({ telegram: ctx.telegram, item });
+    }
+    const createdAt = formatDate(ctx, removed.createdAt);
+    const deletedAt = formatDate(ctx);
+    await ctx.editMessageText(
+      `${removed.description}\n\n${t(ctx, 'createdAt', { date: createdAt })}\n${t(ctx, 'deletedAt', { date: deletedAt })}`
+    );
+    // answer the callback query to remove loading state
     await ctx.answerCbQuery();
   });
 });
 // Bump handlers to refresh old messages in the channel
 itemTypes.forEach((type) => {
-  const plural = `${type}s`;
-  bot.action(new RegExp(`bump_${type}_(\\d+)`), async (ctx) => {
-    const msgId = parseInt(ctx.match[1], 10);
-    const user = await storage.getUserData(ctx.from.id);
-    const items = user[plural];
-    const item = _.find(items, (it) => it.channelMessageId === msgId);
+  bot.action(new RegExp(`^bump_${type}_([\\w-]+)$`), async (ctx) => {
+    const item = await claimUserItem(ctx.from.id, type, matchItemRef(ctx.match[1]));
     if (!item) return ctx.answerCbQuery('Not found');
-    // Repair missing or damaged user info from ctx.from
-    if (!item.user || item.user.id !== ctx.from.id) {
-      item.user = {
-        id: ctx.from.id,
-        username: ctx.from.username,
-        first_name: ctx.from.first_name,
-        last_name: ctx.from.last_name,
-      };
-    }
-    // Remove old channel message or mark as deleted
-    await deleteChannelMessage({ telegram: ctx.telegram, channel: CHANNEL_USERNAME, msgId });
-    // Build mention from repaired item.user
-    const mention = buildUserMention({ user: item.user });
-    const content = `${item.description}\n\n<i>${
-      type === 'need' ? 'Need of ' + mention : 'Resource provided by ' + mention
-    }.</i>`;
-    let post;
-    if (item.fileId) {
-      post = await ctx.telegram.sendPhoto(CHANNEL_USERNAME, item.fileId, { caption: content, parse_mode: 'HTML' });
-    } else {
-      post = await ctx.telegram.sendMessage(CHANNEL_USERNAME, content, { parse_mode: 'HTML' });
+    try {
+      await bumpItem(ctx, type, item);
+    } finally {
+      itemsInFlight.delete(item.guid);
     }
-    item.channelMessageId = post.message_id;
-    // Update updatedAt after bump
-    item.updatedAt = new Date().toISOString();
-    await storage.writeDB();
-    // Update private chat message to show updatedAt and remove bump button
-    const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
-    const deleteButtonKey = `delete${capitalized}Button`;
-    const createdAtStr = formatDate(item.createdAt);
-    const updatedAtStr = formatDate();
-    await ctx.editMessageText(
-      `${item.description}\n\n${t(ctx, 'createdAt', { date: createdAtStr })}\n${t(ctx, 'updatedAt', { date: updatedAtStr })}`,
-      Markup.inlineKeyboard([
-        [Markup.button.callback(
-          t(ctx, deleteButtonKey),
-          `delete_${type}_${item.channelMessageId}`
-        )]
-      ])
-    );
-    await ctx.answerCbQuery(t(ctx, 'bumped'));
   });
 });
+
+// Helper to repost a claimed item as a new channel post and update the message with its list entry
+async function bumpItem(ctx, type, item) {
+  // Repair missing or damaged user info from ctx.from
+  const itemUser = item.user && item.user.id === ctx.from.id
+    ? item.user
+    : {
+      id: ctx.from.id,
+      username: ctx.from.username,
+      first_name: ctx.from.first_name,
+      last_name: ctx.from.last_name,
+    };
+  // Build mention from repaired user info; the item is re-posted as a whole, also in repost mode
+  const updatedAt = new Date().toISOString();
+  let ids;
+  try {
+    ids = await sendChannelPost({
+      telegram: ctx.telegram,
+      type,
+      item: _.omit({ ...item, user: itemUser, updatedAt }, ['descriptionMessageId', 'albumMessageIds']),
+    });
+  } catch (err) {
+    console.error(`Failed to bump ${type} ${item.guid}:`, err);
+    return ctx.answerCbQuery(t(ctx, 'bumpFailed'));
+  }
+  // Remove old channel messages or mark them as deleted once the new post is there
+  await deleteChannelPost({ telegram: ctx.telegram, item });
+  // Update channel message IDs and updatedAt after bump
+  const bumped = await storage.transaction(async (data) => {
+    const current = await findUserItem(data, ctx.from.id, type, { guid: item.guid });
+    if (!current) return null;
+    current.user = itemUser;
+    delete current.descriptionMessageId;
+    delete current.albumMessageIds;
+    Object.assign(current, ids);
+    current.updatedAt = updatedAt;
+    return current;
+  });
+  if (!bumped) {
+    // Deleted while the new post was being sent
+    await deleteChannelPost({ telegram: ctx.telegram, item: { ..._.omit(item, ['descriptionMessageId', 'albumMessageIds']), ...ids } });
+    return ctx.answerCbQuery('Not found');
+  }
+  // Update private chat message to show updatedAt and remove bump button
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  const deleteButtonKey = `delete${capitalized}Button`;
+  const createdAtStr = formatDate(ctx, bumped.createdAt);
+  const updatedAtStr = formatDate(ctx);
+  await ctx.editMessageText(
+    `${bumped.description}\n\n${t(ctx, 'createdAt', { date: createdAtStr })}\n${t(ctx, 'updatedAt', { date: updatedAtStr })}`,
+    Markup.inlineKeyboard([
+      [Markup.button.callback(
+        t(ctx, deleteButtonKey),
+        `delete_${type}_${bumped.guid}`
+      )]
+    ])
+  );
+  await ctx.answerCbQuery(t(ctx, 'bumped'));
+}
+
+// Status handlers: move an item through its fulfilment lifecycle and re-render its channel post
+itemTypes.forEach((type) => {
+  bot.action(new RegExp(`^status_${type}_(open|in_progress|satisfied|withdrawn)_([\\w-]+)$`), async (ctx) => {
+    const status = ctx.match[1];
+    const { item, changed } = await storage.transaction(async (data) => {
+      const found = await findUserItem(data, ctx.from.id, type, matchItemRef(ctx.match[2]));
+      if (!found || !canTransition(getItemStatus(found), status)) return { item: found, changed: false };
+      found.status = status;
+      found.statusUpdatedAt = new Date().toISOString();
+      return { item: found, changed: true };
+    });
+    if (!item) return ctx.answerCbQuery('Not found');
+    if (!changed) return ctx.answerCbQuery();
+    try {
+      await updateChannelPost({ telegram: ctx.telegram, type, item });
+    } catch (err) {
+      console.error(`Failed to update status of channel message ${item.channelMessageId}:`, err);
+    }
+    const { message, keyboard } = buildListEntry(ctx, type, item);
+    await ctx.editMessageText(message, keyboard);
+    await ctx.answerCbQuery(t(ctx, getStatusLabelKey(type, status)));
+  });
+});
+
+// Reminder handlers: confirm that a stale item is still relevant without reposting it
+itemTypes.forEach((type) => {
+  bot.action(new RegExp(`^keep_${type}_([\\w-]+)$`), async (ctx) => {
+    const item = await storage.transaction(async (data) => {
+      const found = await findUserItem(data, ctx.from.id, type, matchItemRef(ctx.match[1]));
+      if (!found || !isItemActive(found)) return null;
+      found.confirmedAt = new Date().toISOString();
+      return found;
+    });
+    if (!item) return ctx.answerCbQuery('Not found');
+    const { message, keyboard } = buildListEntry(ctx, type, item);
+    await ctx.editMessageText(message, keyboard);
+    await ctx.answerCbQuery(t(ctx, 'confirmedRelevant'));
+  });
+});
+
+// Edit handlers: ask for the new content of an item
+itemTypes.forEach((type) => {
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  bot.action(new RegExp(`^edit_${type}_([\\w-]+)$`), async (ctx) => {
+    const user = await storage.getUserData(ctx.from.id);
+    const item = _.find(user[`${type}s`], matchItemRef(ctx.match[1]));
+    if (!item) return ctx.answerCbQuery('Not found');
+    await setPendingAction(ctx, `edit_${type}_${item.guid}`, { prompted: true });
+    await ctx.answerCbQuery();
+    await ctx.reply(t(ctx, `promptEdit${capitalized}`));
+  });
+});
+
+// Category picker of the need/resource prompt: toggle a category of the item being added
+bot.action(/^category_(\w+)$/, async (ctx) => {
+  const id = ctx.match[1];
+  const session = sessions.getSession(ctx.from.id, ctx.chat.id);
+  if (!session || !itemTypes.includes(session.action) || !_.some(CATEGORIES, { id })) {
+    return ctx.answerCbQuery(t(ctx, 'categoryPickerExpired'));
+  }
+  const categories = _.xor(session.categories || [], [id]);
+  await sessions.update(ctx.from.id, ctx.chat.id, { categories });
+  await ctx.editMessageReplyMarkup(getCategoryKeyboard(ctx, categories).reply_markup).catch(() => {});
+  await ctx.answerCbQuery();
+});
+
+// Build the text and inline keyboard for one page of search results
+async function renderSearchPage(ctx, session, page) {
+  const entries = _.filter(
+    await storage.findItems({ type: session.type, active: true }),
+    (entry) => entry.item.channelMessageId
+  );
+  const results = searchItems(entries, {
+    query: session.query,
+    type: session.type,
+    category: session.category,
+    maxAgeMs: session.ageDays ? session.ageDays * 24 * 60 * 60 * 1000 : undefined,
+    near: session.near,
+    radiusKm: session.radiusKm,
+  });
+  // Proximity searches have no query text, so describe the area instead
+  const title = session.near
+    ? t(ctx, 'nearTitle', { radius: session.radiusKm, place: formatPlace(session.near) })
+    : session.query;
+  const current = paginate(results, page, SEARCH_PAGE_SIZE);
+  let text;
+  if (!current.total) {
+    text = t(ctx, 'searchNoResults', { query: title });
+  } else {
+    const lines = current.items.map((entry, index) => {
+      const label = t(ctx, entry.type === 'need' ? 'labelNeed' : 'labelResource');
+      const description = _.truncate(entry.item.description || '', { length: 200 });
+      const distance = entry.distanceKm === undefined ? '' : ` (${formatDistance(entry.distanceKm)})`;
+      return `${current.offset + index + 1}. [${label}] ${description}${distance}\n${getItemPostLink(entry.item)}`;
+    });
+    text = `${t(ctx, 'searchResults', {
+      from: current.offset + 1,
+      to: current.offset + current.items.length,
+      total: current.total,
+      query: title,
+    })}\n\n${lines.join('\n\n')}`;
+  }
+  const mark = (selected, label) => (selected ? `✓ ${label}` : label);
+  const typeRow = [
+    Markup.button.callback(mark(!session.type, t(ctx, 'searchAll')), 'search_type_all'),
+    Markup.button.callback(mark(session.type === 'need', t(ctx, 'searchNeeds')), 'search_type_need'),
+    Markup.button.callback(mark(session.type === 'resource', t(ctx, 'searchResources')), 'search_type_resource'),
+  ];
+  const ageRow = Object.entries(SEARCH_AGE_FILTERS).map(([days, key]) => (
+    Markup.button.callback(mark(Number(days) === (session.ageDays || 0), t(ctx, key)), `search_age_${days}`)
+  ));
+  const categoryButtons = [
+    Markup.button.callback(mark(!session.category, t(ctx, 'searchAllCategories')), 'search_category_all'),
+    ...CATEGORIES.map((category) => Markup.button.callback(
+      mark(session.category === category.id, getCategoryLabel(category, getLanguage(ctx))),
+      `search_category_${category.id}`
+    )),
+  ];
+  const rows = [typeRow, ageRow, ..._.chunk(categoryButtons, 4)];
+  const navRow = [];
+  if (current.page > 0) {
+    navRow.push(Markup.button.callback(t(ctx, 'searchPrev'), `search_page_${current.page - 1}`));
+  }
+  if (current.page < current.pageCount - 1) {
+    navRow.push(Markup.button.callback(t(ctx, 'searchNext'), `search_page_${current.page + 1}`));
+  }
+  if (navRow.length) rows.push(navRow);
+  return { text, extra: { ...Markup.inlineKeyboard(rows), disable_web_page_preview: true } };
+}
+
+// Start a new search for the given query and reply with the first page of results
+async function runSearch(ctx, query) {
+  const sessionKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+  const session = { query: query.trim(), type: null, category: null, ageDays: 0 };
+  searchSessions[sessionKey] = session;
+  const { text, extra } = await renderSearchPage(ctx, session, 0);
+  await ctx.reply(text, extra);
+}
+
+// Start a proximity search around a location and reply with the first page of results
+async function runNearSearch(ctx, near, radiusKm = NEAR_RADIUS_KM) {
+  const sessionKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+  const session = { query: '', near, radiusKm, type: null, category: null, ageDays: 0 };
+  searchSessions[sessionKey] = session;
+  const { text, extra } = await renderSearchPage(ctx, session, 0);
+  await ctx.reply(text, extra);
+}
+
+// Start a proximity search around a typed city like "Berlin 10", or ask again when the city is unknown
+async function runNearCitySearch(ctx, text, defaultRadiusKm = NEAR_RADIUS_KM) {
+  const { place, radiusKm } = parseNearQuery(text);
+  const city = findCity(CITIES, place);
+  if (!city) {
+    await ctx.reply(t(ctx, 'unknownCity', { place }));
+    return false;
+  }
+  await runNearSearch(ctx, getCityLocation(city), radiusKm || defaultRadiusKm);
+  return true;
+}
+
+// Search command and keyboard button: search right away or ask for a query
+bot.command('search', async (ctx) => {
+  const query = ctx.message.text.replace(/^\/search(@\w+)?/i, '').trim();
+  if (query) {
+    return runSearch(ctx, query);
+  }
+  await setPendingAction(ctx, 'search', { prompted: true });
+  await ctx.reply(t(ctx, 'promptSearch'));
+});
+// Near command: items around a typed city, or around a location shared as the next message
+bot.command('near', async (ctx) => {
+  const text = ctx.message.text.replace(/^\/near(@\w+)?/i, '').trim();
+  const { place, radiusKm } = parseNearQuery(text);
+  if (place) {
+    await runNearCitySearch(ctx, text);
+    return;
+  }
+  await setPendingAction(ctx, 'near', { prompted: true });
+  if (radiusKm) await sessions.update(ctx.from.id, ctx.chat.id, { radiusKm });
+  await ctx.reply(t(ctx, 'promptNear'));
+});
+bot.hears(translateAll('buttonSearch'), async (ctx) => {
+  await setPendingAction(ctx, 'search', { prompted: true });
+  await ctx.reply(t(ctx, 'promptSearch'));
+});
+
+// Search pagination and filter handlers
+bot.action(/^search_(page|type|category|age)_(\w+)$/, async (ctx) => {
+  const sessionKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+  const session = searchSessions[sessionKey];
+  if (!session) {
+    return ctx.answerCbQuery(t(ctx, 'searchExpired'));
+  }
+  const [, kind, value] = ctx.match;
+  let page = 0;
+  if (kind === 'page') {
+    page = parseInt(value, 10);
+  } else if (kind === 'type') {
+    session.type = value === 'all' ? null : value;
+  } else if (kind === 'category') {
+    session.category = value === 'all' ? null : value;
+  } else {
+    session.ageDays = parseInt(value, 10) || 0;
+  }
+  const { text, extra } = await renderSearchPage(ctx, session, page);
+  try {
+    await ctx.editMessageText(text, extra);
+  } catch (err) {
+    // Selecting the already active filter leaves the message unchanged
+    if (!/message is not modified/i.test(err.response?.description || '')) throw err;
+  }
+  await ctx.answerCbQuery();
+});
+
+// Helper to build the inline result sharing an item: its description with the type, the author and a link to the post
+function buildInlineResult(ctx, { userId, type, item }) {
+  const label = t(ctx, type === 'need' ? 'labelNeed' : 'labelResource');
+  const link = getItemPostLink(item);
+  const text = (item.description || '').slice(0, INLINE_DESCRIPTION_LENGTH);
+  const description = formatEntities({ text, entities: sliceEntities(item.entities, 0, text.length) });
+  return {
+    type: 'article',
+    id: item.guid,
+    title: `${label}: ${_.truncate(item.description || '', { length: 60 })}`,
+    description: _.truncate(item.description || '', { length: 120 }),
+    input_message_content: {
+      message_text: t(ctx, 'inlineItem', {
+        label,
+        description,
+        mention: buildUserMention({ user: item.user || { id: userId } }),
+        link,
+      }),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    },
+    ...Markup.inlineKeyboard([[Markup.button.url(t(ctx, 'inlineOpenPost'), link)]]),
+  };
+}
+
+// Inline mode: "@bot drill" in any chat offers matching active items to share, an empty query offers the caller's own items
+bot.on('inline_query', async (ctx) => {
+  const query = ctx.inlineQuery.query.trim();
+  const offset = parseInt(ctx.inlineQuery.offset, 10) || 0;
+  const entries = _.filter(await storage.findItems({ active: true }), (entry) => (
+    entry.item.channelMessageId
+    && (query || String(entry.userId) === String(ctx.from.id))
+  ));
+  const results = searchItems(entries, { query });
+  const page = results.slice(offset, offset + INLINE_PAGE_SIZE);
+  const nextOffset = offset + page.length < results.length ? String(offset + page.length) : '';
+  await ctx.answerInlineQuery(page.map((entry) => buildInlineResult(ctx, entry)), _.omitBy({
+    // Own items differ per user and change often, search results are shared by everyone
+    cache_time: query ? 30 : 0,
+    is_personal: !query,
+    next_offset: nextOffset,
+    // Without own items, offer to add one in the private chat with the bot
+    button: !query && !results.length ? { text: t(ctx, 'inlineNoOwnItems'), start_parameter: 'inline' } : undefined,
+  }, _.isUndefined));
+});
+
 function getMainKeyboard(ctx) {
   // Build keyboard rows from itemTypes
   const newRow = itemTypes.map((type) =>
@@ -699,7 +1574,7 @@ function getMainKeyboard(ctx) {
       const plural = `${type}s`;
       return t(ctx, `buttonMy${plural.charAt(0).toUpperCase() + plural.slice(1)}`);
     });
-    return Markup.keyboard([newRow, myRow]).resize();
+    return Markup.keyboard([newRow, myRow, [t(ctx, 'buttonSearch')]]).resize();
   } else {
     // In group chats, only show the "New need" and "New resource" buttons
     return Markup.keyboard([newRow]).resize();
@@ -723,8 +1598,13 @@ bot.start(async (ctx) => {
   }
 
   // Ensure we at least have an empty user object in the DB
-  await storage.getUserData(ctx.from.id);
-  await storage.writeDB();
+  await storage.transaction(async (data) => {
+    await data.getUserData(ctx.from.id);
+  });
+
+  // The "Respond" link of a channel post opens an anonymous conversation with the owner of the item
+  const respondGuid = ctx.chat.type === 'private' ? parseRespondPayload(ctx.payload) : null;
+  if (respondGuid) return startRelay(ctx, respondGuid);
   
   // Check if we need to show explicit bot mentions in the welcome message
   let welcomeText = t(ctx, 'welcome', { description: t(ctx, 'description') });
@@ -732,13 +1612,548 @@ bot.start(async (ctx) => {
     const isOnlyBot = await isOnlyBotInChat(ctx);
     if (!isOnlyBot) {
       // Replace /help with explicit bot mention in welcome message
-      welcomeText = welcomeText.replace('/help', '/help@CorrelationCenterBot');
+      welcomeText = welcomeText.replace('/help', `/help@${getBotUsername()}`);
     }
   }
   
   await ctx.reply(welcomeText, getMainKeyboard(ctx));
 });
 
+// Helper to build the /settings message: current values plus buttons for languages, date formats, the time zone
+// and, with the public API enabled, whether the name of the user is shown there
+function buildSettingsMenu(ctx) {
+  const { timeZone, dateFormat = 'locale', publicProfile = false } = settings.get(ctx.from.id);
+  const language = getLanguage(ctx);
+  const mark = (selected, label) => `${selected ? '✅ ' : ''}${label}`;
+  const text = t(ctx, 'settingsTitle', {
+    language: locales[language].languageName || language,
+    timeZone: timeZone || t(ctx, 'settingsServerTimeZone'),
+    date: formatDate(ctx),
+  });
+  const languageRow = Object.keys(locales).map((code) =>
+    Markup.button.callback(mark(code === language, locales[code].languageName || code), `settings_language_${code}`)
+  );
+  // Date formats are shown as the current time in that format
+  const dateFormatRows = _.chunk(DATE_FORMATS.map((format) => Markup.button.callback(
+    mark(format === dateFormat, formatDateTime(Date.now(), { language, timeZone, dateFormat: format })),
+    `settings_date_${format}`
+  )), 2);
+  const timeZoneRow = [Markup.button.callback(t(ctx, 'settingsChangeTimeZone'), 'settings_timezone')];
+  if (timeZone) timeZoneRow.push(Markup.button.callback(t(ctx, 'settingsResetTimeZone'), 'settings_timezone_reset'));
+  const rows = [languageRow, ...dateFormatRows, timeZoneRow];
+  if (PUBLIC_API) rows.push([Markup.button.callback(mark(publicProfile, t(ctx, 'settingsPublicProfile')), 'settings_public_profile')]);
+  return { text, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+// Helper to show the settings menu again in place after a change
+async function refreshSettingsMenu(ctx) {
+  const { text, keyboard } = buildSettingsMenu(ctx);
+  try {
+    await ctx.editMessageText(text, keyboard);
+  } catch (err) {
+    // Picking the already selected option leaves the message unchanged
+    if (!/message is not modified/i.test(err.response?.description || '')) throw err;
+  }
+}
+
+// Settings command: interface language, time zone and date format of the user
+bot.command('settings', async (ctx) => {
+  const { text, keyboard } = buildSettingsMenu(ctx);
+  await ctx.reply(text, keyboard);
+});
+
+bot.action(/^settings_(language|date)_([\w-]+)$/, async (ctx) => {
+  const [, kind, value] = ctx.match;
+  if (kind === 'language' ? !locales[value] : !DATE_FORMATS.includes(value)) {
+    return ctx.answerCbQuery();
+  }
+  await settings.set(ctx.from.id, kind === 'language' ? { language: value } : { dateFormat: value });
+  await refreshSettingsMenu(ctx);
+  await ctx.answerCbQuery(t(ctx, 'settingsSaved'));
+  // Reply keyboards can't be edited, so send the main keyboard again in the new language
+  if (kind === 'language' && ctx.chat.type === 'private') {
+    await ctx.reply(t(ctx, 'settingsSaved'), getMainKeyboard(ctx));
+  }
+});
+
+bot.action('settings_timezone', async (ctx) => {
+  await setPendingAction(ctx, 'timezone', { prompted: true });
+  await ctx.reply(t(ctx, 'promptTimezone'));
+  await ctx.answerCbQuery();
+});
+
+bot.action('settings_timezone_reset', async (ctx) => {
+  await settings.set(ctx.from.id, { timeZone: null });
+  await refreshSettingsMenu(ctx);
+  await ctx.answerCbQuery(t(ctx, 'settingsSaved'));
+});
+
+// Opt in to or out of showing the name and username with own items in the public API and feeds
+bot.action('settings_public_profile', async (ctx) => {
+  await settings.set(ctx.from.id, { publicProfile: settings.get(ctx.from.id).publicProfile ? null : true });
+  await refreshSettingsMenu(ctx);
+  await ctx.answerCbQuery(t(ctx, 'settingsSaved'));
+});
+
+// Helper to get how many more items a user may import in the rolling 24-hour window, and their bulk limit
+function getImportQuota(userId, user) {
+  const limit = getDailyLimit(DAILY_LIMITS, user, getUserTrustTier(userId, user), 'bulk');
+  const sinceTs = Date.now() - 24 * 60 * 60 * 1000;
+  const imported = _.filter(
+    [...user.needs, ...user.resources],
+    (item) => item.imported && new Date(item.createdAt).getTime() >= sinceTs
+  );
+  return { limit, remaining: Math.max(0, limit - imported.length) };
+}
+
+/**
+ * Read a CSV or JSON file sent for a bulk import, validate its rows and show a preview with Confirm and
+ * Cancel buttons. The checked rows wait in the session of the 'import' pending action until confirmed.
+ * @param {Object} ctx - Telegraf context of the message with the document.
+ */
+async function handleImportFile(ctx) {
+  const user = await storage.getUserData(ctx.from.id);
+  if (isBanned(user)) {
+    await clearPendingAction(ctx);
+    return ctx.reply(t(ctx, 'bannedUser'));
+  }
+  const { limit, remaining } = getImportQuota(ctx.from.id, user);
+  if (!remaining) {
+    await clearPendingAction(ctx);
+    return ctx.reply(t(ctx, limit ? 'importLimitReached' : 'importNotAllowed', { limit }));
+  }
+  const { document } = ctx.message;
+  if (document.file_size > IMPORT_MAX_FILE_BYTES) return ctx.reply(t(ctx, 'importFileTooLarge'));
+  let rows;
+  try {
+    const response = await fetch(await ctx.telegram.getFileLink(document.file_id));
+    if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+    rows = parseImportFile(await response.text(), { fileName: document.file_name });
+  } catch (err) {
+    // The pending action stays, so a fixed file can be sent right away
+    return ctx.reply(t(ctx, 'importInvalidFile', { error: err.message }));
+  }
+  const active = await storage.findItems({ active: true, createdSince: Date.now() - DUPLICATE_WINDOW_MS });
+  const { items, errors } = prepareImport(rows, {
+    categories: CATEGORIES,
+    isDuplicate: (type, description) => Boolean(findDuplicate({
+      description,
+      type,
+      entries: active,
+      userId: ctx.from.id,
+      windowMs: DUPLICATE_WINDOW_MS,
+      threshold: DUPLICATE_THRESHOLD,
+    })),
+  });
+  if (!items.length) {
+    return ctx.reply([t(ctx, 'importNothing'), ...formatImportErrors(ctx, errors)].join('\n'));
+  }
+  const accepted = items.slice(0, remaining);
+  await setPendingAction(ctx, 'import', { prompted: true });
+  await sessions.update(ctx.from.id, ctx.chat.id, { importItems: accepted });
+  const counts = _.countBy(accepted, 'type');
+  const lines = [
+    t(ctx, 'importPreview', { needs: counts.need || 0, resources: counts.resource || 0 }),
+    ...accepted.slice(0, 5).map((item) => `- ${_.truncate(item.description.replace(/\s+/g, ' '), { length: 80 })}`),
+    ...(accepted.length > 5 ? [t(ctx, 'importPreviewMore', { count: accepted.length - 5 })] : []),
+    ...(items.length > accepted.length ? ['', t(ctx, 'importOverLimit', { count: items.length - accepted.length, limit })] : []),
+    ...(errors.length ? ['', t(ctx, 'importSkipped', { count: errors.length }), ...formatImportErrors(ctx, errors)] : []),
+  ];
+  await ctx.reply(lines.join('\n'), Markup.inlineKeyboard([[
+    Markup.button.callback(t(ctx, 'importConfirmButton'), 'import_confirm'),
+    Markup.button.callback(t(ctx, 'importCancelButton'), 'import_cancel'),
+  ]]));
+}
+
+// Helper to list the rows skipped by an import, the first ten of them
+function formatImportErrors(ctx, errors) {
+  const lines = errors.slice(0, 10).map(({ row, error, value }) => (
+    t(ctx, `importError${_.upperFirst(error)}`, { row, value: _.truncate(value, { length: 40 }) })
+  ));
+  if (errors.length > 10) lines.push(t(ctx, 'importPreviewMore', { count: errors.length - 10 }));
+  return lines;
+}
+
+/**
+ * Publish confirmed import rows one by one. All items are stored first, unposted, so the ones that fail or
+ * are interrupted by a restart can be sent later with `node admin.js resend`. Imported items are
+ * published without moderation: admins decide who may import by granting bulk limits.
+ * @param {Object} ctx - Telegraf context of the confirmation.
+ * @param {Array<Object>} drafts - Items from prepareImport.
+ */
+async function publishImport(ctx, drafts) {
+  const timestamp = new Date().toISOString();
+  const roles = { need: 'requestor', resource: 'supplier' };
+  const entries = drafts.map(({ type, description, categories, tags, image }) => {
+    const item = {
+      user: getUserSnapshot(ctx.from),
+      [roles[type]]: ctx.from.username || ctx.from.first_name || 'unknown',
+      guid: uuidv7(),
+      description,
+      categories,
+      tags,
+      status: 'open',
+      imported: true,
+      channelMessageId: null,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+    if (image) item.media = [{ type: 'photo', fileId: image }];
+    const location = getTextLocation(description);
+    if (location) item.location = location;
+    const category = _.find(categories, (id) => CHANNEL_ROUTES.categories[id]);
+    item.channel = resolveChannel({ routes: CHANNEL_ROUTES, chatId: ctx.chat.id, category });
+    return { type, item };
+  });
+  await storage.transaction(async (data) => {
+    const owner = await data.getUserData(ctx.from.id);
+    for (const { type, item } of entries) owner[`${type}s`].push(item);
+  });
+  const results = await runPaced(entries.map(({ type, item }) => async () => {
+    const ids = await publishItem(ctx.telegram, type, item);
+    const stored = await storage.transaction(async (data) => {
+      const current = await findUserItem(data, ctx.from.id, type, { guid: item.guid });
+      if (current) Object.assign(current, ids);
+      return Boolean(current);
+    });
+    // Deleted by the user while the import was running
+    if (!stored) await deleteChannelPost({ telegram: ctx.telegram, item: { ...item, ...ids } });
+  }), { intervalMs: IMPORT_POST_INTERVAL_MS });
+  results.forEach((result, index) => {
+    if (!result.ok) console.error(`Failed to publish imported ${entries[index].type} ${entries[index].item.guid}:`, result.error);
+  });
+  const failed = _.reject(results, 'ok').length;
+  await ctx.telegram.sendMessage(ctx.chat.id, t(ctx, 'importDone', { published: results.length - failed, failed }));
+}
+
+// Import command: the next CSV or JSON file adds many needs and resources at once
+bot.command('import', async (ctx) => {
+  if (ctx.chat.type !== 'private') return;
+  const { limit, remaining } = getImportQuota(ctx.from.id, await storage.getUserData(ctx.from.id));
+  if (!remaining) return ctx.reply(t(ctx, limit ? 'importLimitReached' : 'importNotAllowed', { limit }));
+  await setPendingAction(ctx, 'import', { prompted: true });
+  await ctx.reply(t(ctx, 'promptImport', { count: remaining }));
+});
+
+bot.action('import_confirm', async (ctx) => {
+  const drafts = getPendingAction(ctx) === 'import' && sessions.getSession(ctx.from.id, ctx.chat.id)?.importItems;
+  if (!drafts) {
+    await ctx.answerCbQuery(t(ctx, 'importExpired'));
+    return;
+  }
+  // Another import may have used up the quota since the preview
+  const { remaining } = getImportQuota(ctx.from.id, await storage.getUserData(ctx.from.id));
+  const accepted = drafts.slice(0, remaining);
+  await clearPendingAction(ctx);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx, 'importStarted', {
+    count: accepted.length,
+    minutes: Math.ceil((accepted.length * IMPORT_POST_INTERVAL_MS) / 60000),
+  }));
+  // Publishing takes minutes, so it goes on in the background and reports when done
+  publishImport(ctx, accepted).catch((err) => {
+    console.error(`Failed to import items of user ${ctx.from.id}:`, err);
+  });
+});
+
+bot.action('import_cancel', async (ctx) => {
+  if (getPendingAction(ctx) === 'import') await clearPendingAction(ctx);
+  await ctx.editMessageText(t(ctx, 'importCancelled'));
+  await ctx.answerCbQuery();
+});
+
+// Export command: send the user everything stored about them as JSON, and their items as CSV
+bot.command('export', async (ctx) => {
+  if (ctx.chat.type !== 'private') return;
+  const user = await storage.getUserData(ctx.from.id);
+  const data = buildUserExport(ctx.from.id, user);
+  await ctx.replyWithDocument(
+    { source: Buffer.from(JSON.stringify(data, null, 2)), filename: `correlation-center-${ctx.from.id}.json` },
+    { caption: t(ctx, 'exportCaption') }
+  );
+  await ctx.replyWithDocument({ source: Buffer.from(buildItemsCsv(user)), filename: `correlation-center-${ctx.from.id}.csv` });
+});
+
+// Forget-me command: after confirmation, delete all items with their channel posts and the user record
+bot.command('forgetme', async (ctx) => {
+  if (ctx.chat.type !== 'private') return;
+  await ctx.reply(t(ctx, 'forgetmeConfirm'), Markup.inlineKeyboard([[
+    Markup.button.callback(t(ctx, 'forgetmeConfirmButton'), 'forgetme_confirm'),
+    Markup.button.callback(t(ctx, 'forgetmeCancelButton'), 'forgetme_cancel'),
+  ]]));
+});
+
+bot.action('forgetme_cancel', async (ctx) => {
+  await ctx.editMessageText(t(ctx, 'forgetmeCancelled'));
+  await ctx.answerCbQuery();
+});
+
+bot.action('forgetme_confirm', async (ctx) => {
+  await ctx.answerCbQuery();
+  const userId = ctx.from.id;
+  if (!(await storage.listUserIds()).includes(String(userId))) {
+    await ctx.editMessageText(t(ctx, 'forgetmeNothing'));
+    return;
+  }
+  const { deleted, failed, forgotten } = await forgetUser({ storage, telegram: ctx.telegram, userId });
+  if (!forgotten) {
+    await ctx.editMessageText(t(ctx, 'forgetmeFailed', { count: failed.length }));
+    return;
+  }
+  // Translated before the settings with the chosen language are dropped
+  const text = t(ctx, 'forgetmeDone', { count: deleted.length });
+  settings.forget(userId);
+  sessions.forget(userId);
+  await relay.forgetUser(userId);
+  await ctx.editMessageText(text);
+});
+
+// Helper to get the item of a relay conversation while it can be responded to: posted and still active
+async function getRelayItem(guid) {
+  const entry = await storage.findItemByGuid(guid);
+  return entry && entry.item.channelMessageId && isItemActive(entry.item) ? entry : null;
+}
+
+// Helper to get the translation context of a side of a relay conversation: the owner in the language of their
+// item, the responder in the language they had when opening the conversation
+function getRelayUserContext(conversation, userId, item) {
+  const languageCode = userId === conversation.ownerId ? item.user?.language_code : conversation.responderLanguage;
+  return getUserContext(userId, languageCode);
+}
+
+// Open or resume the anonymous conversation of the current user with the owner of an item
+async function startRelay(ctx, guid) {
+  const entry = await getRelayItem(guid);
+  if (!entry) return ctx.reply(t(ctx, 'relayItemUnavailable'));
+  if (String(entry.userId) === String(ctx.from.id)) return ctx.reply(t(ctx, 'relayOwnItem'));
+  if (isBanned(await storage.getUserData(ctx.from.id)) || relay.isBlocked(ctx.from.id, entry.userId)) {
+    return ctx.reply(t(ctx, 'relayClosed'));
+  }
+  const conversation = await relay.open({
+    guid,
+    ownerId: entry.userId,
+    responderId: ctx.from.id,
+    responderLanguage: ctx.from.language_code,
+  });
+  await setPendingAction(ctx, `relay_${conversation.id}`, { prompted: true });
+  await ctx.reply(t(ctx, 'relayStarted', { post: describePost(entry.item) }));
+}
+
+/**
+ * Copy messages of the current user to the other side of a relay conversation, introducing the conversation
+ * to them with its first message. Copies carry no sender, and the buttons to reply, block or report.
+ * @param {Object} ctx - Telegraf context of the sender.
+ * @param {string} id - Conversation ID.
+ * @param {Array<Object>} [messages] - Messages to copy, the files of an album or the current message.
+ */
+async function relayMessage(ctx, id, messages = [ctx.message]) {
+  const conversation = relay.get(id);
+  const peerId = conversation && relay.getPeerId(conversation, ctx.from.id);
+  const closed = !peerId || Boolean(conversation.blockedBy) || isBanned(await storage.getUserData(ctx.from.id));
+  const entry = closed ? null : await getRelayItem(conversation.guid);
+  if (!entry) {
+    await clearPendingAction(ctx);
+    return ctx.reply(t(ctx, closed ? 'relayClosed' : 'relayItemUnavailable'));
+  }
+  const peer = getRelayUserContext(conversation, peerId, entry.item);
+  const keyboard = Markup.inlineKeyboard([[
+    Markup.button.callback(t(peer, 'relayReplyButton'), `relay_reply_${id}`),
+    Markup.button.callback(t(peer, 'relayBlockButton'), `relay_block_${id}`),
+    Markup.button.callback(t(peer, 'relayReportButton'), `relay_report_${id}`),
+  ]]);
+  try {
+    if (!conversation.introduced.includes(peerId)) {
+      const introKey = peerId === conversation.ownerId ? 'relayIntroOwner' : 'relayIntroResponder';
+      await ctx.telegram.sendMessage(peerId, t(peer, introKey, { post: describePost(entry.item) }));
+      await relay.update(id, { introduced: [...conversation.introduced, peerId] });
+    }
+    if (messages.length > 1) {
+      await ctx.telegram.copyMessages(peerId, ctx.chat.id, _.map(messages, 'message_id'));
+      await ctx.telegram.sendMessage(peerId, t(peer, 'relayAlbumReceived'), keyboard);
+    } else {
+      await ctx.telegram.copyMessage(peerId, ctx.chat.id, messages[0].message_id, keyboard);
+    }
+  } catch (err) {
+    console.error(`Failed to relay a message in conversation ${id}:`, err.message);
+    return ctx.reply(t(ctx, 'relayUndeliverable'));
+  }
+  await ctx.reply(t(ctx, 'relaySent'));
+}
+
+// Buttons under relayed messages: reply to the other side, block the conversation, or block it and report
+// the message to admins
+bot.action(/^relay_(reply|block|report)_([\w-]+)$/, async (ctx) => {
+  const [, command, id] = ctx.match;
+  const conversation = relay.get(id);
+  if (!conversation || !relay.getPeerId(conversation, ctx.from.id)) return ctx.answerCbQuery(t(ctx, 'relayClosed'));
+  if (command === 'reply') {
+    if (conversation.blockedBy) return ctx.answerCbQuery(t(ctx, 'relayClosed'));
+    await setPendingAction(ctx, `relay_${id}`, { prompted: true });
+    await ctx.reply(t(ctx, 'promptRelay'));
+    return ctx.answerCbQuery();
+  }
+  if (command === 'report') {
+    const entry = await storage.findItemByGuid(conversation.guid);
+    for (const adminId of ADMIN_IDS) {
+      try {
+        await ctx.telegram.copyMessage(adminId, ctx.chat.id, ctx.callbackQuery.message.message_id);
+        await ctx.telegram.sendMessage(adminId, t(getUserContext(adminId), 'relayReportAdmin', {
+          reporterId: ctx.from.id,
+          userId: relay.getPeerId(conversation, ctx.from.id),
+          post: entry ? describePost(entry.item) : conversation.guid,
+        }));
+      } catch (err) {
+        console.log(`Could not report conversation ${id} to admin ${adminId}:`, err.message);
+      }
+    }
+  }
+  if (!conversation.blockedBy) await relay.block(id, ctx.from.id);
+  if (getPendingAction(ctx) === `relay_${id}`) await clearPendingAction(ctx);
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+  await ctx.answerCbQuery(t(ctx, command === 'report' ? 'relayReported' : 'relayBlocked'));
+});
+
+// Moderation decisions on queued items, available to admins only
+bot.action(/^moderate_(approve|reject|edit)_([\w-]+)$/, async (ctx) => {
+  if (!isAdmin(ADMIN_IDS, ctx.from.id)) return ctx.answerCbQuery();
+  const [, decision, guid] = ctx.match;
+  const entry = await storage.findItemByGuid(guid);
+  if (!entry || !isPendingModeration(entry.item)) {
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    return ctx.answerCbQuery(t(ctx, 'moderationAlreadyHandled'));
+  }
+  if (decision === 'edit') {
+    await setPendingAction(ctx, `moderate_${guid}`, { prompted: true });
+    await ctx.reply(t(ctx, 'promptModerationEdit'));
+    return ctx.answerCbQuery();
+  }
+  let handled;
+  try {
+    handled = decision === 'approve'
+      ? await approveQueuedItem(ctx.telegram, entry, ctx.from.id)
+      : await rejectQueuedItem(ctx.telegram, entry);
+  } catch (err) {
+    console.error(`Failed to publish ${entry.type} ${guid}:`, err);
+    return ctx.answerCbQuery(t(ctx, 'moderationPublishFailed'));
+  }
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+  const doneKey = decision === 'approve' ? 'moderationApproved' : 'moderationRejected';
+  await ctx.answerCbQuery(t(ctx, handled ? doneKey : 'moderationAlreadyHandled'));
+});
+
+// Helper to get the trust tier of a user, which decides their daily limits
+function getUserTrustTier(userId, user) {
+  return getTrustTier(user, {
+    admin: isAdmin(ADMIN_IDS, userId),
+    establishedAfterDays: TRUST_ESTABLISHED_DAYS,
+    establishedAfterItems: TRUST_ESTABLISHED_ITEMS,
+  });
+}
+
+// Helper to refer to an item in messages: the link to its post, or its description while it is not posted
+function describePost(item) {
+  return item.channelMessageId ? getItemPostLink(item) : `«${_.truncate(item.description || '', { length: 100 })}»`;
+}
+
+// Helper to get the arguments of an admin command that follow the target user ID, if it was given
+function getCommandOptions(ctx) {
+  const args = ctx.message.text.split(/\s+/).slice(1);
+  return /^\d+$/.test(args[0] || '') ? args.slice(1) : args;
+}
+
+// Helper to get the user ID an admin command refers to: the first argument or the sender of a forwarded message
+function getCommandTargetUserId(ctx) {
+  const arg = ctx.message.text.split(/\s+/)[1];
+  if (/^\d+$/.test(arg || '')) return arg;
+  const forwardedFrom = ctx.message.reply_to_message?.forward_from;
+  return forwardedFrom ? String(forwardedFrom.id) : null;
+}
+
+// Admin commands to block and unblock users from publishing
+bot.command('ban', async (ctx) => {
+  if (!isAdmin(ADMIN_IDS, ctx.from.id)) return ctx.reply(t(ctx, 'adminOnly'));
+  const targetId = getCommandTargetUserId(ctx);
+  if (!targetId) return ctx.reply(t(ctx, 'banUsage'));
+  await storage.transaction(async (data) => {
+    const user = await data.getUserData(targetId);
+    user.banned = { by: String(ctx.from.id), at: new Date().toISOString() };
+  });
+  await ctx.reply(t(ctx, 'userBanned', { id: targetId }));
+});
+
+bot.command('unban', async (ctx) => {
+  if (!isAdmin(ADMIN_IDS, ctx.from.id)) return ctx.reply(t(ctx, 'adminOnly'));
+  const targetId = getCommandTargetUserId(ctx);
+  if (!targetId) return ctx.reply(t(ctx, 'unbanUsage'));
+  if ((await storage.listUserIds()).includes(targetId)) {
+    await storage.transaction(async (data) => {
+      delete (await data.getUserData(targetId)).banned;
+    });
+  }
+  await ctx.reply(t(ctx, 'userUnbanned', { id: targetId }));
+});
+
+// Admin commands to pin the trust tier of a user and to override their daily limits
+bot.command('trust', async (ctx) => {
+  if (!isAdmin(ADMIN_IDS, ctx.from.id)) return ctx.reply(t(ctx, 'adminOnly'));
+  const targetId = getCommandTargetUserId(ctx);
+  const [tier] = getCommandOptions(ctx);
+  if (!targetId || !(TRUST_TIERS.includes(tier) || tier === 'auto')) return ctx.reply(t(ctx, 'trustUsage'));
+  const user = await storage.transaction(async (data) => {
+    const target = await data.getUserData(targetId);
+    if (tier === 'auto') delete target.trust;
+    else target.trust = { tier, by: String(ctx.from.id), at: new Date().toISOString() };
+    return target;
+  });
+  await ctx.reply(t(ctx, 'userTrustSet', { id: targetId, tier: getUserTrustTier(targetId, user) }));
+});
+
+bot.command('limit', async (ctx) => {
+  if (!isAdmin(ADMIN_IDS, ctx.from.id)) return ctx.reply(t(ctx, 'adminOnly'));
+  const targetId = getCommandTargetUserId(ctx);
+  const [type, value] = getCommandOptions(ctx);
+  if (!targetId || ![...itemTypes, 'bulk'].includes(type) || !/^(\d+|default)$/.test(value || '')) return ctx.reply(t(ctx, 'limitUsage'));
+  const user = await storage.transaction(async (data) => {
+    const target = await data.getUserData(targetId);
+    target.limits = value === 'default' ? _.omit(target.limits, type) : { ...target.limits, [type]: parseInt(value, 10) };
+    if (_.isEmpty(target.limits)) delete target.limits;
+    return target;
+  });
+  const limit = getDailyLimit(DAILY_LIMITS, user, getUserTrustTier(targetId, user), type);
+  await ctx.reply(t(ctx, 'userLimitSet', { id: targetId, type, limit }));
+});
+
+// Report a published item: send it back into the moderation queue.
+// Usage: /report <post link or ID> [reason], or /report [reason] as a reply to a forwarded channel post
+bot.command('report', async (ctx) => {
+  if (isBanned(await storage.getUserData(ctx.from.id))) return ctx.reply(t(ctx, 'bannedUser'));
+  const replied = ctx.message.reply_to_message;
+  let args = ctx.message.text.split(/\s+/).slice(1);
+  let post = null;
+  if (replied && isForwardedFromChannel(replied)) {
+    post = { chat: replied.forward_from_chat, msgId: replied.forward_from_message_id };
+  } else {
+    // A bare message ID refers to the default channel
+    const link = parseChannelPostLink(args[0]);
+    if (link) post = { channel: link.channel || CHANNEL_USERNAME, msgId: link.msgId };
+    args = args.slice(1);
+  }
+  if (!post) return ctx.reply(t(ctx, 'reportUsage'));
+  // Message IDs repeat across channels, so also match the channel of the post
+  const entry = _.find(await storage.findItemsByChannelMessageId(post.msgId), ({ item }) => (post.chat
+    ? isChannelChat(getItemChannel(item), post.chat)
+    : isSameChannel(getItemChannel(item), post.channel)));
+  if (!entry) return ctx.reply(t(ctx, 'reportNotFound'));
+  const reported = await storage.transaction(async (data) => {
+    const item = await findUserItem(data, entry.userId, entry.type, { guid: entry.item.guid });
+    if (!item) return null;
+    return { item, notify: addReport(item, { reporterId: ctx.from.id, reason: args.join(' ') || undefined }) };
+  });
+  if (!reported) return ctx.reply(t(ctx, 'reportNotFound'));
+  await ctx.reply(t(ctx, 'reportSent'));
+  if (reported.notify) await sendModerationRequest(ctx.telegram, { ...entry, item: reported.item });
+});
+
 // Handle all incoming messages (text or images) for adding items
 bot.on('message', async (ctx, next) => {
   // If user sent /cancel, bypass addItem so cancel command can run
@@ -754,10 +2169,8 @@ bot.on('message', async (ctx, next) => {
       // Check if this is a reply to a bot system message
       if (ctx.message.reply_to_message && isBotSystemMessage(ctx.message.reply_to_message, bot.botInfo.id)) {
         // Just switch to the new mode without publishing
-        const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-        pendingActions[pendingKey] = type;
-        const promptKey = `prompt${type.charAt(0).toUpperCase() + type.slice(1)}`;
-        await ctx.reply(t(ctx, promptKey));
+        await setPendingAction(ctx, type, { prompted: true });
+        await ctx.reply(t(ctx, getPromptKey(type)), getPromptExtra(ctx, type));
         return;
       }
       
@@ -767,21 +2180,110 @@ bot.on('message', async (ctx, next) => {
       }
       
       // Set pending and schedule prompt after delay
-      const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-      pendingActions[pendingKey] = type;
-      setTimeout(() => {
-        if (pendingActions[pendingKey] === type) {
-          const promptKey = `prompt${type.charAt(0).toUpperCase() + type.slice(1)}`;
-          ctx.reply(t(ctx, promptKey));
-        }
-      }, PROMPT_DELAY_MS);
+      await setPendingAction(ctx, type);
+      schedulePrompt(ctx, type);
       return;
     }
   }
   
-  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-  const action = pendingActions[pendingKey];
+  const action = getPendingAction(ctx);
+  // CSV and JSON files are bulk imports only after /import, other files may belong to a new item
+  const { document } = ctx.message;
+  if (document && action === 'import' && isImportFile({ fileName: document.file_name, mimeType: document.mime_type })) {
+    return handleImportFile(ctx);
+  }
   if (!action) return next();
+
+  // Pending import: only a file is expected
+  if (action === 'import') {
+    await ctx.reply(t(ctx, 'promptImport', { count: getImportQuota(ctx.from.id, await storage.getUserData(ctx.from.id)).remaining }));
+    return;
+  }
+
+  // Pending relay conversation: messages are copied to the other side, commands are not
+  if (action.startsWith('relay_')) {
+    const id = action.slice('relay_'.length);
+    if (ctx.message.text?.startsWith('/')) {
+      await ctx.reply(t(ctx, 'promptRelay'));
+      return;
+    }
+    if (ctx.message.media_group_id) {
+      collectAlbum(ctx, (album) => relayMessage(ctx, id, album));
+      return;
+    }
+    return relayMessage(ctx, id);
+  }
+
+  const editMatch = /^edit_(need|resource)_([\w-]+)$/.exec(action);
+  // Albums arrive as one message per file: collect them, then add or edit a single item with all files
+  if (ctx.message.media_group_id && (editMatch || action === 'need' || action === 'resource')) {
+    collectAlbum(ctx, (album) => {
+      ctx.album = album;
+      return editMatch ? editItem(ctx, editMatch[1], editMatch[2]) : addItem(ctx, action);
+    });
+    return;
+  }
+
+  // Pending edit: the message holds the new content of an existing item
+  if (editMatch) {
+    return editItem(ctx, editMatch[1], editMatch[2]);
+  }
+
+  // Pending moderation edit: the message holds the corrected description of a queued item
+  if (action.startsWith('moderate_')) {
+    return moderateEditItem(ctx, action.slice('moderate_'.length));
+  }
+
+  // Pending item: a shared location is stored for the item and the description follows
+  if (ctx.message.location && (action === 'need' || action === 'resource')) {
+    const location = getSharedLocation(CITIES, ctx.message.location);
+    await sessions.update(ctx.from.id, ctx.chat.id, { location });
+    await ctx.reply(t(ctx, 'locationSaved', { place: formatPlace(location) }));
+    return;
+  }
+
+  // Pending proximity search: a shared location or a typed city is the center
+  if (action === 'near') {
+    const radiusKm = sessions.getSession(ctx.from.id, ctx.chat.id)?.radiusKm || NEAR_RADIUS_KM;
+    if (ctx.message.location) {
+      await clearPendingAction(ctx);
+      return runNearSearch(ctx, getSharedLocation(CITIES, ctx.message.location), radiusKm);
+    }
+    if (!ctx.message.text || ctx.message.text.startsWith('/')) {
+      await ctx.reply(t(ctx, 'promptNear'));
+      return;
+    }
+    if (await runNearCitySearch(ctx, ctx.message.text, radiusKm)) await clearPendingAction(ctx);
+    return;
+  }
+
+  // Pending time zone change from /settings
+  if (action === 'timezone') {
+    if (!ctx.message.text || ctx.message.text.startsWith('/')) {
+      await ctx.reply(t(ctx, 'promptTimezone'));
+      return;
+    }
+    const timeZone = parseTimeZone(ctx.message.text);
+    if (!timeZone) {
+      await ctx.reply(t(ctx, 'unknownTimeZone', { timeZone: ctx.message.text.trim() }));
+      return;
+    }
+    await clearPendingAction(ctx);
+    await settings.set(ctx.from.id, { timeZone });
+    const { text, keyboard } = buildSettingsMenu(ctx);
+    await ctx.reply(text, keyboard);
+    return;
+  }
+
+  // Pending search: treat the message as the query
+  if (action === 'search') {
+    if (!ctx.message.text || ctx.message.text.startsWith('/')) {
+      await ctx.reply(t(ctx, 'promptSearch'));
+      return;
+    }
+    await clearPendingAction(ctx);
+    return runSearch(ctx, ctx.message.text);
+  }
   
   // Check if this is a reply to a bot system message
   if (ctx.message.reply_to_message && isBotSystemMessage(ctx.message.reply_to_message, bot.botInfo.id)) {
@@ -819,8 +2321,8 @@ bot.command('help', async (ctx) => {
     } else {
       // Show help with explicit bot mention
       const helpText = t(ctx, 'helpGroup')
-        .replace('/start', '/start@CorrelationCenterBot')
-        .replace('/help', '/help@CorrelationCenterBot');
+        .replace('/start', `/start@${getBotUsername()}`)
+        .replace('/help', `/help@${getBotUsername()}`);
       await ctx.reply(helpText);
     }
   }
@@ -828,29 +2330,113 @@ bot.command('help', async (ctx) => {
 
 // Cancel any pending action
 bot.command('cancel', async (ctx) => {
-  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-  if (pendingActions[pendingKey]) {
-    delete pendingActions[pendingKey];
+  if (getPendingAction(ctx)) {
+    await clearPendingAction(ctx);
     await ctx.reply(t(ctx, 'actionCancelled'));
   } else {
     await ctx.reply(t(ctx, 'noPendingAction'));
   }
 });
 
+// Status of the bot for /healthz and /readyz: ready while the database can be read
+async function getBotStatus() {
+  const storageStatus = await getStorageStatus(storage);
+  return { ready: storageStatus === 'ok', storage: storageStatus, ...botStatus };
+}
+
 // Only start the bot outside of test environment
 if (process.env.NODE_ENV !== 'test') {
-  // await migrateDeleteUserChannelMessages({ userId: 7419276965, tracing: true });
-  // await migrateDeleteUserChannelMessages({ userId: 7474624462, tracing: true });
-  // await migrateDeleteUserChannelMessages({ userId: 5309502176, tracing: true });
-  // await migrateDeleteUserChannelMessages({ userId: 1673752450, tracing: true });
-  // console.log('Migrating old user mentions...');
-  // await migrateUserMentions({ limit: 2, tracing: true });
-  bot.launch().catch((error) => {
-    console.error('Failed to launch bot. Please check your BOT_TOKEN:', error);
-    process.exit(1);
-  });
-  console.log('Bot started');
-
-  process.once('SIGINT', () => bot.stop('SIGINT'));
-  process.once('SIGTERM', () => bot.stop('SIGTERM'));
+  if (MODERATION_ENABLED && !ADMIN_IDS.length) {
+    console.warn('MODERATION is enabled but ADMIN_IDS is empty, new items will wait in the queue forever');
+  }
+  const schemaVersion = await getSchemaVersion(storage);
+  const pendingMigrations = migrations.filter((m) => m.version > schemaVersion);
+  if (pendingMigrations.length) {
+    console.warn(`Pending data migrations: ${_.map(pendingMigrations, 'name').join(', ')}. Run node migrate.js --dry-run to review them.`);
+  }
+
+  console.log(`Loaded settings of ${await settings.load()} user(s)`);
+  console.log(`Loaded ${await relay.load()} relay conversation(s)`);
+
+  // Channel posts link to the bot for anonymous responses, so its username is needed before the first post
+  if (!process.env.BOT_USERNAME) {
+    try {
+      bot.botInfo ??= await bot.telegram.getMe();
+    } catch (err) {
+      console.warn('Could not get the bot username, channel posts will have no Respond link:', err.message);
+    }
+  }
+  setBotUsername(process.env.BOT_USERNAME || bot.botInfo?.username);
+
+  // Resume conversations interrupted by a restart: prompt users who were not asked for input yet
+  const restoredSessions = await sessions.restore();
+  console.log(`Restored ${restoredSessions.length} pending action(s)`);
+  for (const { userId, chatId, session } of restoredSessions) {
+    if (session.prompted) continue;
+    const lang = getUserContext(userId, session.languageCode);
+    try {
+      await bot.telegram.sendMessage(chatId, t(lang, getPromptKey(session.action)), getPromptExtra(lang, session.action, session));
+      await sessions.markPrompted(userId, chatId);
+    } catch (err) {
+      console.log(`Could not resume session of user ${userId} in chat ${chatId}:`, err.message);
+    }
+  }
+  // Feeds are titled in the language of the channel posts
+  const feedContext = getUserContext(null, CHANNEL_LANGUAGE);
+  const publicApi = PUBLIC_API ? createPublicApiHandler({
+    getEntries: (filter) => storage.findItems(filter),
+    isAuthorPublic: (userId) => Boolean(settings.get(userId).publicProfile),
+    feedTitles: { need: t(feedContext, 'feedNeeds'), resource: t(feedContext, 'feedResources') },
+    feedLink: `https://t.me/${String(CHANNEL_USERNAME).replace(/^@/, '')}`,
+    baseUrl: PUBLIC_URL,
+  }) : undefined;
+  let webhookServer = null;
+  if (WEBHOOK_URL || publicApi) {
+    webhookServer = createWebhookServer({
+      handleUpdate: WEBHOOK_URL ? (update) => bot.handleUpdate(update) : undefined,
+      handleRequest: publicApi,
+      getStatus: getBotStatus,
+      path: WEBHOOK_URL ? new URL(WEBHOOK_URL).pathname : undefined,
+      secretToken: WEBHOOK_SECRET,
+    });
+    webhookServer.listen(WEBHOOK_PORT, WEBHOOK_HOST);
+    console.log(`HTTP server listening on ${WEBHOOK_HOST}:${WEBHOOK_PORT}${publicApi ? ' with the public API' : ''}`);
+  }
+  if (WEBHOOK_URL) {
+    try {
+      if (WEBHOOK_REGISTER) await bot.telegram.setWebhook(WEBHOOK_URL, _.omitBy({ secret_token: WEBHOOK_SECRET }, _.isUndefined));
+    } catch (error) {
+      console.error('Failed to set the webhook. Please check your BOT_TOKEN and WEBHOOK_URL:', error);
+      process.exit(1);
+    }
+    console.log('Bot started in webhook mode');
+  } else {
+    bot.launch().catch((error) => {
+      console.error('Failed to launch bot. Please check your BOT_TOKEN:', error);
+      process.exit(1);
+    });
+    console.log('Bot started');
+  }
+
+  // Periodically remind owners about stale items and expire abandoned ones
+  const staleItemsTimer = setInterval(() => {
+    checkStaleItems({ telegram: bot.telegram }).catch((err) => {
+      console.error('Failed to check stale items:', err);
+    });
+  }, REMINDER_CHECK_INTERVAL_MS);
+
+  // With the HTTP server, finish the requests in flight before closing the database
+  const shutdown = async (signal) => {
+    clearInterval(staleItemsTimer);
+    if (!WEBHOOK_URL) bot.stop(signal);
+    if (!webhookServer) return;
+    try {
+      await stopWebhookServer(webhookServer);
+      await storage.close();
+    } catch (err) {
+      console.error('Failed to shut down the webhook server:', err);
+    }
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
 }
\ No newline at end of file
@@ -0,0 +1,137 @@
+import _ from 'lodash';
+import { isAwaitingApproval } from './moderation.js';
+
+/**
+ * Posting limits by trust tier and detection of repeated posts.
+ *
+ * Users start in the 'new' tier and become 'established' once they have published enough items over
+ * enough days; admins are 'trusted'. Admins can pin a tier with user.trust = { tier, by, at } and
+ * override daily limits per type with user.limits = { need, resource, bulk }. The bulk limit counts
+ * items added by a bulk import, which don't count against the need and resource limits.
+ */
+
+export const TRUST_TIERS = ['new', 'established', 'trusted'];
+
+// Items per type a user of each tier may add in a rolling 24-hour window; only trusted users may import by default
+export const DEFAULT_LIMITS = {
+  new: { need: 3, resource: 3, bulk: 0 },
+  established: { need: 5, resource: 5, bulk: 0 },
+  trusted: { need: 10, resource: 10, bulk: 50 },
+};
+
+const isLimit = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Parse daily limits per tier, e.g. DAILY_LIMITS.
+ * @param {string} [value] - JSON like { "new": { "need": 1 }, "trusted": { "resource": 20 } }.
+ * @param {Object} [defaults=DEFAULT_LIMITS] - Limits of the tiers and types that are not configured.
+ * @returns {Object} Limits as { [tier]: { need, resource } }.
+ */
+export function parseLimits(value, defaults = DEFAULT_LIMITS) {
+  if (!value) return _.cloneDeep(defaults);
+  let limits;
+  try {
+    limits = JSON.parse(value);
+  } catch (err) {
+    throw new Error(`Invalid daily limits: ${err.message}`);
+  }
+  for (const [tier, types] of Object.entries(limits)) {
+    if (!TRUST_TIERS.includes(tier)) throw new Error(`Invalid daily limits: unknown trust tier ${tier}`);
+    for (const [type, limit] of Object.entries(types)) {
+      if (!isLimit(limit)) throw new Error(`Invalid daily limits: ${tier}.${type} must be a non-negative integer`);
+    }
+  }
+  return _.merge(_.cloneDeep(defaults), limits);
+}
+
+/**
+ * Trust tier of a user.
+ * @param {Object} user - User record.
+ * @param {Object} [options]
+ * @param {boolean} [options.admin=false] - Whether the user is an admin.
+ * @param {number} [options.now=Date.now()] - Current time.
+ * @param {number} [options.establishedAfterDays=7] - Days since the first item before a user is established.
+ * @param {number} [options.establishedAfterItems=3] - Published items needed to be established.
+ * @returns {string} One of TRUST_TIERS.
+ */
+export function getTrustTier(user, { admin = false, now = Date.now(), establishedAfterDays = 7, establishedAfterItems = 3 } = {}) {
+  if (TRUST_TIERS.includes(user?.trust?.tier)) return user.trust.tier;
+  if (admin) return 'trusted';
+  const published = _.reject([...(user?.needs || []), ...(user?.resources || [])], isAwaitingApproval);
+  if (published.length < establishedAfterItems) return 'new';
+  const first = _.min(_.map(published, (item) => new Date(item.createdAt).getTime()));
+  return now - first >= establishedAfterDays * 24 * 60 * 60 * 1000 ? 'established' : 'new';
+}
+
+// Daily limit of a user for a type: the admin override or the limit of their tier
+export function getDailyLimit(limits, user, tier, type) {
+  const override = user?.limits?.[type];
+  return isLimit(override) ? override : limits[tier]?.[type] ?? 0;
+}
+
+// Lowercase words of a text without punctuation, hashtags and extra whitespace
+export function normalizeText(text) {
+  return (String(text || '').normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).join(' ');
+}
+
+// Character trigrams of a normalized text, padded so short words still count
+function trigrams(text) {
+  const padded = `  ${text} `;
+  const grams = new Map();
+  for (let i = 0; i < padded.length - 2; i++) {
+    const gram = padded.slice(i, i + 3);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Similarity of two texts after normalization: the Dice coefficient of their character trigrams.
+ * Small edits such as punctuation, case or a changed word keep the score high.
+ * @returns {number} Similarity in the range [0, 1].
+ */
+export function textSimilarity(a, b) {
+  const textA = normalizeText(a);
+  const textB = normalizeText(b);
+  if (!textA || !textB) return 0;
+  if (textA === textB) return 1;
+  const gramsA = trigrams(textA);
+  const gramsB = trigrams(textB);
+  let shared = 0;
+  let total = 0;
+  for (const [gram, count] of gramsA) {
+    shared += Math.min(count, gramsB.get(gram) || 0);
+    total += count;
+  }
+  for (const count of gramsB.values()) total += count;
+  return (2 * shared) / total;
+}
+
+/**
+ * Find an earlier item of the same type with a nearly identical description, from the same user or
+ * anyone else, created within a time window.
+ * @param {Object} options
+ * @param {string} options.description - Description of the new item.
+ * @param {string} options.type - Type of the new item.
+ * @param {Array<{userId, type, item}>} options.entries - Stored items, e.g. from getAllItems().
+ * @param {number|string} options.userId - Owner of the new item.
+ * @param {number} [options.now=Date.now()] - Current time.
+ * @param {number} [options.windowMs=604800000] - How far back to look, 7 days by default.
+ * @param {number} [options.threshold=0.85] - Minimum similarity of a duplicate.
+ * @returns {{userId, item, score: number, own: boolean}|null} The most similar duplicate.
+ */
+export function findDuplicate({ description, type, entries, userId, now = Date.now(), windowMs = 7 * 24 * 60 * 60 * 1000, threshold = 0.85 }) {
+  if (!normalizeText(description)) return null;
+  const since = now - windowMs;
+  const scored = _.map(
+    _.filter(entries, (entry) => entry.type === type && new Date(entry.item.createdAt).getTime() >= since),
+    (entry) => ({
+      userId: entry.userId,
+      item: entry.item,
+      score: textSimilarity(description, entry.item.description),
+      own: String(entry.userId) === String(userId),
+    })
+  );
+  const best = _.maxBy(_.filter(scored, (candidate) => candidate.score >= threshold), 'score');
+  return best || null;
+}
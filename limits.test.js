@@ -0,0 +1,112 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import {
+  DEFAULT_LIMITS,
+  parseLimits,
+  getTrustTier,
+  getDailyLimit,
+  normalizeText,
+  textSimilarity,
+  findDuplicate,
+} from './limits.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.parse('2024-03-20T12:00:00Z');
+const daysAgo = (days) => new Date(now - days * DAY).toISOString();
+
+describe('parseLimits', () => {
+  it('returns the defaults when not configured', () => {
+    assert.deepStrictEqual(parseLimits(undefined), DEFAULT_LIMITS);
+  });
+
+  it('merges configured limits over the defaults', () => {
+    const limits = parseLimits('{"new":{"need":1},"trusted":{"resource":20}}');
+    assert.deepStrictEqual(limits.new, { need: 1, resource: 3, bulk: 0 });
+    assert.deepStrictEqual(limits.trusted, { need: 10, resource: 20, bulk: 50 });
+    assert.deepStrictEqual(limits.established, DEFAULT_LIMITS.established);
+  });
+
+  it('rejects invalid JSON, tiers and limits', () => {
+    assert.throws(() => parseLimits('{'), /Invalid daily limits/);
+    assert.throws(() => parseLimits('{"vip":{"need":1}}'), /unknown trust tier vip/);
+    assert.throws(() => parseLimits('{"new":{"need":-1}}'), /new\.need must be a non-negative integer/);
+  });
+});
+
+describe('getTrustTier', () => {
+  const item = (createdAt) => ({ createdAt, channelMessageId: 1 });
+
+  it('makes users established after enough items and days', () => {
+    assert.strictEqual(getTrustTier({}, { now }), 'new');
+    assert.strictEqual(getTrustTier({ needs: [item(daysAgo(10)), item(daysAgo(1))] }, { now }), 'new');
+    assert.strictEqual(getTrustTier({ needs: [item(daysAgo(2)), item(daysAgo(1))], resources: [item(daysAgo(1))] }, { now }), 'new');
+    assert.strictEqual(getTrustTier({ needs: [item(daysAgo(10)), item(daysAgo(1))], resources: [item(daysAgo(1))] }, { now }), 'established');
+  });
+
+  it('does not count items awaiting approval', () => {
+    const queued = { createdAt: daysAgo(10), channelMessageId: null, moderation: { state: 'pending' } };
+    assert.strictEqual(getTrustTier({ needs: [queued, item(daysAgo(8)), item(daysAgo(1))] }, { now }), 'new');
+  });
+
+  it('trusts admins and prefers the tier set by an admin', () => {
+    assert.strictEqual(getTrustTier({}, { admin: true, now }), 'trusted');
+    assert.strictEqual(getTrustTier({ trust: { tier: 'new' } }, { admin: true, now }), 'new');
+    assert.strictEqual(getTrustTier({ trust: { tier: 'trusted' } }, { now }), 'trusted');
+  });
+});
+
+describe('getDailyLimit', () => {
+  it('uses the override of the user or the limit of the tier', () => {
+    assert.strictEqual(getDailyLimit(DEFAULT_LIMITS, {}, 'new', 'need'), 3);
+    assert.strictEqual(getDailyLimit(DEFAULT_LIMITS, {}, 'established', 'need'), 5);
+    assert.strictEqual(getDailyLimit(DEFAULT_LIMITS, { limits: { need: 0 } }, 'trusted', 'need'), 0);
+    assert.strictEqual(getDailyLimit(DEFAULT_LIMITS, { limits: { need: 5 } }, 'new', 'resource'), 3);
+  });
+
+  it('allows bulk imports to trusted users and users with an override', () => {
+    assert.strictEqual(getDailyLimit(DEFAULT_LIMITS, {}, 'established', 'bulk'), 0);
+    assert.strictEqual(getDailyLimit(DEFAULT_LIMITS, {}, 'trusted', 'bulk'), 50);
+    assert.strictEqual(getDailyLimit(DEFAULT_LIMITS, { limits: { bulk: 100 } }, 'new', 'bulk'), 100);
+  });
+});
+
+describe('textSimilarity', () => {
+  it('ignores case, punctuation and whitespace', () => {
+    assert.strictEqual(normalizeText('  Need a DRILL!!  #tools '), 'need a drill tools');
+    assert.strictEqual(textSimilarity('Need a drill.', 'need a   DRILL'), 1);
+  });
+
+  it('scores small edits high and different texts low', () => {
+    assert.ok(textSimilarity('Need a drill for the weekend in Berlin', 'Need a drill for this weekend in Berlin') > 0.85);
+    assert.ok(textSimilarity('Need a drill', 'Giving away a sofa') < 0.3);
+    assert.strictEqual(textSimilarity('', 'drill'), 0);
+  });
+});
+
+describe('findDuplicate', () => {
+  const entries = [
+    { userId: '1', type: 'need', item: { guid: 'a', description: 'Need a drill for the weekend', createdAt: daysAgo(1) } },
+    { userId: '2', type: 'need', item: { guid: 'b', description: 'Looking for a winter coat, size M', createdAt: daysAgo(2) } },
+    { userId: '2', type: 'resource', item: { guid: 'c', description: 'Need a drill for the weekend', createdAt: daysAgo(1) } },
+    { userId: '3', type: 'need', item: { guid: 'd', description: 'Need a bike', createdAt: daysAgo(30) } },
+  ];
+
+  it('finds repeated posts of the same user', () => {
+    const duplicate = findDuplicate({ description: 'Need a drill for the weekend!', type: 'need', entries, userId: 1, now });
+    assert.strictEqual(duplicate.item.guid, 'a');
+    assert.strictEqual(duplicate.own, true);
+  });
+
+  it('finds copies of posts of other users', () => {
+    const duplicate = findDuplicate({ description: 'Looking for a winter coat size M', type: 'need', entries, userId: 1, now });
+    assert.strictEqual(duplicate.item.guid, 'b');
+    assert.strictEqual(duplicate.own, false);
+  });
+
+  it('ignores other types, old items and different texts', () => {
+    assert.strictEqual(findDuplicate({ description: 'Need a drill for the weekend', type: 'resource', entries, userId: 2, now }).item.guid, 'c');
+    assert.strictEqual(findDuplicate({ description: 'Need a bike', type: 'need', entries, userId: 1, now }), null);
+    assert.strictEqual(findDuplicate({ description: 'Need a sofa', type: 'need', entries, userId: 1, now }), null);
+    assert.strictEqual(findDuplicate({ description: '', type: 'need', entries, userId: 1, now }), null);
+  });
+});
@@ -0,0 +1,119 @@
+import fs from 'fs';
+import _ from 'lodash';
+
+/**
+ * Offline location helpers: a small gazetteer of cities and great-circle distances, no geocoding service.
+ *
+ * The gazetteer is a list of { id, labels: { [languageCode]: label }, aliases, latitude, longitude } kept in
+ * cities.json. Items store their place as item.location = { latitude, longitude, name, source }, where source
+ * is 'shared' for a Telegram location and 'text' for a city named in the description.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+// Decimal places kept of shared coordinates, about a kilometer, so a shared point doesn't give away an address
+export const SHARED_LOCATION_DECIMALS = 2;
+
+// Read a gazetteer file
+export function loadCities(file) {
+  const cities = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  for (const city of cities) {
+    if (!_.isFinite(city.latitude) || !_.isFinite(city.longitude)) throw new Error(`Invalid coordinates of city: ${city.id}`);
+  }
+  return cities;
+}
+
+// Great-circle distance in kilometers between two { latitude, longitude } points
+export function haversineDistance(a, b) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(Math.min(1, h)));
+}
+
+// Lowercase a name and fold ё, so "Кёльн" and "кельн" compare equal
+function normalizeName(name) {
+  return String(name || '').normalize('NFKC').toLowerCase().replace(/ё/g, 'е').replace(/\s+/g, ' ').trim();
+}
+
+function getCityNames(city) {
+  return _.uniq(_.map([city.id.replace(/_/g, ' '), ...Object.values(city.labels || {}), ...(city.aliases || [])], normalizeName));
+}
+
+// City whose ID, label or alias equals the given name, or null
+export function findCity(cities, name) {
+  const wanted = normalizeName(name);
+  return _.find(cities, (city) => getCityNames(city).includes(wanted)) || null;
+}
+
+// City named first in a text as a whole word, e.g. "Need a drill in Berlin", or null
+export function findCityInText(cities, text) {
+  const normalized = normalizeName(text);
+  let found = null;
+  let foundAt = Infinity;
+  for (const city of cities) {
+    for (const name of getCityNames(city)) {
+      const match = new RegExp(`(?<![\\p{L}\\p{N}])${_.escapeRegExp(name)}(?![\\p{L}\\p{N}])`, 'u').exec(normalized);
+      if (match && match.index < foundAt) {
+        found = city;
+        foundAt = match.index;
+      }
+    }
+  }
+  return found;
+}
+
+// Nearest city within maxKm of a point, or null
+export function findNearestCity(cities, point, maxKm = 50) {
+  const nearest = _.minBy(cities, (city) => haversineDistance(point, city));
+  return nearest && haversineDistance(point, nearest) <= maxKm ? nearest : null;
+}
+
+// Item location of a city from the gazetteer
+export function getCityLocation(city, source = 'text') {
+  return { latitude: city.latitude, longitude: city.longitude, name: city.labels?.en || city.id, source };
+}
+
+// Coordinates of a point rounded to SHARED_LOCATION_DECIMALS
+export function roundLocation({ latitude, longitude }) {
+  return { latitude: _.round(latitude, SHARED_LOCATION_DECIMALS), longitude: _.round(longitude, SHARED_LOCATION_DECIMALS) };
+}
+
+// Item location of a point shared in Telegram, rounded and named after the nearest known city
+export function getSharedLocation(cities, { latitude, longitude }) {
+  const city = findNearestCity(cities, { latitude, longitude });
+  return _.omitBy({
+    ...roundLocation({ latitude, longitude }),
+    name: city ? city.labels?.en || city.id : undefined,
+    source: 'shared',
+  }, _.isUndefined);
+}
+
+// Human-readable place of an item location: the city name or rounded coordinates
+export function formatPlace(location) {
+  const { latitude, longitude } = roundLocation(location);
+  return location.name || `${latitude.toFixed(SHARED_LOCATION_DECIMALS)}, ${longitude.toFixed(SHARED_LOCATION_DECIMALS)}`;
+}
+
+// OpenStreetMap link to an item location; shared points are rounded, also those stored before rounding
+export function getMapLink(location) {
+  const { latitude, longitude } = location.source === 'shared' ? roundLocation(location) : location;
+  return `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=12/${latitude}/${longitude}`;
+}
+
+// Rounded distance for display, e.g. "3 km" or "<1 km"
+export function formatDistance(km) {
+  return km < 1 ? '<1 km' : `${Math.round(km)} km`;
+}
+
+/**
+ * Parse the arguments of a proximity query such as "Berlin 10 km".
+ * @param {string} text - Place name optionally followed by a radius in kilometers.
+ * @returns {{place: string, radiusKm: (number|undefined)}} Place name (may be empty) and radius.
+ */
+export function parseNearQuery(text) {
+  const match = /^(.*?)\s*(\d+(?:[.,]\d+)?)\s*(?:km|км)?$/i.exec(String(text || '').trim());
+  if (!match) return { place: String(text || '').trim(), radiusKm: undefined };
+  return { place: match[1].trim(), radiusKm: Number(match[2].replace(',', '.')) };
+}
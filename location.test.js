@@ -0,0 +1,107 @@
+import assert from 'assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, it } from 'node:test';
+import {
+  loadCities,
+  haversineDistance,
+  findCity,
+  findCityInText,
+  findNearestCity,
+  getCityLocation,
+  getSharedLocation,
+  getMapLink,
+  formatPlace,
+  formatDistance,
+  parseNearQuery,
+} from './location.js';
+
+const cities = [
+  { id: 'berlin', labels: { en: 'Berlin', ru: 'Берлин' }, aliases: ['берлине'], latitude: 52.52, longitude: 13.405 },
+  { id: 'cologne', labels: { en: 'Cologne', ru: 'Кёльн' }, aliases: ['köln'], latitude: 50.938, longitude: 6.96 },
+  { id: 'new_york', labels: { en: 'New York', ru: 'Нью-Йорк' }, aliases: ['нью-йорке'], latitude: 40.713, longitude: -74.006 },
+];
+
+describe('loadCities', () => {
+  it('loads the bundled gazetteer', () => {
+    const file = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cities.json');
+    const loaded = loadCities(file);
+    assert.ok(loaded.length > 0);
+    assert.ok(loaded.every((city) => city.labels.en && city.labels.ru));
+  });
+});
+
+describe('haversineDistance', () => {
+  it('is zero for the same point', () => {
+    assert.strictEqual(haversineDistance(cities[0], cities[0]), 0);
+  });
+
+  it('computes great-circle distances', () => {
+    // Berlin to Cologne is about 477 km
+    assert.ok(Math.abs(haversineDistance(cities[0], cities[1]) - 477) < 5);
+    assert.ok(Math.abs(haversineDistance(cities[0], cities[2]) - 6385) < 20);
+  });
+});
+
+describe('findCity', () => {
+  it('matches IDs, labels and aliases regardless of case and ё', () => {
+    assert.strictEqual(findCity(cities, 'berlin').id, 'berlin');
+    assert.strictEqual(findCity(cities, 'КЕЛЬН').id, 'cologne');
+    assert.strictEqual(findCity(cities, 'new  york').id, 'new_york');
+    assert.strictEqual(findCity(cities, 'Paris'), null);
+  });
+});
+
+describe('findCityInText', () => {
+  it('finds the first city named as a whole word', () => {
+    assert.strictEqual(findCityInText(cities, 'Need a drill in Berlin or Köln').id, 'berlin');
+    assert.strictEqual(findCityInText(cities, 'Нужна дрель в Нью-Йорке').id, 'new_york');
+  });
+
+  it('ignores names inside other words', () => {
+    assert.strictEqual(findCityInText(cities, 'Berliner doughnuts'), null);
+  });
+});
+
+describe('findNearestCity', () => {
+  it('returns the nearest city within the distance', () => {
+    assert.strictEqual(findNearestCity(cities, { latitude: 52.4, longitude: 13.5 }).id, 'berlin');
+    assert.strictEqual(findNearestCity(cities, { latitude: 0, longitude: 0 }), null);
+  });
+});
+
+describe('item locations', () => {
+  it('builds locations of cities and shared points', () => {
+    assert.deepStrictEqual(getCityLocation(cities[0]), { latitude: 52.52, longitude: 13.405, name: 'Berlin', source: 'text' });
+    assert.deepStrictEqual(getSharedLocation(cities, { latitude: 52.5, longitude: 13.4 }), {
+      latitude: 52.5,
+      longitude: 13.4,
+      name: 'Berlin',
+      source: 'shared',
+    });
+  });
+
+  it('rounds shared points to about a kilometer', () => {
+    const location = getSharedLocation(cities, { latitude: 52.512345, longitude: 13.406789 });
+    assert.deepStrictEqual(location, { latitude: 52.51, longitude: 13.41, name: 'Berlin', source: 'shared' });
+    const stored = { latitude: 52.512345, longitude: 13.406789, source: 'shared' };
+    assert.strictEqual(getMapLink(stored), 'https://www.openstreetmap.org/?mlat=52.51&mlon=13.41#map=12/52.51/13.41');
+  });
+
+  it('formats places and distances', () => {
+    assert.strictEqual(formatPlace({ latitude: 1.23456, longitude: 2, source: 'shared' }), '1.23, 2.00');
+    assert.strictEqual(formatPlace(getCityLocation(cities[1])), 'Cologne');
+    assert.strictEqual(formatDistance(0.4), '<1 km');
+    assert.strictEqual(formatDistance(12.6), '13 km');
+  });
+});
+
+describe('parseNearQuery', () => {
+  it('splits the place and the radius', () => {
+    assert.deepStrictEqual(parseNearQuery('Berlin 10 km'), { place: 'Berlin', radiusKm: 10 });
+    assert.deepStrictEqual(parseNearQuery('Нью-Йорк 2,5км'), { place: 'Нью-Йорк', radiusKm: 2.5 });
+    assert.deepStrictEqual(parseNearQuery('15'), { place: '', radiusKm: 15 });
+    assert.deepStrictEqual(parseNearQuery('New York'), { place: 'New York', radiusKm: undefined });
+    assert.deepStrictEqual(parseNearQuery(''), { place: '', radiusKm: undefined });
+  });
+});
@@ -0,0 +1,200 @@
+import { Low } from 'lowdb';
+import fs from 'fs/promises';
+import nodePath from 'path';
+import _ from 'lodash';
+import { isItemActive } from './status.js';
+
+const ITEM_TYPES = ['need', 'resource'];
+
+/**
+ * Crash-safe JSON file adapter for lowdb.
+ *
+ * Writes go to a temp file which is fsynced and renamed over the target, so the file on disk is
+ * always either the old or the new version. Before each replace the previous good version is kept
+ * as a snapshot (a hard link, so no data is copied) and only the newest snapshots are retained.
+ * If the file can't be parsed on read, the newest readable snapshot is used instead.
+ */
+export class AtomicJSONFile {
+  /**
+   * @param {string} filename - Path of the JSON file.
+   * @param {Object} [options]
+   * @param {number} [options.snapshots=10] - Number of snapshots to keep, 0 disables snapshots.
+   */
+  constructor(filename, { snapshots = 10 } = {}) {
+    this.filename = filename;
+    this.snapshots = snapshots;
+    this.snapshotDir = `${filename}.snapshots`;
+  }
+
+  async read() {
+    let text;
+    try {
+      text = await fs.readFile(this.filename, 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return this.recover();
+      throw err;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      console.error(`AtomicJSONFile: ${this.filename} is corrupted, recovering from snapshot`, err.message);
+      const recovered = await this.recover();
+      if (recovered === null) throw err;
+      return recovered;
+    }
+  }
+
+  async write(data) {
+    const tmp = `${this.filename}.tmp`;
+    const handle = await fs.open(tmp, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await this.snapshot();
+    await fs.rename(tmp, this.filename);
+    await this.syncDirectory();
+  }
+
+  // Sorted snapshot file names, newest first
+  async listSnapshots() {
+    try {
+      const names = await fs.readdir(this.snapshotDir);
+      return _.orderBy(names, [(name) => Number(name.split('.').pop())], ['desc']);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  // Keep the current file as a snapshot and prune old ones
+  async snapshot() {
+    if (!this.snapshots) return;
+    const target = nodePath.join(this.snapshotDir, `${nodePath.basename(this.filename)}.${Date.now()}`);
+    await fs.mkdir(this.snapshotDir, { recursive: true });
+    try {
+      await fs.link(this.filename, target);
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      if (err.code !== 'EEXIST') await fs.copyFile(this.filename, target);
+    }
+    const stale = (await this.listSnapshots()).slice(this.snapshots);
+    for (const name of stale) {
+      await fs.rm(nodePath.join(this.snapshotDir, name), { force: true });
+    }
+  }
+
+  // Read the newest snapshot that parses, or null if there is none
+  async recover() {
+    for (const name of await this.listSnapshots()) {
+      try {
+        const data = JSON.parse(await fs.readFile(nodePath.join(this.snapshotDir, name), 'utf-8'));
+        console.error(`AtomicJSONFile: recovered ${this.filename} from snapshot ${name}`);
+        return data;
+      } catch (err) {
+        console.error(`AtomicJSONFile: snapshot ${name} is not readable`, err.message);
+      }
+    }
+    return null;
+  }
+
+  // Persist the rename itself; not supported on every platform
+  async syncDirectory() {
+    let handle;
+    try {
+      handle = await fs.open(nodePath.dirname(this.filename), 'r');
+      await handle.sync();
+    } catch {
+      // Ignore platforms that can't fsync directories
+    } finally {
+      await handle?.close();
+    }
+  }
+}
+
+/**
+ * Storage adapter keeping all data in a single lowdb JSON file.
+ *
+ * Layout: { users: { [userId]: { needs: [], resources: [], ...userFields } }, meta: { [key]: value } }.
+ * The file is read once on init and kept in memory; every save rewrites the whole file.
+ */
+class LowdbAdapter {
+  constructor({ path = 'db.json', snapshots = Number(process.env.DB_SNAPSHOTS ?? 10) } = {}) {
+    this.path = path;
+    this.db = new Low(new AtomicJSONFile(path, { snapshots }));
+  }
+
+  async init() {
+    await this.reload();
+    await this.db.write();
+  }
+
+  async reload() {
+    await this.db.read();
+    this.db.data ||= { users: {} };
+    this.db.data.users ||= {};
+  }
+
+  async getMeta(key) {
+    return this.db.data.meta?.[key];
+  }
+
+  async setMeta(key, value) {
+    this.db.data.meta ||= {};
+    this.db.data.meta[key] = value;
+    await this.db.write();
+  }
+
+  // Data is served from memory, so check that the file and its directory, where new versions are written, are usable
+  async check() {
+    await fs.access(this.path, fs.constants.R_OK | fs.constants.W_OK);
+    await fs.access(nodePath.dirname(this.path), fs.constants.W_OK);
+  }
+
+  async getUser(userId) {
+    return this.db.data.users[String(userId)] || null;
+  }
+
+  async getAllUsers() {
+    return new Map(Object.entries(this.db.data.users));
+  }
+
+  async listUserIds() {
+    return Object.keys(this.db.data.users);
+  }
+
+  async saveUsers(records) {
+    for (const [userId, record] of records) {
+      this.db.data.users[String(userId)] = record;
+    }
+    await this.db.write();
+  }
+
+  async deleteUser(userId) {
+    delete this.db.data.users[String(userId)];
+    await this.db.write();
+  }
+
+  async findItems({ channelMessageId, guid, createdSince, type: itemType, active } = {}) {
+    const sinceTs = createdSince ? new Date(createdSince).getTime() : null;
+    const refs = [];
+    for (const [userId, user] of Object.entries(this.db.data.users)) {
+      for (const type of itemType ? [itemType] : ITEM_TYPES) {
+        _.forEach(user[`${type}s`], (item, index) => {
+          if (active && !isItemActive(item)) return;
+          if (!_.isUndefined(channelMessageId) && item.channelMessageId !== channelMessageId) return;
+          if (!_.isUndefined(guid) && item.guid !== guid) return;
+          if (sinceTs !== null && new Date(item.createdAt).getTime() < sinceTs) return;
+          refs.push({ userId, type, guid: item.guid, index });
+        });
+      }
+    }
+    return refs;
+  }
+
+  async close() {}
+}
+
+export default LowdbAdapter;
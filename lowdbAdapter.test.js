@@ -0,0 +1,66 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { AtomicJSONFile } from './lowdbAdapter.js';
+
+describe('AtomicJSONFile', () => {
+  let dir;
+  let filename;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-json-test-'));
+    filename = path.join(dir, 'db.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const pause = () => new Promise((resolve) => setTimeout(resolve, 2));
+
+  it('returns null when the file does not exist', async () => {
+    assert.strictEqual(await new AtomicJSONFile(filename).read(), null);
+  });
+
+  it('writes and reads data without leaving a temp file', async () => {
+    const file = new AtomicJSONFile(filename);
+    await file.write({ users: { 1: { needs: [] } } });
+    assert.deepStrictEqual(await file.read(), { users: { 1: { needs: [] } } });
+    assert.strictEqual(fs.existsSync(`${filename}.tmp`), false);
+  });
+
+  it('keeps only the configured number of snapshots of previous versions', async () => {
+    const file = new AtomicJSONFile(filename, { snapshots: 2 });
+    for (let version = 1; version <= 4; version++) {
+      await file.write({ version });
+      await pause();
+    }
+    const snapshots = await file.listSnapshots();
+    assert.strictEqual(snapshots.length, 2);
+    const contents = snapshots.map((name) => JSON.parse(fs.readFileSync(path.join(file.snapshotDir, name))));
+    assert.deepStrictEqual(contents, [{ version: 3 }, { version: 2 }]);
+  });
+
+  it('does not create snapshots when disabled', async () => {
+    const file = new AtomicJSONFile(filename, { snapshots: 0 });
+    await file.write({ version: 1 });
+    await file.write({ version: 2 });
+    assert.strictEqual(fs.existsSync(file.snapshotDir), false);
+  });
+
+  it('recovers from the newest snapshot when the file is corrupted', async () => {
+    const file = new AtomicJSONFile(filename);
+    await file.write({ version: 1 });
+    await pause();
+    await file.write({ version: 2 });
+    fs.writeFileSync(filename, '{"users": {');
+    assert.deepStrictEqual(await file.read(), { version: 1 });
+  });
+
+  it('throws when the file is corrupted and there is no snapshot', async () => {
+    fs.writeFileSync(filename, '{"users": {');
+    await assert.rejects(new AtomicJSONFile(filename).read(), SyntaxError);
+  });
+});
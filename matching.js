@@ -0,0 +1,99 @@
+import _ from 'lodash';
+
+// Common words that carry no meaning for matching (English and Russian)
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'have', 'i', 'in', 'is', 'it',
+  'me', 'my', 'need', 'needs', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'this', 'to', 'we', 'with', 'you',
+  'в', 'во', 'и', 'к', 'на', 'не', 'но', 'нужен', 'нужна', 'нужно', 'нужны', 'о', 'от', 'по', 'с', 'со', 'у',
+  'я', 'мне', 'мы', 'для', 'из', 'за', 'или', 'что', 'это', 'как', 'есть',
+]);
+
+/**
+ * Split a description into normalized tokens suitable for matching.
+ *
+ * @param {string} text - Free text to tokenize.
+ * @returns {string[]} Lowercased word tokens without stop words and single characters.
+ */
+export function tokenize(text) {
+  if (!_.isString(text)) return [];
+  const words = text.normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return _.filter(words, (word) => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Compute cosine similarity between two sparse vectors.
+ *
+ * @param {Map<string, number>} a - First vector.
+ * @param {Map<string, number>} b - Second vector.
+ * @returns {number} Similarity in the range [0, 1].
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [term, weight] of a) {
+    normA += weight * weight;
+    if (b.has(term)) dot += weight * b.get(term);
+  }
+  for (const weight of b.values()) normB += weight * weight;
+  if (!normA || !normB) return 0;
+  return dot / Math.sqrt(normA * normB);
+}
+
+// Jaccard similarity of two tag lists, or null when either side has no tags
+function tagSimilarity(tagsA, tagsB) {
+  if (_.isEmpty(tagsA) || _.isEmpty(tagsB)) return null;
+  const a = _.map(tagsA, _.toLower);
+  const b = _.map(tagsB, _.toLower);
+  return _.intersection(a, b).length / _.union(a, b).length;
+}
+
+// Categories and hashtags of an item, compared as one tag list
+function getItemTags(item) {
+  return _.union(item.categories, item.tags);
+}
+
+/**
+ * Find stored items that correlate with a given item using TF-IDF over descriptions
+ * plus overlap of categories and hashtags when both sides have some.
+ *
+ * @param {Object} options - Options for matching.
+ * @param {Object} options.item - The item to find counterparts for.
+ * @param {number|string} [options.userId] - Owner of the item; their own candidates are skipped.
+ * @param {Array<{userId: (number|string), item: Object}>} options.candidates - Items of the opposite type.
+ * @param {number} [options.limit=3] - Maximum number of matches to return.
+ * @param {number} [options.threshold=0.2] - Minimum score for a candidate to be a match.
+ * @returns {Array<{userId: (number|string), item: Object, score: number}>} Matches sorted by descending score.
+ */
+export function findMatches({ item, userId, candidates, limit = 3, threshold = 0.2 }) {
+  const suggested = new Set(item.suggestedMatches || []);
+  const eligible = _.filter(candidates, (candidate) => (
+    String(candidate.userId) !== String(userId)
+    && candidate.item.guid !== item.guid
+    && !suggested.has(candidate.item.guid)
+    && !_.includes(candidate.item.suggestedMatches, item.guid)
+  ));
+  if (!eligible.length) return [];
+
+  // Document frequencies over the whole corpus, including the item itself
+  const documents = [tokenize(item.description), ..._.map(eligible, (c) => tokenize(c.item.description))];
+  const documentFrequency = _.countBy(_.flatMap(documents, _.uniq));
+  const total = documents.length;
+  const toVector = (tokens) => {
+    const vector = new Map();
+    _.forEach(_.countBy(tokens), (count, term) => {
+      const idf = Math.log((total + 1) / ((documentFrequency[term] || 0) + 1)) + 1;
+      vector.set(term, count * idf);
+    });
+    return vector;
+  };
+
+  const itemVector = toVector(documents[0]);
+  const scored = _.map(eligible, (candidate, index) => {
+    const textScore = cosineSimilarity(itemVector, toVector(documents[index + 1]));
+    const tagScore = tagSimilarity(getItemTags(item), getItemTags(candidate.item));
+    const score = tagScore === null ? textScore : 0.7 * textScore + 0.3 * tagScore;
+    return { ...candidate, score };
+  });
+  return _.take(_.orderBy(_.filter(scored, (m) => m.score >= threshold), ['score'], ['desc']), limit);
+}
@@ -0,0 +1,90 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { tokenize, cosineSimilarity, findMatches } from './matching.js';
+
+describe('tokenize', () => {
+  it('lowercases and strips punctuation', () => {
+    assert.deepStrictEqual(tokenize('Drill, HAMMER!'), ['drill', 'hammer']);
+  });
+
+  it('drops stop words and single characters', () => {
+    assert.deepStrictEqual(tokenize('I need a drill for the wall'), ['drill', 'wall']);
+  });
+
+  it('supports non-Latin text', () => {
+    assert.deepStrictEqual(tokenize('Нужна дрель в Москве'), ['дрель', 'москве']);
+  });
+
+  it('returns empty array for non-string input', () => {
+    assert.deepStrictEqual(tokenize(undefined), []);
+  });
+});
+
+describe('cosineSimilarity', () => {
+  it('returns 1 for identical vectors', () => {
+    const v = new Map([['a', 1], ['b', 2]]);
+    assert.ok(Math.abs(cosineSimilarity(v, v) - 1) < 1e-9);
+  });
+
+  it('returns 0 for disjoint vectors', () => {
+    assert.strictEqual(cosineSimilarity(new Map([['a', 1]]), new Map([['b', 1]])), 0);
+  });
+
+  it('returns 0 for empty vectors', () => {
+    assert.strictEqual(cosineSimilarity(new Map(), new Map([['b', 1]])), 0);
+  });
+});
+
+describe('findMatches', () => {
+  const need = { guid: 'n1', description: 'Need a power drill in Berlin' };
+  const candidates = [
+    { userId: 2, item: { guid: 'r1', description: 'Power drill available, Berlin' } },
+    { userId: 3, item: { guid: 'r2', description: 'Fresh vegetables from my garden' } },
+    { userId: 4, item: { guid: 'r3', description: 'Drill and hammer to lend' } },
+  ];
+
+  it('ranks candidates by text similarity and skips unrelated ones', () => {
+    const matches = findMatches({ item: need, userId: 1, candidates });
+    assert.deepStrictEqual(matches.map((m) => m.item.guid), ['r1', 'r3']);
+    assert.ok(matches[0].score > matches[1].score);
+  });
+
+  it('respects the limit', () => {
+    const matches = findMatches({ item: need, userId: 1, candidates, limit: 1 });
+    assert.deepStrictEqual(matches.map((m) => m.item.guid), ['r1']);
+  });
+
+  it('skips candidates owned by the same user', () => {
+    const matches = findMatches({ item: need, userId: 2, candidates });
+    assert.deepStrictEqual(matches.map((m) => m.item.guid), ['r3']);
+  });
+
+  it('skips pairs that were already suggested from either side', () => {
+    const item = { ...need, suggestedMatches: ['r1'] };
+    const others = [
+      candidates[0],
+      { userId: 4, item: { ...candidates[2].item, suggestedMatches: ['n1'] } },
+    ];
+    assert.deepStrictEqual(findMatches({ item, userId: 1, candidates: others }), []);
+  });
+
+  it('takes tag overlap into account when both sides have tags', () => {
+    const item = { guid: 'n2', description: 'Looking for help', tags: ['transport'] };
+    const tagged = [
+      { userId: 2, item: { guid: 'r4', description: 'Can give a ride', tags: ['transport'] } },
+      { userId: 3, item: { guid: 'r5', description: 'Can give a lesson', tags: ['skills'] } },
+    ];
+    const matches = findMatches({ item, userId: 1, candidates: tagged });
+    assert.deepStrictEqual(matches.map((m) => m.item.guid), ['r4']);
+  });
+
+  it('compares categories together with hashtags', () => {
+    const item = { guid: 'n3', description: 'Looking for help', categories: ['transport'] };
+    const tagged = [
+      { userId: 2, item: { guid: 'r6', description: 'Can give a ride', tags: ['transport'] } },
+      { userId: 3, item: { guid: 'r7', description: 'Can give a lesson', categories: ['skills'] } },
+    ];
+    const matches = findMatches({ item, userId: 1, candidates: tagged });
+    assert.deepStrictEqual(matches.map((m) => m.item.guid), ['r6']);
+  });
+});
@@ -0,0 +1,54 @@
+import _ from 'lodash';
+
+/**
+ * Media attached to items.
+ *
+ * Items store their files as item.media = [{ type, fileId }], in album order. Items created before
+ * media lists were introduced have a single photo in item.fileId instead.
+ */
+
+// Bot API method sending a single file of each media type
+export const MEDIA_SEND_METHODS = {
+  photo: 'sendPhoto',
+  video: 'sendVideo',
+  animation: 'sendAnimation',
+  document: 'sendDocument',
+  audio: 'sendAudio',
+  voice: 'sendVoice',
+};
+
+// Typed file of a message, or null for messages without a supported file
+export function extractMessageMedia(message) {
+  if (!_.isEmpty(message.photo)) return { type: 'photo', fileId: _.last(message.photo).file_id };
+  // Animations also carry a document, so check them first
+  for (const type of ['video', 'animation', 'audio', 'voice', 'document']) {
+    if (message[type]) return { type, fileId: message[type].file_id };
+  }
+  return null;
+}
+
+// Files of an item, also for items that only have the legacy fileId
+export function getItemMedia(item) {
+  if (item.media) return item.media;
+  return item.fileId ? [{ type: 'photo', fileId: item.fileId }] : [];
+}
+
+// InputMedia object for sendMediaGroup and editMessageMedia
+export function toInputMedia({ type, fileId }, extra = {}) {
+  return { type, media: fileId, ...extra };
+}
+
+/**
+ * Whether a channel post can be edited in place to show new content. Telegram can't turn a text
+ * message into a media message, change the number of files of an album or edit voice messages.
+ * @param {Array<Object>} oldMedia - Files of the posted item.
+ * @param {Array<Object>} newMedia - Files of the new content, empty when only the description changes.
+ * @returns {boolean} False when the post has to be replaced by a new one.
+ */
+export function canEditMediaInPlace(oldMedia, newMedia) {
+  if (!newMedia.length) return true;
+  return oldMedia.length === 1
+    && newMedia.length === 1
+    && oldMedia[0].type !== 'voice'
+    && newMedia[0].type !== 'voice';
+}
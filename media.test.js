@@ -0,0 +1,67 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { extractMessageMedia, getItemMedia, toInputMedia, canEditMediaInPlace } from './media.js';
+
+describe('extractMessageMedia', () => {
+  it('takes the largest photo size', () => {
+    const message = { photo: [{ file_id: 'small' }, { file_id: 'large' }], caption: 'Bike' };
+    assert.deepStrictEqual(extractMessageMedia(message), { type: 'photo', fileId: 'large' });
+  });
+
+  it('detects videos, audio, voice notes and documents', () => {
+    assert.deepStrictEqual(extractMessageMedia({ video: { file_id: 'v' } }), { type: 'video', fileId: 'v' });
+    assert.deepStrictEqual(extractMessageMedia({ audio: { file_id: 'a' } }), { type: 'audio', fileId: 'a' });
+    assert.deepStrictEqual(extractMessageMedia({ voice: { file_id: 'n' } }), { type: 'voice', fileId: 'n' });
+    assert.deepStrictEqual(extractMessageMedia({ document: { file_id: 'd', mime_type: 'application/pdf' } }), { type: 'document', fileId: 'd' });
+  });
+
+  it('prefers the animation over its document', () => {
+    const message = { animation: { file_id: 'gif' }, document: { file_id: 'gif' } };
+    assert.deepStrictEqual(extractMessageMedia(message), { type: 'animation', fileId: 'gif' });
+  });
+
+  it('returns null for text messages', () => {
+    assert.strictEqual(extractMessageMedia({ text: 'Drill' }), null);
+  });
+});
+
+describe('getItemMedia', () => {
+  it('returns the media list or the legacy photo', () => {
+    const media = [{ type: 'video', fileId: 'v' }];
+    assert.strictEqual(getItemMedia({ media }), media);
+    assert.deepStrictEqual(getItemMedia({ fileId: 'p' }), [{ type: 'photo', fileId: 'p' }]);
+    assert.deepStrictEqual(getItemMedia({}), []);
+  });
+});
+
+describe('toInputMedia', () => {
+  it('builds InputMedia objects', () => {
+    assert.deepStrictEqual(
+      toInputMedia({ type: 'photo', fileId: 'p' }, { caption: 'Bike' }),
+      { type: 'photo', media: 'p', caption: 'Bike' }
+    );
+  });
+});
+
+describe('canEditMediaInPlace', () => {
+  const photo = { type: 'photo', fileId: 'p' };
+  const video = { type: 'video', fileId: 'v' };
+  const voice = { type: 'voice', fileId: 'n' };
+
+  it('allows description-only edits of any post', () => {
+    assert.strictEqual(canEditMediaInPlace([], []), true);
+    assert.strictEqual(canEditMediaInPlace([photo, video], []), true);
+  });
+
+  it('allows replacing a single file', () => {
+    assert.strictEqual(canEditMediaInPlace([photo], [video]), true);
+  });
+
+  it('rejects adding files to text posts, album changes and voice notes', () => {
+    assert.strictEqual(canEditMediaInPlace([], [photo]), false);
+    assert.strictEqual(canEditMediaInPlace([photo, video], [photo]), false);
+    assert.strictEqual(canEditMediaInPlace([photo], [photo, video]), false);
+    assert.strictEqual(canEditMediaInPlace([voice], [photo]), false);
+    assert.strictEqual(canEditMediaInPlace([photo], [voice]), false);
+  });
+});
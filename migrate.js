@@ -0,0 +1,65 @@
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { Telegraf } from 'telegraf';
+import Storage from './storage.js';
+import { migrations, getSchemaVersion, runMigrations } from './migrations.js';
+
+// Apply pending data migrations to the database selected by STORAGE_BACKEND and DB_PATH.
+// Usage: node migrate.js [--dry-run] [--limit N] [--only <name>] [--user <id>...] [--delete-unreachable] [--channel <channel>] [--list]
+// --channel is where items without a stored channel were posted, CHANNEL_USERNAME by default
+// --delete-unreachable lets delete-unreachable-users delete the posts of every user Telegram can't find
+const { values: args } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    limit: { type: 'string' },
+    only: { type: 'string' },
+    user: { type: 'string', multiple: true, default: [] },
+    'delete-unreachable': { type: 'boolean', default: false },
+    channel: { type: 'string' },
+    list: { type: 'boolean', default: false },
+  },
+});
+
+const limit = args.limit === undefined ? Infinity : Number(args.limit);
+if (!Number.isInteger(limit) && limit !== Infinity) {
+  console.error(`Invalid --limit: ${args.limit}`);
+  process.exit(1);
+}
+
+const storage = new Storage();
+await storage.initDB();
+const schemaVersion = await getSchemaVersion(storage);
+
+if (args.list) {
+  for (const { version, name, description } of migrations) {
+    const state = version <= schemaVersion ? 'applied' : 'pending';
+    console.log(`${version} ${name} [${state}] - ${description}`);
+  }
+  await storage.close();
+  process.exit(0);
+}
+
+const bot = new Telegraf(process.env.BOT_TOKEN);
+console.log(`Schema version: ${schemaVersion}${args['dry-run'] ? ' (dry run, nothing will be changed)' : ''}`);
+try {
+  const { toVersion, results } = await runMigrations({
+    storage,
+    telegram: bot.telegram,
+    dryRun: args['dry-run'],
+    limit,
+    only: args.only,
+    channel: args.channel,
+    options: { users: args.user, deleteUnreachable: args['delete-unreachable'] },
+  });
+  if (!results.length) console.log('No pending migrations');
+  for (const { version, name, planned, applied, complete } of results) {
+    console.log(`${version} ${name}: ${planned.length} change(s) planned, ${applied} applied${complete ? '' : ', stopped at limit'}`);
+    for (const change of planned) console.log(`  ${change}`);
+  }
+  if (!args['dry-run']) console.log(`Schema version is now ${toVersion}`);
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await storage.close();
+}
@@ -0,0 +1,257 @@
+import _ from 'lodash';
+import { CHANNEL_USERNAME, deleteChannelPost, updateChannelPost } from './channel.js';
+
+const ITEM_TYPES = ['need', 'resource'];
+
+/**
+ * Data migrations, applied in version order.
+ *
+ * The version of the last applied migration is stored as the schemaVersion meta value.
+ * Each migration receives { storage, telegram, channel, dryRun, limit, options, log } and returns
+ * a report { planned, applied, complete }: the changes it found, how many of them were made and
+ * whether it went through all data (false when stopped by the limit). `channel` is the channel of
+ * items posted before the channel was stored on each item.
+ */
+
+// Find an item of a user inside a transaction; records are reloaded after a failed transaction, so writes
+// that follow Telegram calls look the item up again instead of changing an object read before
+async function findUserItem(data, userId, type, guid) {
+  const user = await data.getUserData(userId);
+  return _.find(user[`${type}s`], { guid }) || null;
+}
+
+// Store full user info on posted items and re-render their posts with clickable mentions
+async function migrateUserMentions({ storage, telegram, channel, dryRun, limit, log }) {
+  const report = { planned: [], applied: 0, complete: true };
+  await storage.readDB();
+  for (const userId of await storage.listUserIds()) {
+    const user = await storage.getUserData(userId);
+    let chat;
+    for (const type of ITEM_TYPES) {
+      for (const item of user[`${type}s`] || []) {
+        const msgId = item.channelMessageId;
+        if (!msgId) continue;
+        if (report.planned.length >= limit) {
+          report.complete = false;
+          return report;
+        }
+        if (!chat) {
+          try {
+            chat = await telegram.getChat(userId);
+          } catch (err) {
+            log(`Skipping user ${userId}: ${err.response?.description || err.message}`);
+            break;
+          }
+        }
+        const updated = {
+          ..._.cloneDeep(item),
+          user: { id: chat.id, username: chat.username, first_name: chat.first_name, last_name: chat.last_name },
+          [type === 'need' ? 'requestor' : 'supplier']: chat.username || chat.first_name || 'unknown',
+        };
+        // Compare without undefined fields, which are not persisted anyway
+        if (_.isEqual(JSON.parse(JSON.stringify(item)), JSON.parse(JSON.stringify(updated)))) continue;
+        report.planned.push(`Update ${type} message ${msgId} of user ${userId}`);
+        if (dryRun) continue;
+        try {
+          await updateChannelPost({ telegram, channel: item.channel || channel, type, item: updated });
+        } catch (err) {
+          log(`Failed to update message ${msgId} of user ${userId}: ${err.response?.description || err.message}`);
+          continue;
+        }
+        await storage.transaction(async (data) => {
+          const current = await findUserItem(data, userId, type, item.guid);
+          if (current) Object.assign(current, _.pick(updated, ['user', 'requestor', 'supplier']), { updatedAt: new Date().toISOString() });
+        });
+        report.applied++;
+      }
+    }
+  }
+  return report;
+}
+
+// Whether a getChat error means the user is gone for good
+function isUnreachableUserError(err) {
+  return /chat not found|user is deactivated/i.test(err.response?.description || err.message);
+}
+
+// Delete channel posts of users who deleted their account, and drop the deleted items.
+// getChat also fails for users who never opened a private chat with the bot, e.g. those who only posted
+// from groups, so users are only looked up with options.deleteUnreachable; otherwise only options.users are handled.
+async function deleteUnreachableUserMessages({ storage, telegram, channel, dryRun, limit, options, log }) {
+  const report = { planned: [], applied: 0, complete: true };
+  await storage.readDB();
+  const knownUserIds = await storage.listUserIds();
+  const userIds = _.map(options.users, String);
+  if (!userIds.length && !options.deleteUnreachable) {
+    log('Skipping: pass --user <id> to delete posts of given users, or --delete-unreachable to look up every user');
+    return report;
+  }
+  if (!userIds.length) {
+    for (const userId of knownUserIds) {
+      const user = await storage.getUserData(userId);
+      if (!_.some(ITEM_TYPES, (type) => _.some(user[`${type}s`], 'channelMessageId'))) continue;
+      try {
+        await telegram.getChat(userId);
+      } catch (err) {
+        if (isUnreachableUserError(err)) userIds.push(userId);
+        else log(`Could not check user ${userId}: ${err.response?.description || err.message}`);
+      }
+    }
+  }
+  for (const userId of userIds) {
+    if (!knownUserIds.includes(userId)) {
+      log(`No data for user ${userId}`);
+      continue;
+    }
+    const user = await storage.getUserData(userId);
+    for (const type of ITEM_TYPES) {
+      for (const item of [...(user[`${type}s`] || [])]) {
+        const msgId = item.channelMessageId;
+        if (!msgId) continue;
+        if (report.planned.length >= limit) {
+          report.complete = false;
+          return report;
+        }
+        report.planned.push(`Delete ${type} message ${msgId} of user ${userId}`);
+        if (dryRun) continue;
+        if (!(await deleteChannelPost({ telegram, item, channel: item.channel || channel }))) {
+          log(`Failed to delete message ${msgId} of user ${userId}`);
+          continue;
+        }
+        await storage.transaction(async (data) => {
+          _.remove((await data.getUserData(userId))[`${type}s`], { guid: item.guid });
+        });
+        report.applied++;
+      }
+    }
+  }
+  return report;
+}
+
+// Store the channel on posted items, so they keep pointing to it when the default channel changes
+async function storeItemChannels({ storage, channel, dryRun, limit }) {
+  const report = { planned: [], applied: 0, complete: true };
+  await storage.readDB();
+  await storage.transaction(async (data) => {
+    for (const { userId, type, item } of await data.getAllItems()) {
+      if (!item.channelMessageId || item.channel) continue;
+      if (report.planned.length >= limit) {
+        report.complete = false;
+        break;
+      }
+      report.planned.push(`Set channel of ${type} message ${item.channelMessageId} of user ${userId} to ${channel}`);
+      if (dryRun) continue;
+      item.channel = channel;
+      report.applied++;
+    }
+  });
+  return report;
+}
+
+// Replace the single photo of items with a list of typed files
+async function storeItemMedia({ storage, dryRun, limit }) {
+  const report = { planned: [], applied: 0, complete: true };
+  await storage.readDB();
+  await storage.transaction(async (data) => {
+    for (const { userId, type, item } of await data.getAllItems()) {
+      if (!item.fileId || item.media) continue;
+      if (report.planned.length >= limit) {
+        report.complete = false;
+        break;
+      }
+      report.planned.push(`Move photo of ${type} ${item.guid} of user ${userId} to the media list`);
+      if (dryRun) continue;
+      item.media = [{ type: 'photo', fileId: item.fileId }];
+      delete item.fileId;
+      report.applied++;
+    }
+  });
+  return report;
+}
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'user-mentions',
+    description: 'Store user info on posted items and switch channel posts to clickable mentions',
+    run: migrateUserMentions,
+  },
+  {
+    version: 2,
+    name: 'delete-unreachable-users',
+    description: 'Delete channel posts of the users given with --user, or of all unreachable users with --delete-unreachable',
+    run: deleteUnreachableUserMessages,
+  },
+  {
+    version: 3,
+    name: 'item-channels',
+    description: 'Store the channel on items posted before items could go to different channels',
+    run: storeItemChannels,
+  },
+  {
+    version: 4,
+    name: 'item-media',
+    description: 'Store item files as a list of typed file IDs instead of a single photo',
+    run: storeItemMedia,
+  },
+];
+
+// Version of the last applied migration, 0 for a fresh database
+export async function getSchemaVersion(storage) {
+  return (await storage.getMeta('schemaVersion')) ?? 0;
+}
+
+/**
+ * Run pending migrations in version order.
+ *
+ * A migration counts as applied, and schemaVersion is advanced, only when it completed without
+ * hitting the limit and outside of a dry run. With `only`, the named migration is run even if it
+ * was applied before; schemaVersion is advanced only if no earlier migration is still pending.
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - Storage instance.
+ * @param {Object} options.telegram - Telegram client (bot.telegram or a compatible object).
+ * @param {string} [options.channel=CHANNEL_USERNAME] - Channel of items without a stored channel.
+ * @param {boolean} [options.dryRun=false] - Only report planned changes.
+ * @param {number} [options.limit=Infinity] - Max changes per migration.
+ * @param {string} [options.only] - Name of the single migration to run.
+ * @param {Object} [options.options={}] - Migration-specific options, e.g. { users: [id] }.
+ * @param {Array<Object>} [options.registry=migrations] - Migrations to choose from.
+ * @param {Function} [options.log=console.log] - Logger for skipped and failed changes.
+ * @returns {Promise<{fromVersion: number, toVersion: number, results: Array<Object>}>}
+ *   Results hold { name, version, planned, applied, complete } per migration run.
+ */
+export async function runMigrations({
+  storage,
+  telegram,
+  channel = CHANNEL_USERNAME,
+  dryRun = false,
+  limit = Infinity,
+  only,
+  options = {},
+  registry = migrations,
+  log = console.log,
+}) {
+  const fromVersion = await getSchemaVersion(storage);
+  let selected;
+  if (only) {
+    selected = _.filter(registry, { name: only });
+    if (!selected.length) throw new Error(`Unknown migration: ${only}`);
+  } else {
+    selected = _.sortBy(_.filter(registry, (m) => m.version > fromVersion), 'version');
+  }
+  let version = fromVersion;
+  const results = [];
+  for (const migration of selected) {
+    const report = await migration.run({ storage, telegram, channel, dryRun, limit, options, log });
+    results.push({ name: migration.name, version: migration.version, ...report });
+    if (dryRun) continue;
+    if (!report.complete) break;
+    const earlierPending = _.some(registry, (m) => m.version > version && m.version < migration.version);
+    if (migration.version > version && !earlierPending) {
+      version = migration.version;
+      await storage.setMeta('schemaVersion', version);
+    }
+  }
+  return { fromVersion, toVersion: version, results };
+}
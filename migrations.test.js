@@ -0,0 +1,180 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import Storage from './storage.js';
+import { getSchemaVersion, runMigrations } from './migrations.js';
+
+// Telegram client double recording every call; users listed in `gone` fail getChat
+function createFakeTelegram({ chats = {}, gone = [] } = {}) {
+  const calls = [];
+  const fail = (description) => Object.assign(new Error(description), { response: { description } });
+  return {
+    calls,
+    async getChat(id) {
+      calls.push(['getChat', String(id)]);
+      if (gone.includes(String(id))) throw fail('Bad Request: chat not found');
+      return chats[id] || { id: Number(id), first_name: `User ${id}` };
+    },
+    async editMessageText(chat, msgId, inlineId, text) {
+      calls.push(['editMessageText', msgId, text]);
+    },
+    async editMessageCaption(chat, msgId, inlineId, caption) {
+      calls.push(['editMessageCaption', msgId, caption]);
+    },
+    async deleteMessage(chat, msgId) {
+      calls.push(['deleteMessage', msgId]);
+    },
+  };
+}
+
+describe('runMigrations', () => {
+  let dir;
+  let storage;
+
+  const seed = async (users) => {
+    for (const [userId, items] of Object.entries(users)) {
+      Object.assign(await storage.getUserData(userId), items);
+    }
+    await storage.writeDB();
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+    storage = new Storage({ backend: 'lowdb', path: path.join(dir, 'db.json') });
+    await storage.initDB();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('applies pending migrations in order and records the schema version', async () => {
+    const order = [];
+    const registry = [
+      { version: 2, name: 'second', run: async () => { order.push(2); return { planned: [], applied: 0, complete: true }; } },
+      { version: 1, name: 'first', run: async () => { order.push(1); return { planned: [], applied: 0, complete: true }; } },
+    ];
+    const result = await runMigrations({ storage, telegram: createFakeTelegram(), registry });
+    assert.deepStrictEqual(order, [1, 2]);
+    assert.strictEqual(result.toVersion, 2);
+    assert.strictEqual(await getSchemaVersion(storage), 2);
+    assert.deepStrictEqual((await runMigrations({ storage, telegram: createFakeTelegram(), registry })).results, []);
+  });
+
+  it('does not advance the schema version on a dry run or when stopped by the limit', async () => {
+    const registry = [{ version: 1, name: 'first', run: async ({ limit }) => ({ planned: ['x'], applied: 0, complete: limit > 1 }) }];
+    await runMigrations({ storage, telegram: createFakeTelegram(), registry, dryRun: true });
+    assert.strictEqual(await getSchemaVersion(storage), 0);
+    await runMigrations({ storage, telegram: createFakeTelegram(), registry, limit: 1 });
+    assert.strictEqual(await getSchemaVersion(storage), 0);
+  });
+
+  it('rejects unknown migration names', async () => {
+    await assert.rejects(runMigrations({ storage, telegram: createFakeTelegram(), only: 'nope' }), /Unknown migration: nope/);
+  });
+
+  it('reports user mention updates on a dry run without changing anything', async () => {
+    await seed({ 1: { needs: [{ guid: 'a', description: 'Drill', channelMessageId: 10, requestor: 'old' }] } });
+    const telegram = createFakeTelegram();
+    const { results } = await runMigrations({ storage, telegram, only: 'user-mentions', dryRun: true });
+    assert.deepStrictEqual(results[0].planned, ['Update need message 10 of user 1']);
+    assert.deepStrictEqual(telegram.calls, [['getChat', '1']]);
+    assert.strictEqual((await storage.getUserData(1)).needs[0].user, undefined);
+  });
+
+  it('re-renders posts with user mentions', async () => {
+    await seed({
+      1: {
+        needs: [{ guid: 'a', description: 'Drill', channelMessageId: 10 }],
+        resources: [{ guid: 'b', description: 'Bike', channelMessageId: 11, fileId: 'photo' }],
+      },
+    });
+    const telegram = createFakeTelegram({ chats: { 1: { id: 1, username: 'alice' } } });
+    const { results } = await runMigrations({ storage, telegram, only: 'user-mentions' });
+    assert.strictEqual(results[0].applied, 2);
+    assert.deepStrictEqual(telegram.calls.map(([method, msgId]) => [method, msgId]), [
+      ['getChat', '1'],
+      ['editMessageText', 10],
+      ['editMessageCaption', 11],
+    ]);
+    const user = await storage.getUserData(1);
+    assert.strictEqual(user.needs[0].requestor, 'alice');
+    assert.strictEqual(user.resources[0].user.username, 'alice');
+    assert.strictEqual(await getSchemaVersion(storage), 1);
+  });
+
+  it('re-renders descriptions escaped and with their formatting', async () => {
+    await seed({
+      1: { needs: [{ guid: 'a', description: 'Drill & bits', entities: [{ type: 'bold', offset: 0, length: 5 }], channelMessageId: 10 }] },
+    });
+    const telegram = createFakeTelegram({ chats: { 1: { id: 1, username: 'alice' } } });
+    await runMigrations({ storage, telegram, only: 'user-mentions' });
+    const [, msgId, text] = telegram.calls.find(([method]) => method === 'editMessageText');
+    assert.strictEqual(msgId, 10);
+    assert.ok(text.startsWith('<b>Drill</b> &amp; bits\n\n'));
+  });
+
+  it('deletes posts of unreachable users and keeps everyone else', async () => {
+    await seed({
+      1: { needs: [{ guid: 'a', channelMessageId: 10 }, { guid: 'b' }] },
+      2: { resources: [{ guid: 'c', channelMessageId: 12 }] },
+    });
+    const telegram = createFakeTelegram({ gone: ['1'] });
+    const { results } = await runMigrations({
+      storage,
+      telegram,
+      only: 'delete-unreachable-users',
+      options: { deleteUnreachable: true },
+    });
+    assert.deepStrictEqual(results[0].planned, ['Delete need message 10 of user 1']);
+    assert.ok(telegram.calls.some(([method, msgId]) => method === 'deleteMessage' && msgId === 10));
+    assert.deepStrictEqual((await storage.getUserData(1)).needs, [{ guid: 'b' }]);
+    assert.strictEqual((await storage.getUserData(2)).resources.length, 1);
+  });
+
+  it('deletes nothing without given users or confirmation', async () => {
+    await seed({ 1: { needs: [{ guid: 'a', channelMessageId: 10 }] } });
+    const telegram = createFakeTelegram({ gone: ['1'] });
+    const { results } = await runMigrations({ storage, telegram, only: 'delete-unreachable-users' });
+    assert.deepStrictEqual(results[0].planned, []);
+    assert.deepStrictEqual(telegram.calls, []);
+    assert.strictEqual((await storage.getUserData(1)).needs.length, 1);
+  });
+
+  it('stores the channel on posted items that have none', async () => {
+    await seed({
+      1: { needs: [{ guid: 'a', channelMessageId: 10 }, { guid: 'b' }, { guid: 'c', channelMessageId: 11, channel: '@other' }] },
+    });
+    const { results } = await runMigrations({ storage, telegram: createFakeTelegram(), only: 'item-channels', channel: '@old' });
+    assert.deepStrictEqual(results[0].planned, ['Set channel of need message 10 of user 1 to @old']);
+    assert.deepStrictEqual((await storage.getUserData(1)).needs.map((item) => item.channel), ['@old', undefined, '@other']);
+  });
+
+  it('moves single photos into media lists', async () => {
+    await seed({
+      1: { resources: [{ guid: 'a', fileId: 'photo' }, { guid: 'b' }, { guid: 'c', media: [{ type: 'video', fileId: 'v' }] }] },
+    });
+    const { results } = await runMigrations({ storage, telegram: createFakeTelegram(), only: 'item-media' });
+    assert.deepStrictEqual(results[0].planned, ['Move photo of resource a of user 1 to the media list']);
+    assert.deepStrictEqual((await storage.getUserData(1)).resources, [
+      { guid: 'a', media: [{ type: 'photo', fileId: 'photo' }] },
+      { guid: 'b' },
+      { guid: 'c', media: [{ type: 'video', fileId: 'v' }] },
+    ]);
+  });
+
+  it('deletes posts of the given users only', async () => {
+    await seed({
+      1: { needs: [{ guid: 'a', channelMessageId: 10 }] },
+      2: { needs: [{ guid: 'b', channelMessageId: 11 }] },
+    });
+    const telegram = createFakeTelegram();
+    await runMigrations({ storage, telegram, only: 'delete-unreachable-users', options: { users: [2] } });
+    assert.deepStrictEqual(telegram.calls, [['deleteMessage', 11]]);
+    assert.strictEqual((await storage.getUserData(1)).needs.length, 1);
+    assert.deepStrictEqual((await storage.getUserData(2)).needs, []);
+  });
+});
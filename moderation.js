@@ -0,0 +1,79 @@
+import _ from 'lodash';
+
+/**
+ * Helpers for the moderation queue.
+ *
+ * Items waiting for a moderator carry item.moderation = { state: 'pending', submittedAt, reports };
+ * approved items keep { state: 'approved', decidedBy, decidedAt }. New items in the queue are not
+ * posted yet, reported items stay published until a moderator rejects them.
+ * Banned users have user.banned = { by, at }.
+ */
+
+// Parse a comma or space separated list of Telegram user IDs, e.g. ADMIN_IDS
+export function parseAdminIds(value = '') {
+  return _.uniq(String(value).split(/[\s,]+/).filter(Boolean));
+}
+
+export function isAdmin(adminIds, userId) {
+  return adminIds.includes(String(userId));
+}
+
+export function isBanned(user) {
+  return Boolean(user?.banned);
+}
+
+export function isPendingModeration(item) {
+  return item.moderation?.state === 'pending';
+}
+
+// New item that was never posted because it still waits for approval
+export function isAwaitingApproval(item) {
+  return isPendingModeration(item) && !item.channelMessageId;
+}
+
+// Put a new item into the queue
+export function submitForModeration(item, { now = Date.now() } = {}) {
+  item.moderation = { state: 'pending', submittedAt: new Date(now).toISOString(), reports: [] };
+  return item;
+}
+
+/**
+ * Record a report about a published item and send it back into the queue.
+ * @param {Object} item - Reported item.
+ * @param {Object} report
+ * @param {number|string} report.reporterId - Telegram ID of the reporting user.
+ * @param {string} [report.reason] - Free-form reason.
+ * @param {number} [report.now=Date.now()] - Current time.
+ * @returns {boolean} Whether moderators should be notified: false if the item was already queued
+ *   or this user already reported it.
+ */
+export function addReport(item, { reporterId, reason, now = Date.now() }) {
+  const wasPending = isPendingModeration(item);
+  const reports = item.moderation?.reports || [];
+  if (_.some(reports, { reporterId: String(reporterId) })) return false;
+  item.moderation = {
+    ...item.moderation,
+    state: 'pending',
+    reports: [...reports, _.omitBy({ reporterId: String(reporterId), reason, reportedAt: new Date(now).toISOString() }, _.isNil)],
+  };
+  return !wasPending;
+}
+
+// Drop the reports a user made about an item, e.g. when they ask to be forgotten; tells whether there were any
+export function removeReports(item, reporterId) {
+  const reports = item.moderation?.reports;
+  if (!_.some(reports, { reporterId: String(reporterId) })) return false;
+  item.moderation.reports = _.reject(reports, { reporterId: String(reporterId) });
+  return true;
+}
+
+// Record the approval of a queued item
+export function approveItem(item, { adminId, now = Date.now() }) {
+  item.moderation = {
+    ...item.moderation,
+    state: 'approved',
+    decidedBy: String(adminId),
+    decidedAt: new Date(now).toISOString(),
+  };
+  return item;
+}
@@ -0,0 +1,102 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import {
+  parseAdminIds,
+  isAdmin,
+  isBanned,
+  isPendingModeration,
+  isAwaitingApproval,
+  submitForModeration,
+  addReport,
+  removeReports,
+  approveItem,
+} from './moderation.js';
+
+const NOW = Date.parse('2025-03-01T00:00:00.000Z');
+
+describe('parseAdminIds', () => {
+  it('splits comma and space separated IDs', () => {
+    assert.deepStrictEqual(parseAdminIds('1, 2 3,,1'), ['1', '2', '3']);
+  });
+
+  it('returns an empty list when not configured', () => {
+    assert.deepStrictEqual(parseAdminIds(undefined), []);
+    assert.deepStrictEqual(parseAdminIds(''), []);
+  });
+});
+
+describe('isAdmin and isBanned', () => {
+  it('compares user IDs as strings', () => {
+    assert.strictEqual(isAdmin(['42'], 42), true);
+    assert.strictEqual(isAdmin(['42'], 7), false);
+  });
+
+  it('detects banned users', () => {
+    assert.strictEqual(isBanned({ banned: { by: '42' } }), true);
+    assert.strictEqual(isBanned({}), false);
+    assert.strictEqual(isBanned(null), false);
+  });
+});
+
+describe('submitForModeration', () => {
+  it('queues a new item until it is posted', () => {
+    const item = submitForModeration({ description: 'Drill' }, { now: NOW });
+    assert.deepStrictEqual(item.moderation, { state: 'pending', submittedAt: '2025-03-01T00:00:00.000Z', reports: [] });
+    assert.strictEqual(isPendingModeration(item), true);
+    assert.strictEqual(isAwaitingApproval(item), true);
+    item.channelMessageId = 10;
+    assert.strictEqual(isAwaitingApproval(item), false);
+  });
+
+  it('does not affect items without moderation state', () => {
+    assert.strictEqual(isPendingModeration({}), false);
+    assert.strictEqual(isAwaitingApproval({}), false);
+  });
+});
+
+describe('addReport', () => {
+  it('sends a published item back into the queue', () => {
+    const item = { channelMessageId: 10 };
+    assert.strictEqual(addReport(item, { reporterId: 7, reason: 'spam', now: NOW }), true);
+    assert.strictEqual(isPendingModeration(item), true);
+    assert.strictEqual(isAwaitingApproval(item), false);
+    assert.deepStrictEqual(item.moderation.reports, [{ reporterId: '7', reason: 'spam', reportedAt: '2025-03-01T00:00:00.000Z' }]);
+  });
+
+  it('adds further reports without notifying moderators again', () => {
+    const item = { channelMessageId: 10 };
+    addReport(item, { reporterId: 7, now: NOW });
+    assert.strictEqual(addReport(item, { reporterId: 8, now: NOW }), false);
+    assert.strictEqual(item.moderation.reports.length, 2);
+  });
+
+  it('ignores repeated reports of the same user', () => {
+    const item = { channelMessageId: 10 };
+    addReport(item, { reporterId: 7, now: NOW });
+    approveItem(item, { adminId: 1, now: NOW });
+    assert.strictEqual(addReport(item, { reporterId: 7, now: NOW }), false);
+    assert.strictEqual(item.moderation.state, 'approved');
+  });
+});
+
+describe('removeReports', () => {
+  it('drops the reports of one user only', () => {
+    const item = { channelMessageId: 10 };
+    addReport(item, { reporterId: 7, now: NOW });
+    addReport(item, { reporterId: 8, now: NOW });
+    assert.strictEqual(removeReports(item, '7'), true);
+    assert.deepStrictEqual(item.moderation.reports.map((report) => report.reporterId), ['8']);
+    assert.strictEqual(removeReports(item, 7), false);
+    assert.strictEqual(removeReports({}, 7), false);
+  });
+});
+
+describe('approveItem', () => {
+  it('records who approved the item and when', () => {
+    const item = approveItem(submitForModeration({}, { now: NOW }), { adminId: 42, now: NOW });
+    assert.strictEqual(item.moderation.state, 'approved');
+    assert.strictEqual(item.moderation.decidedBy, '42');
+    assert.strictEqual(item.moderation.decidedAt, '2025-03-01T00:00:00.000Z');
+    assert.strictEqual(isPendingModeration(item), false);
+  });
+});
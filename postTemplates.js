@@ -0,0 +1,101 @@
+import fs from 'fs';
+import _ from 'lodash';
+import { loadLocales } from './i18n.js';
+
+/**
+ * Templates of channel posts, one set per channel language.
+ *
+ * Templates come from the channelPost section of locales/<language>.json and can be overridden by a
+ * JSON file shaped like { "<language>": { "need": "...", ... } }. A set holds:
+ * - need, resource: HTML post of an item with {{name}} placeholders (see renderChannelPost);
+ * - statusNeed, statusResource: status labels by status, the open status has none;
+ * - respond: label of the link opening an anonymous conversation with the owner of an active item;
+ * - deleted: text of posts that could not be deleted.
+ */
+
+/**
+ * Load the templates of every locale of a directory.
+ * @param {string} dir - Directory with the locale files.
+ * @param {string} [file] - Optional JSON file with overrides per language.
+ * @returns {Object} Template sets keyed by language.
+ */
+export function loadPostTemplates(dir, file) {
+  const templates = _.mapValues(loadLocales(dir), (locale) => locale.channelPost || {});
+  if (!file) return templates;
+  return _.merge(templates, JSON.parse(fs.readFileSync(file, 'utf-8')));
+}
+
+// Template set of a language, missing templates are taken from English
+export function getPostTemplates(templates, language) {
+  return _.defaultsDeep({}, templates[language], templates.en);
+}
+
+/**
+ * Fill in a template line by line. Lines whose placeholders are all empty are dropped, so optional
+ * parts such as the place or the status vanish together with their decoration.
+ * @param {string} template - Template with {{name}} placeholders.
+ * @param {Object} vars - Values of the placeholders, already escaped for HTML.
+ * @returns {string} The rendered text without leading or trailing blank lines.
+ */
+export function renderTemplate(template, vars) {
+  const lines = template.split('\n').flatMap((line) => {
+    const names = Array.from(line.matchAll(/\{\{(\w+)\}\}/g), ([, name]) => name);
+    if (names.length && names.every((name) => !vars[name])) return [];
+    return [line.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => vars[name] ?? '')];
+  });
+  return lines.join('\n').replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Render the channel post of an item.
+ * @param {Object} templates - Template set of the channel language.
+ * @param {'need'|'resource'} type - Type of the item.
+ * @param {Object} vars - HTML values: description, mention, categories, hashtags, place, createdAt, updatedAt, respond.
+ * @param {string} [status='open'] - Item status, rendered as {{status}} from the status labels.
+ * @returns {string} HTML post content.
+ */
+export function renderChannelPost(templates, type, vars, status = 'open') {
+  const statusLabels = templates[type === 'need' ? 'statusNeed' : 'statusResource'] || {};
+  return renderTemplate(templates[type] || '', { ...vars, status: statusLabels[status] || '' });
+}
+
+// Plain text of a template part as Telegram shows it: without tags and with entities decoded
+function toPlainText(html) {
+  return _.unescape(html.replace(/<[^>]*>/g, ''));
+}
+
+/**
+ * Find where the description ends in the plain text of a rendered post, e.g. a channel post forwarded
+ * back to the bot. The lines after {{description}} are matched against the template, optional lines
+ * may be missing as renderTemplate drops them.
+ * @param {Object} templates - Template set of the channel language.
+ * @param {'need'|'resource'} type - Type of the item.
+ * @param {string} text - Text of the post without leading or trailing whitespace.
+ * @returns {number|null} Length of the description, or null if the text doesn't end with the footer of the template.
+ */
+export function getPostDescriptionEnd(templates, type, text) {
+  const template = templates[type] || '';
+  const index = template.indexOf('{{description}}');
+  if (index < 0) return null;
+  const statusLabels = _.values(templates[type === 'need' ? 'statusNeed' : 'statusResource']);
+  // Placeholders alone on a line would match any line, so the ones with known values are matched exactly
+  const patterns = {
+    hashtags: '#[^\\s#]+(?: #[^\\s#]+)*',
+    status: statusLabels.length ? statusLabels.map((label) => _.escapeRegExp(toPlainText(label))).join('|') : null,
+    respond: templates.respond ? _.escapeRegExp(toPlainText(templates.respond)) : null,
+  };
+  const toPattern = (line) => line.split(/(\{\{\w+\}\})/).map((part) => {
+    const name = /^\{\{(\w+)\}\}$/.exec(part)?.[1];
+    return name ? `(?:${patterns[name] || '[^\\n]*?'})` : _.escapeRegExp(toPlainText(part));
+  }).join('');
+  const [rest, ...lines] = template.slice(index + '{{description}}'.length).split('\n');
+  const footer = toPattern(rest) + lines.map((line) => {
+    // The mention is always there, lines of other placeholders may be dropped
+    if (line.includes('{{mention}}')) return `\\n${toPattern(line)}`;
+    if (/\{\{\w+\}\}/.test(line)) return `(?:\\n${toPattern(line)})?`;
+    // Blank lines vanish at the end of the post
+    return toPlainText(line).trim() ? `\\n${toPattern(line)}` : '(?:\\n[^\\S\\n]*)?';
+  }).join('');
+  const match = new RegExp(`^([\\s\\S]*?)${footer}\\s*$`).exec(text);
+  return match ? match[1].trimEnd().length : null;
+}
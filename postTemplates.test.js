@@ -0,0 +1,94 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, it } from 'node:test';
+import {
+  loadPostTemplates,
+  getPostTemplates,
+  renderTemplate,
+  renderChannelPost,
+  getPostDescriptionEnd,
+} from './postTemplates.js';
+
+const localesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'locales');
+
+describe('loadPostTemplates', () => {
+  it('loads the templates of every locale', () => {
+    const templates = loadPostTemplates(localesDir);
+    assert.ok(templates.en.need.includes('{{mention}}'));
+    assert.ok(templates.ru.resource.includes('{{mention}}'));
+  });
+
+  it('applies overrides from a file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-test-'));
+    const file = path.join(dir, 'templates.json');
+    fs.writeFileSync(file, JSON.stringify({ en: { need: '{{description}} ({{mention}})' } }));
+    try {
+      const templates = loadPostTemplates(localesDir, file);
+      assert.strictEqual(templates.en.need, '{{description}} ({{mention}})');
+      assert.ok(templates.en.resource.includes('{{mention}}'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('getPostTemplates', () => {
+  it('falls back to English templates', () => {
+    const templates = { en: { need: 'en need', deleted: 'Deleted.' }, de: { need: 'de need' } };
+    assert.deepStrictEqual(getPostTemplates(templates, 'de'), { need: 'de need', deleted: 'Deleted.' });
+    assert.deepStrictEqual(getPostTemplates(templates, 'fr'), templates.en);
+  });
+});
+
+describe('renderTemplate', () => {
+  it('drops lines whose placeholders are all empty', () => {
+    const template = '{{description}}\n\n<i>{{mention}}</i>\n📍 {{place}}\n{{a}} {{b}}';
+    assert.strictEqual(renderTemplate(template, { description: 'Drill', mention: 'Ann', b: 'x' }), 'Drill\n\n<i>Ann</i>\n x');
+  });
+
+  it('trims blank lines left at the edges', () => {
+    assert.strictEqual(renderTemplate('{{description}}\n\n<i>{{mention}}</i>', { mention: 'Ann' }), '<i>Ann</i>');
+  });
+});
+
+describe('renderChannelPost', () => {
+  const templates = {
+    need: '{{description}}\n<b>{{status}}</b>',
+    statusNeed: { satisfied: 'Satisfied.' },
+  };
+
+  it('renders the status label of the type', () => {
+    assert.strictEqual(renderChannelPost(templates, 'need', { description: 'Drill' }, 'satisfied'), 'Drill\n<b>Satisfied.</b>');
+    assert.strictEqual(renderChannelPost(templates, 'need', { description: 'Drill' }), 'Drill');
+  });
+});
+
+describe('getPostDescriptionEnd', () => {
+  const templates = {
+    need: '{{description}}\n\n<i>Need of {{mention}}.</i>\n📍 {{place}}\n<b>{{status}}</b>\n{{hashtags}}',
+    statusNeed: { satisfied: 'Satisfied.' },
+  };
+  // Forwarded posts arrive as plain text with entities
+  const render = (vars, status) => renderChannelPost(templates, 'need', { mention: 'Ann', ...vars }, status).replace(/<[^>]*>/g, '');
+
+  it('finds the description before a footer with any of its optional lines', () => {
+    for (const vars of [{}, { place: 'Berlin' }, { hashtags: '#tools #food' }, { place: 'Berlin', hashtags: '#tools' }]) {
+      for (const status of ['open', 'satisfied']) {
+        assert.strictEqual(getPostDescriptionEnd(templates, 'need', render({ description: 'Drill\n\nand bits', ...vars }, status)), 15);
+      }
+    }
+  });
+
+  it('follows custom layouts', () => {
+    const custom = { resource: '<b>{{description}}</b> — {{mention}}\n{{hashtags}}' };
+    assert.strictEqual(getPostDescriptionEnd(custom, 'resource', 'Sofa — Ann\n#housing'), 4);
+  });
+
+  it('returns null when the text does not end with the footer', () => {
+    assert.strictEqual(getPostDescriptionEnd(templates, 'need', 'Just a drill\n#tools'), null);
+    assert.strictEqual(getPostDescriptionEnd(templates, 'resource', render({ description: 'Drill' })), null);
+  });
+});
@@ -0,0 +1,244 @@
+import _ from 'lodash';
+import { ITEM_STATUSES, getItemStatus, isItemActive } from './status.js';
+import { isAwaitingApproval } from './moderation.js';
+import { getItemPostLink } from './channel.js';
+import { roundLocation } from './location.js';
+import { searchItems, paginate } from './search.js';
+
+/**
+ * Read-only public views of the posted needs and resources: a paginated JSON API and RSS/Atom feeds.
+ *
+ * Only items that are visible in a channel are listed, and only with data that the channel post
+ * shows anyway. Authors are left out unless they opted in with the publicProfile setting.
+ *
+ * Routes:
+ * - GET /api/items, /api/needs, /api/resources - lists; ?page (from 1), per_page, status, q, category;
+ * - GET /api/items/<guid> - one item;
+ * - GET /feeds/needs.rss, /feeds/needs.atom, /feeds/resources.rss, /feeds/resources.atom - active items.
+ */
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+// Number of the newest items in a feed
+export const FEED_SIZE = 50;
+
+// Whether an item has a channel post the public may see
+export function isPublicItem(item) {
+  return Boolean(item.channelMessageId) && !isAwaitingApproval(item) && getItemStatus(item) !== 'expired';
+}
+
+// Public place of an item: the city with its coordinates, or a shared point rounded as in the channel post
+function toPublicPlace(location) {
+  const { latitude, longitude } = location.source === 'shared' ? roundLocation(location) : location;
+  return _.omitBy({ name: location.name, latitude, longitude }, _.isUndefined);
+}
+
+/**
+ * Public representation of an item.
+ * @param {{userId, type, item}} entry - Stored item.
+ * @param {Object} [options]
+ * @param {boolean} [options.showAuthor=false] - Whether the owner opted in to be shown.
+ * @returns {Object} Item without personal data, unless the owner opted in.
+ */
+export function toPublicItem({ userId, type, item }, { showAuthor = false } = {}) {
+  return _.omitBy({
+    guid: item.guid,
+    type,
+    description: item.description || '',
+    categories: item.categories || [],
+    status: getItemStatus(item),
+    place: item.location ? toPublicPlace(item.location) : undefined,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt || item.createdAt,
+    link: getItemPostLink(item),
+    author: showAuthor
+      ? _.omitBy({
+        id: Number(userId),
+        username: item.user?.username,
+        name: _.compact([item.user?.first_name, item.user?.last_name]).join(' ') || undefined,
+      }, _.isNil)
+      : undefined,
+  }, _.isNil);
+}
+
+/**
+ * Parse the query string of a list request.
+ * @param {URLSearchParams} params - Query parameters.
+ * @returns {{page: number, perPage: number, statuses: (Array<string>|undefined), query: string, category: (string|undefined)}}
+ */
+export function parseListQuery(params) {
+  const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+  const perPage = _.clamp(parseInt(params.get('per_page'), 10) || DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+  const statuses = params.get('status') ? _.intersection(params.get('status').split(','), ITEM_STATUSES) : undefined;
+  return { page, perPage, statuses, query: params.get('q') || '', category: params.get('category') || undefined };
+}
+
+/**
+ * A page of public items, newest first.
+ * @param {Array<{userId, type, item}>} entries - All stored items.
+ * @param {Object} options
+ * @param {string} [options.type] - Only needs or only resources.
+ * @param {number} [options.page=1] - Page, from 1.
+ * @param {number} [options.perPage=DEFAULT_PAGE_SIZE] - Items per page.
+ * @param {Array<string>} [options.statuses] - Only items with these statuses.
+ * @param {string} [options.query=''] - Search query, as in /search.
+ * @param {string} [options.category] - Only items in this category.
+ * @param {Function} [options.isAuthorPublic] - Whether a user ID opted in to be shown.
+ * @returns {{items: Array<Object>, page: number, perPage: number, total: number, pageCount: number}} Response body.
+ */
+export function listPublicItems(entries, { type, page = 1, perPage = DEFAULT_PAGE_SIZE, statuses, query = '', category, isAuthorPublic = () => false } = {}) {
+  const visible = _.filter(entries, (entry) => (
+    isPublicItem(entry.item) && (!statuses || statuses.includes(getItemStatus(entry.item)))
+  ));
+  const current = paginate(searchItems(visible, { query, type, category }), page - 1, perPage);
+  // Pages past the end are empty instead of repeating the last one
+  const items = current.page === page - 1 ? current.items : [];
+  return {
+    items: items.map((entry) => toPublicItem(entry, { showAuthor: isAuthorPublic(entry.userId) })),
+    page,
+    perPage,
+    total: current.total,
+    pageCount: current.pageCount,
+  };
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Title of a feed entry: the first line of the description
+const getEntryTitle = (item) => _.truncate((item.description || '').split('\n')[0], { length: 100 }) || item.guid;
+
+/**
+ * Render an RSS 2.0 feed.
+ * @param {Object} feed
+ * @param {string} feed.title - Feed title.
+ * @param {string} feed.link - Site of the feed, e.g. the channel.
+ * @param {string} feed.selfUrl - URL of the feed itself.
+ * @param {Array<Object>} feed.items - Public items, see toPublicItem.
+ * @returns {string} XML.
+ */
+export function buildRssFeed({ title, link, selfUrl, items }) {
+  const entries = items.map((item) => [
+    '    <item>',
+    `      <title>${escapeXml(getEntryTitle(item))}</title>`,
+    `      <link>${escapeXml(item.link)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.guid)}</guid>`,
+    `      <pubDate>${new Date(item.createdAt).toUTCString()}</pubDate>`,
+    ...item.categories.map((category) => `      <category>${escapeXml(category)}</category>`),
+    `      <description>${escapeXml(item.description)}</description>`,
+    '    </item>',
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(link)}</link>`,
+    `    <description>${escapeXml(title)}</description>`,
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Render an Atom feed.
+ * @param {Object} feed - Same as for buildRssFeed.
+ * @returns {string} XML.
+ */
+export function buildAtomFeed({ title, link, selfUrl, items }) {
+  const updated = _.max(_.map(items, 'updatedAt')) || new Date(0).toISOString();
+  const entries = items.map((item) => [
+    '  <entry>',
+    `    <id>urn:uuid:${escapeXml(item.guid)}</id>`,
+    `    <title>${escapeXml(getEntryTitle(item))}</title>`,
+    `    <link href="${escapeXml(item.link)}"/>`,
+    `    <published>${new Date(item.createdAt).toISOString()}</published>`,
+    `    <updated>${new Date(item.updatedAt).toISOString()}</updated>`,
+    ...(item.author ? [`    <author><name>${escapeXml(item.author.name || item.author.username || item.author.id)}</name></author>`] : []),
+    ...item.categories.map((category) => `    <category term="${escapeXml(category)}"/>`),
+    `    <content type="text">${escapeXml(item.description)}</content>`,
+    '  </entry>',
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <updated>${new Date(updated).toISOString()}</updated>`,
+    `  <author><name>${escapeXml(title)}</name></author>`,
+    `  <link href="${escapeXml(link)}"/>`,
+    `  <link href="${escapeXml(selfUrl)}" rel="self"/>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+function send(res, statusCode, contentType, body) {
+  // Public and read-only, so any site may fetch it
+  res.writeHead(statusCode, { 'Content-Type': contentType, 'Access-Control-Allow-Origin': '*' });
+  res.end(body);
+}
+
+/**
+ * Create the request handler of the public API and feeds for the bot HTTP server.
+ * @param {Object} options
+ * @param {Function} options.getEntries - Resolves a filter { guid, type, active } to the stored items that may match it,
+ *   e.g. storage.findItems; the entries are filtered again here.
+ * @param {Function} [options.isAuthorPublic] - Whether a user ID opted in to be shown.
+ * @param {Object} [options.feedTitles] - Feed titles as { need, resource }.
+ * @param {string} [options.feedLink] - Site the feeds link to, e.g. the channel.
+ * @param {string} [options.baseUrl] - Public URL of the server for self links, taken from the Host header by default.
+ * @returns {Function} async (req, res, url) => boolean, false when the request is not for the API.
+ */
+export function createPublicApiHandler({
+  getEntries,
+  isAuthorPublic = () => false,
+  feedTitles = { need: 'Needs', resource: 'Resources' },
+  feedLink = 'https://t.me/',
+  baseUrl,
+}) {
+  return async (req, res, url) => {
+    const list = /^\/api\/(items|needs|resources)\/?$/.exec(url.pathname);
+    const single = /^\/api\/items\/([\w-]+)$/.exec(url.pathname);
+    const feed = /^\/feeds\/(needs|resources)\.(rss|atom)$/.exec(url.pathname);
+    if (!list && !single && !feed) return false;
+    if (req.method !== 'GET') {
+      send(res, 405, 'application/json', JSON.stringify({ error: 'Method not allowed' }));
+      return true;
+    }
+    if (single) {
+      const entries = await getEntries({ guid: single[1] });
+      const entry = _.find(entries, (candidate) => candidate.item.guid === single[1] && isPublicItem(candidate.item));
+      if (!entry) send(res, 404, 'application/json', JSON.stringify({ error: 'Not found' }));
+      else send(res, 200, 'application/json', JSON.stringify(toPublicItem(entry, { showAuthor: isAuthorPublic(entry.userId) })));
+      return true;
+    }
+    if (list) {
+      const type = list[1] === 'items' ? undefined : list[1].slice(0, -1);
+      const query = parseListQuery(url.searchParams);
+      // Lists of active statuses only need the active items
+      const active = query.statuses && _.every(query.statuses, (status) => isItemActive({ status })) ? true : undefined;
+      const entries = await getEntries({ type, active });
+      const body = listPublicItems(entries, { ...query, type, isAuthorPublic });
+      send(res, 200, 'application/json', JSON.stringify(body));
+      return true;
+    }
+    const [, plural, format] = feed;
+    const type = plural.slice(0, -1);
+    const active = _.filter(await getEntries({ type, active: true }), (entry) => entry.type === type && isPublicItem(entry.item) && isItemActive(entry.item));
+    const items = searchItems(active).slice(0, FEED_SIZE)
+      .map((entry) => toPublicItem(entry, { showAuthor: isAuthorPublic(entry.userId) }));
+    const selfUrl = `${baseUrl || `http://${req.headers.host}`}${url.pathname}`;
+    const options = { title: feedTitles[type], link: feedLink, selfUrl, items };
+    if (format === 'rss') send(res, 200, 'application/rss+xml; charset=utf-8', buildRssFeed(options));
+    else send(res, 200, 'application/atom+xml; charset=utf-8', buildAtomFeed(options));
+    return true;
+  };
+}
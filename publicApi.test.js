@@ -0,0 +1,163 @@
+import assert from 'assert';
+import { describe, it, before, after } from 'node:test';
+import http from 'http';
+import {
+  MAX_PAGE_SIZE,
+  isPublicItem,
+  toPublicItem,
+  parseListQuery,
+  listPublicItems,
+  buildRssFeed,
+  buildAtomFeed,
+  createPublicApiHandler,
+} from './publicApi.js';
+
+const entry = (userId, type, guid, fields = {}) => ({
+  userId,
+  type,
+  item: {
+    guid,
+    description: `Description of ${guid}`,
+    createdAt: '2024-03-01T10:00:00.000Z',
+    channelMessageId: 10,
+    channel: '@Center',
+    user: { id: Number(userId), username: `user${userId}`, first_name: 'Ann' },
+    ...fields,
+  },
+});
+
+const entries = [
+  entry('1', 'need', 'a', { description: 'Need a drill', categories: ['tools'], createdAt: '2024-03-03T10:00:00.000Z' }),
+  entry('2', 'resource', 'b', { description: 'Giving away a sofa', createdAt: '2024-03-02T10:00:00.000Z' }),
+  entry('1', 'need', 'c', { status: 'satisfied' }),
+  entry('2', 'need', 'queued', { channelMessageId: null, moderation: { state: 'pending' } }),
+  entry('2', 'resource', 'gone', { status: 'expired' }),
+];
+
+describe('isPublicItem', () => {
+  it('lists only items posted to a channel', () => {
+    assert.deepStrictEqual(entries.filter((e) => isPublicItem(e.item)).map((e) => e.item.guid), ['a', 'b', 'c']);
+  });
+});
+
+describe('toPublicItem', () => {
+  it('leaves out personal data by default', () => {
+    const item = toPublicItem(entries[0]);
+    assert.deepStrictEqual(item, {
+      guid: 'a',
+      type: 'need',
+      description: 'Need a drill',
+      categories: ['tools'],
+      status: 'open',
+      createdAt: '2024-03-03T10:00:00.000Z',
+      updatedAt: '2024-03-03T10:00:00.000Z',
+      link: 'https://t.me/Center/10',
+    });
+  });
+
+  it('publishes shared points rounded', () => {
+    const location = { latitude: 52.512345, longitude: 13.406789, name: 'Berlin', source: 'shared' };
+    assert.deepStrictEqual(toPublicItem(entry('1', 'need', 'p', { location })).place, { name: 'Berlin', latitude: 52.51, longitude: 13.41 });
+  });
+
+  it('shows the author who opted in', () => {
+    assert.deepStrictEqual(toPublicItem(entries[0], { showAuthor: true }).author, { id: 1, username: 'user1', name: 'Ann' });
+  });
+});
+
+describe('parseListQuery', () => {
+  it('parses and bounds the parameters', () => {
+    const query = parseListQuery(new URLSearchParams('page=0&per_page=1000&status=open,bogus&q=drill'));
+    assert.deepStrictEqual(query, { page: 1, perPage: MAX_PAGE_SIZE, statuses: ['open'], query: 'drill', category: undefined });
+  });
+});
+
+describe('listPublicItems', () => {
+  it('returns pages of public items, newest first', () => {
+    const first = listPublicItems(entries, { perPage: 2 });
+    assert.deepStrictEqual(first.items.map((item) => item.guid), ['a', 'b']);
+    assert.strictEqual(first.total, 3);
+    assert.strictEqual(first.pageCount, 2);
+    assert.deepStrictEqual(listPublicItems(entries, { perPage: 2, page: 2 }).items.map((item) => item.guid), ['c']);
+    assert.deepStrictEqual(listPublicItems(entries, { perPage: 2, page: 3 }).items, []);
+  });
+
+  it('filters by type, status and query', () => {
+    assert.deepStrictEqual(listPublicItems(entries, { type: 'need' }).items.map((item) => item.guid), ['a', 'c']);
+    assert.deepStrictEqual(listPublicItems(entries, { statuses: ['satisfied'] }).items.map((item) => item.guid), ['c']);
+    assert.deepStrictEqual(listPublicItems(entries, { query: 'sofa' }).items.map((item) => item.guid), ['b']);
+  });
+});
+
+describe('feeds', () => {
+  const items = [toPublicItem(entry('1', 'need', 'x', { description: 'Need <tools> & "help"\nSecond line', categories: ['tools'] }))];
+  const feed = { title: 'Needs', link: 'https://t.me/Center', selfUrl: 'https://example.org/feeds/needs.rss', items };
+
+  it('renders RSS with escaped text', () => {
+    const xml = buildRssFeed(feed);
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0"/);
+    assert.match(xml, /<title>Need &lt;tools&gt; &amp; &quot;help&quot;<\/title>/);
+    assert.match(xml, /<guid isPermaLink="false">x<\/guid>/);
+    assert.match(xml, /<pubDate>Fri, 01 Mar 2024 10:00:00 GMT<\/pubDate>/);
+    assert.match(xml, /<category>tools<\/category>/);
+  });
+
+  it('renders Atom', () => {
+    const xml = buildAtomFeed(feed);
+    assert.match(xml, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+    assert.match(xml, /<id>urn:uuid:x<\/id>/);
+    assert.match(xml, /<updated>2024-03-01T10:00:00.000Z<\/updated>/);
+    assert.match(xml, /<link href="https:\/\/t.me\/Center\/10"\/>/);
+    assert.doesNotMatch(xml, /<entry>[\s\S]*<author>/);
+  });
+});
+
+describe('createPublicApiHandler', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const handler = createPublicApiHandler({
+      getEntries: async () => entries,
+      isAuthorPublic: (userId) => userId === '2',
+      baseUrl: 'https://example.org',
+    });
+    server = http.createServer(async (req, res) => {
+      if (!await handler(req, res, new URL(req.url, 'http://localhost'))) {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it('serves lists and single items as JSON', async () => {
+    const response = await fetch(`${baseUrl}/api/needs?per_page=1`);
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), '*');
+    const body = await response.json();
+    assert.deepStrictEqual(body.items.map((item) => item.guid), ['a']);
+    assert.strictEqual(body.items[0].author, undefined);
+    assert.strictEqual(body.total, 2);
+    const item = await (await fetch(`${baseUrl}/api/items/b`)).json();
+    assert.strictEqual(item.author.username, 'user2');
+    assert.strictEqual((await fetch(`${baseUrl}/api/items/queued`)).status, 404);
+  });
+
+  it('serves feeds of active items', async () => {
+    const response = await fetch(`${baseUrl}/feeds/needs.atom`);
+    assert.strictEqual(response.headers.get('content-type'), 'application/atom+xml; charset=utf-8');
+    const xml = await response.text();
+    assert.match(xml, /<link href="https:\/\/example.org\/feeds\/needs.atom" rel="self"\/>/);
+    assert.match(xml, /urn:uuid:a/);
+    assert.doesNotMatch(xml, /urn:uuid:c/);
+    assert.match(await (await fetch(`${baseUrl}/feeds/resources.rss`)).text(), /Giving away a sofa/);
+  });
+
+  it('ignores other routes and refuses other methods', async () => {
+    assert.strictEqual((await fetch(`${baseUrl}/other`)).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/api/items`, { method: 'POST' })).status, 405);
+  });
+});
@@ -0,0 +1,137 @@
+import _ from 'lodash';
+import { v7 as uuidv7 } from 'uuid';
+
+/**
+ * Anonymous conversations between the owner of an item and users responding to it.
+ *
+ * A "Respond" deep link on the channel post opens a conversation tied to the item guid; the bot then
+ * copies messages between the two users, so neither sees the account of the other. Conversations are
+ * stored outside user records, as { [id]: conversation } in the relayConversations meta value, so the
+ * data export of one user doesn't reveal the other, and mirrored in memory for lookups. A conversation
+ * is { id, guid, ownerId, responderId, responderLanguage, introduced, blockedBy, createdAt, updatedAt }.
+ */
+
+export const RELAY_META_KEY = 'relayConversations';
+
+// Payload of the /start deep link that opens a conversation about an item
+export function getRespondPayload(guid) {
+  return `respond_${guid}`;
+}
+
+// Guid of the item a /start payload responds to, or null for other payloads
+export function parseRespondPayload(payload) {
+  const match = /^respond_([\w-]+)$/.exec(String(payload || ''));
+  return match ? match[1] : null;
+}
+
+// Link opening a conversation about an item in a private chat with the bot
+export function getRespondLink(botUsername, guid) {
+  return `https://t.me/${botUsername}?start=${getRespondPayload(guid)}`;
+}
+
+class RelayStore {
+  /**
+   * @param {Object} storage - Storage instance.
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.conversations = new Map();
+  }
+
+  // Conversation by ID, or null
+  get(id) {
+    return this.conversations.get(id) || null;
+  }
+
+  // The other side of a conversation for one of its users, or null for anyone else
+  getPeerId(conversation, userId) {
+    if (String(userId) === conversation.ownerId) return conversation.responderId;
+    if (String(userId) === conversation.responderId) return conversation.ownerId;
+    return null;
+  }
+
+  // Whether either of two users blocked a conversation with the other
+  isBlocked(userA, userB) {
+    const pair = [String(userA), String(userB)].sort().join();
+    return _.some([...this.conversations.values()], (conversation) => (
+      conversation.blockedBy && [conversation.ownerId, conversation.responderId].sort().join() === pair
+    ));
+  }
+
+  /**
+   * Open the conversation of a responder about an item, or return the one they already have.
+   * @param {Object} options
+   * @param {string} options.guid - Item guid.
+   * @param {number|string} options.ownerId - Owner of the item.
+   * @param {number|string} options.responderId - User responding to the item.
+   * @param {string} [options.responderLanguage] - Language of the responder for messages sent to them.
+   * @returns {Promise<Object>} The conversation.
+   */
+  async open({ guid, ownerId, responderId, responderLanguage }) {
+    const existing = _.find([...this.conversations.values()], {
+      guid,
+      responderId: String(responderId),
+      blockedBy: null,
+    });
+    if (existing) return existing;
+    const now = new Date().toISOString();
+    const conversation = {
+      id: uuidv7(),
+      guid,
+      ownerId: String(ownerId),
+      responderId: String(responderId),
+      responderLanguage: responderLanguage || null,
+      introduced: [],
+      blockedBy: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.conversations.set(conversation.id, conversation);
+    await this.save();
+    return conversation;
+  }
+
+  // Change fields of a conversation; returns it, or null if there is no such conversation
+  async update(id, fields) {
+    const conversation = this.get(id);
+    if (!conversation) return null;
+    Object.assign(conversation, fields, { updatedAt: new Date().toISOString() });
+    await this.save();
+    return conversation;
+  }
+
+  // Close a conversation for both sides, remembering who blocked it
+  async block(id, userId) {
+    return this.update(id, { blockedBy: String(userId) });
+  }
+
+  // Drop all conversations of a user, e.g. when they erase their data
+  async forgetUser(userId) {
+    const id = String(userId);
+    const removed = _.filter([...this.conversations.values()], (conversation) => (
+      conversation.ownerId === id || conversation.responderId === id
+    ));
+    for (const conversation of removed) this.conversations.delete(conversation.id);
+    if (removed.length) await this.save();
+    return removed.length;
+  }
+
+  async save() {
+    const value = Object.fromEntries(this.conversations);
+    await this.storage.transaction(async (data) => {
+      await data.setMeta(RELAY_META_KEY, value);
+    });
+  }
+
+  /**
+   * Load the stored conversations, e.g. after a restart.
+   * @returns {Promise<number>} Number of conversations.
+   */
+  async load() {
+    const stored = (await this.storage.getMeta(RELAY_META_KEY)) || {};
+    this.conversations = new Map(Object.entries(stored));
+    return this.conversations.size;
+  }
+}
+
+export default RelayStore;
@@ -0,0 +1,95 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import Storage from './storage.js';
+import RelayStore, { getRespondPayload, parseRespondPayload, getRespondLink } from './relay.js';
+
+describe('respond links', () => {
+  const guid = '0190a5b2-7c3d-7e4f-8a9b-0c1d2e3f4a5b';
+
+  it('round-trips the item guid through the /start payload', () => {
+    assert.ok(getRespondPayload(guid).length <= 64);
+    assert.strictEqual(parseRespondPayload(getRespondPayload(guid)), guid);
+    assert.strictEqual(parseRespondPayload('ref_42'), null);
+    assert.strictEqual(parseRespondPayload(undefined), null);
+  });
+
+  it('links to the bot', () => {
+    assert.strictEqual(getRespondLink('CenterBot', 'a-1'), 'https://t.me/CenterBot?start=respond_a-1');
+  });
+});
+
+describe('RelayStore', () => {
+  let dir;
+  let dbPath;
+  let storage;
+
+  const restart = async () => {
+    await storage.close();
+    storage = new Storage({ backend: 'lowdb', path: dbPath });
+    await storage.initDB();
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-test-'));
+    dbPath = path.join(dir, 'db.json');
+    storage = new Storage({ backend: 'lowdb', path: dbPath });
+    await storage.initDB();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('opens one conversation per item and responder', async () => {
+    const relay = new RelayStore(storage);
+    const conversation = await relay.open({ guid: 'a', ownerId: 1, responderId: 2, responderLanguage: 'ru' });
+    assert.strictEqual(conversation.ownerId, '1');
+    assert.strictEqual(conversation.responderId, '2');
+    assert.strictEqual((await relay.open({ guid: 'a', ownerId: 1, responderId: 2 })).id, conversation.id);
+    assert.notStrictEqual((await relay.open({ guid: 'a', ownerId: 1, responderId: 3 })).id, conversation.id);
+    assert.notStrictEqual((await relay.open({ guid: 'b', ownerId: 1, responderId: 2 })).id, conversation.id);
+  });
+
+  it('finds the other side of a conversation', async () => {
+    const relay = new RelayStore(storage);
+    const conversation = await relay.open({ guid: 'a', ownerId: 1, responderId: 2 });
+    assert.strictEqual(relay.getPeerId(conversation, 1), '2');
+    assert.strictEqual(relay.getPeerId(conversation, '2'), '1');
+    assert.strictEqual(relay.getPeerId(conversation, 3), null);
+  });
+
+  it('blocks conversations between two users', async () => {
+    const relay = new RelayStore(storage);
+    const conversation = await relay.open({ guid: 'a', ownerId: 1, responderId: 2 });
+    assert.strictEqual(relay.isBlocked(2, 1), false);
+    await relay.block(conversation.id, 1);
+    assert.strictEqual(relay.get(conversation.id).blockedBy, '1');
+    assert.strictEqual(relay.isBlocked(2, 1), true);
+    assert.strictEqual(relay.isBlocked(1, 3), false);
+  });
+
+  it('keeps conversations outside user records and loads them after a restart', async () => {
+    const conversation = await new RelayStore(storage).open({ guid: 'a', ownerId: 1, responderId: 2 });
+    await restart();
+    const relay = new RelayStore(storage);
+    assert.strictEqual(await relay.load(), 1);
+    assert.deepStrictEqual(relay.get(conversation.id), conversation);
+    assert.deepStrictEqual(await storage.listUserIds(), []);
+  });
+
+  it('forgets the conversations of a user', async () => {
+    const relay = new RelayStore(storage);
+    await relay.open({ guid: 'a', ownerId: 1, responderId: 2 });
+    await relay.open({ guid: 'b', ownerId: 3, responderId: 1 });
+    const kept = await relay.open({ guid: 'c', ownerId: 3, responderId: 2 });
+    assert.strictEqual(await relay.forgetUser(1), 2);
+    await restart();
+    const restored = new RelayStore(storage);
+    assert.strictEqual(await restored.load(), 1);
+    assert.ok(restored.get(kept.id));
+  });
+});
@@ -0,0 +1,40 @@
+import _ from 'lodash';
+import { isItemActive } from './status.js';
+
+/**
+ * Get the last time the owner showed interest in an item: creation, update (edit or bump)
+ * or confirmation that the item is still relevant.
+ *
+ * @param {Object} item - Stored need or resource.
+ * @returns {number} Timestamp in milliseconds.
+ */
+export function getLastActivityTime(item) {
+  const times = _.map(
+    _.compact([item.createdAt, item.updatedAt, item.confirmedAt]),
+    (ts) => new Date(ts).getTime()
+  );
+  return _.max(times) || 0;
+}
+
+/**
+ * Decide what the scheduler should do with an item.
+ *
+ * An active item with no activity for longer than the TTL gets a reminder. If the owner does not
+ * react (bump, edit or confirm) within the grace period after the reminder, the item expires.
+ *
+ * @param {Object} item - Stored need or resource.
+ * @param {Object} options - Scheduler options.
+ * @param {number} options.ttlMs - Inactivity period after which the owner is reminded.
+ * @param {number} options.graceMs - Period after the reminder after which the item expires.
+ * @param {number} [options.now=Date.now()] - Reference time.
+ * @returns {'remind'|'expire'|null} The action to take, or null if the item needs no attention.
+ */
+export function getStaleItemAction(item, { ttlMs, graceMs, now = Date.now() }) {
+  if (!isItemActive(item) || !item.channelMessageId) return null;
+  const lastActivity = getLastActivityTime(item);
+  if (now - lastActivity < ttlMs) return null;
+  const reminderSentAt = item.reminderSentAt ? new Date(item.reminderSentAt).getTime() : 0;
+  // No reminder yet, or the owner reacted to the previous one
+  if (reminderSentAt <= lastActivity) return 'remind';
+  return now - reminderSentAt >= graceMs ? 'expire' : null;
+}
@@ -0,0 +1,51 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { getLastActivityTime, getStaleItemAction } from './reminders.js';
+
+const day = 24 * 60 * 60 * 1000;
+const now = Date.parse('2025-03-01T00:00:00Z');
+const iso = (ms) => new Date(ms).toISOString();
+const options = { ttlMs: 30 * day, graceMs: 7 * day, now };
+
+describe('getLastActivityTime', () => {
+  it('uses the latest of created, updated and confirmed times', () => {
+    const item = { createdAt: iso(now - 10 * day), updatedAt: iso(now - 5 * day), confirmedAt: iso(now - 2 * day) };
+    assert.strictEqual(getLastActivityTime(item), now - 2 * day);
+  });
+
+  it('falls back to createdAt', () => {
+    assert.strictEqual(getLastActivityTime({ createdAt: iso(now) }), now);
+  });
+});
+
+describe('getStaleItemAction', () => {
+  const stale = { channelMessageId: 1, createdAt: iso(now - 40 * day), updatedAt: iso(now - 31 * day) };
+
+  it('ignores recently active items', () => {
+    assert.strictEqual(getStaleItemAction({ ...stale, updatedAt: iso(now - day) }, options), null);
+  });
+
+  it('reminds the owner of stale items', () => {
+    assert.strictEqual(getStaleItemAction(stale, options), 'remind');
+  });
+
+  it('waits for the grace period after a reminder', () => {
+    const item = { ...stale, reminderSentAt: iso(now - 3 * day) };
+    assert.strictEqual(getStaleItemAction(item, options), null);
+  });
+
+  it('expires items without reaction after the grace period', () => {
+    const item = { ...stale, reminderSentAt: iso(now - 8 * day) };
+    assert.strictEqual(getStaleItemAction(item, options), 'expire');
+  });
+
+  it('reminds again when the owner confirmed and the item went stale later', () => {
+    const item = { ...stale, reminderSentAt: iso(now - 80 * day), confirmedAt: iso(now - 70 * day) };
+    assert.strictEqual(getStaleItemAction(item, options), 'remind');
+  });
+
+  it('ignores closed and unpublished items', () => {
+    assert.strictEqual(getStaleItemAction({ ...stale, status: 'satisfied' }, options), null);
+    assert.strictEqual(getStaleItemAction({ ...stale, channelMessageId: null }, options), null);
+  });
+});
@@ -0,0 +1,59 @@
+import _ from 'lodash';
+import { tokenize } from './matching.js';
+import { haversineDistance } from './location.js';
+
+/**
+ * Search stored items by description and category.
+ *
+ * Every query token must be a prefix of some description token or category ID, so "drill" also finds "drills".
+ * An empty query matches everything. Results are ordered from the most recently updated,
+ * or from the nearest with options.near, in which case every entry gets its distanceKm.
+ *
+ * @param {Array<{userId: (number|string), type: string, item: Object}>} entries - Items to search through.
+ * @param {Object} [options] - Search options.
+ * @param {string} [options.query=''] - Free text query.
+ * @param {'need'|'resource'} [options.type] - Only return items of this type.
+ * @param {string} [options.category] - Only return items in this category.
+ * @param {number} [options.maxAgeMs] - Only return items updated within this many milliseconds.
+ * @param {{latitude: number, longitude: number}} [options.near] - Only return items located within options.radiusKm of this point.
+ * @param {number} [options.radiusKm=25] - Radius of the proximity filter in kilometers.
+ * @param {number} [options.now=Date.now()] - Reference time for the age filter.
+ * @returns {Array<{userId: (number|string), type: string, item: Object, distanceKm: (number|undefined)}>} Matching entries.
+ */
+export function searchItems(entries, { query = '', type, category, maxAgeMs, near, radiusKm = 25, now = Date.now() } = {}) {
+  const queryTokens = tokenize(query);
+  const matches = _.filter(entries, (entry) => {
+    if (type && entry.type !== type) return false;
+    if (category && !_.includes(entry.item.categories, category)) return false;
+    if (maxAgeMs) {
+      const last = new Date(entry.item.updatedAt || entry.item.createdAt).getTime();
+      if (now - last > maxAgeMs) return false;
+    }
+    if (!queryTokens.length) return true;
+    const tokens = [...tokenize(entry.item.description), ...(entry.item.categories || [])];
+    return _.every(queryTokens, (q) => _.some(tokens, (token) => token.startsWith(q)));
+  });
+  const recency = (entry) => new Date(entry.item.updatedAt || entry.item.createdAt).getTime();
+  if (!near) return _.orderBy(matches, [recency], ['desc']);
+  const located = _.map(
+    _.filter(matches, (entry) => entry.item.location),
+    (entry) => ({ ...entry, distanceKm: haversineDistance(near, entry.item.location) })
+  );
+  return _.orderBy(_.filter(located, (entry) => entry.distanceKm <= radiusKm), ['distanceKm', recency], ['asc', 'desc']);
+}
+
+/**
+ * Slice a list into a page.
+ *
+ * @param {Array} list - Full list.
+ * @param {number} page - Zero-based page index; clamped to the available range.
+ * @param {number} pageSize - Number of entries per page.
+ * @returns {{items: Array, page: number, pageCount: number, total: number, offset: number}} The requested page.
+ */
+export function paginate(list, page, pageSize) {
+  const total = list.length;
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const current = _.clamp(page, 0, pageCount - 1);
+  const offset = current * pageSize;
+  return { items: list.slice(offset, offset + pageSize), page: current, pageCount, total, offset };
+}
@@ -0,0 +1,78 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { searchItems, paginate } from './search.js';
+
+const day = 24 * 60 * 60 * 1000;
+const now = Date.parse('2025-01-31T00:00:00Z');
+const iso = (ms) => new Date(ms).toISOString();
+
+const entries = [
+  { userId: 1, type: 'need', item: { guid: 'a', description: 'Need drills for a workshop', updatedAt: iso(now - 2 * day) } },
+  { userId: 2, type: 'resource', item: { guid: 'b', description: 'Drill available in Berlin', categories: ['tools'], updatedAt: iso(now - day) } },
+  { userId: 3, type: 'resource', item: { guid: 'c', description: 'Bicycle to give away', updatedAt: iso(now - 20 * day) } },
+];
+const guids = (results) => results.map((entry) => entry.item.guid);
+
+describe('searchItems', () => {
+  it('matches query tokens as prefixes and orders by recency', () => {
+    assert.deepStrictEqual(guids(searchItems(entries, { query: 'drill', now })), ['b', 'a']);
+  });
+
+  it('requires every query token to match', () => {
+    assert.deepStrictEqual(guids(searchItems(entries, { query: 'drill berlin', now })), ['b']);
+  });
+
+  it('returns everything for an empty query', () => {
+    assert.deepStrictEqual(guids(searchItems(entries, { now })), ['b', 'a', 'c']);
+  });
+
+  it('filters by type', () => {
+    assert.deepStrictEqual(guids(searchItems(entries, { query: 'drill', type: 'need', now })), ['a']);
+  });
+
+  it('filters by category', () => {
+    assert.deepStrictEqual(guids(searchItems(entries, { query: 'drill', category: 'tools', now })), ['b']);
+  });
+
+  it('matches category IDs', () => {
+    assert.deepStrictEqual(guids(searchItems(entries, { query: 'tool', now })), ['b']);
+  });
+
+  it('filters by distance and orders by proximity', () => {
+    const berlin = { latitude: 52.52, longitude: 13.405 };
+    const located = [
+      { userId: 1, type: 'need', item: { guid: 'x', description: 'Drill', location: { latitude: 52.6, longitude: 13.4 }, updatedAt: iso(now) } },
+      { userId: 2, type: 'need', item: { guid: 'y', description: 'Drill', location: berlin, updatedAt: iso(now - day) } },
+      { userId: 3, type: 'need', item: { guid: 'z', description: 'Drill', location: { latitude: 50.938, longitude: 6.96 }, updatedAt: iso(now) } },
+      ...entries,
+    ];
+    const results = searchItems(located, { query: 'drill', near: berlin, radiusKm: 25, now });
+    assert.deepStrictEqual(guids(results), ['y', 'x']);
+    assert.strictEqual(results[0].distanceKm, 0);
+  });
+
+  it('filters by age', () => {
+    assert.deepStrictEqual(guids(searchItems(entries, { maxAgeMs: 7 * day, now })), ['b', 'a']);
+  });
+
+  it('is case insensitive', () => {
+    assert.deepStrictEqual(guids(searchItems(entries, { query: 'BICYCLE', now })), ['c']);
+  });
+});
+
+describe('paginate', () => {
+  const list = [1, 2, 3, 4, 5];
+
+  it('returns the requested page', () => {
+    assert.deepStrictEqual(paginate(list, 1, 2), { items: [3, 4], page: 1, pageCount: 3, total: 5, offset: 2 });
+  });
+
+  it('clamps pages out of range', () => {
+    assert.deepStrictEqual(paginate(list, 10, 2).items, [5]);
+    assert.deepStrictEqual(paginate(list, -1, 2).items, [1, 2]);
+  });
+
+  it('handles an empty list', () => {
+    assert.deepStrictEqual(paginate([], 0, 2), { items: [], page: 0, pageCount: 1, total: 0, offset: 0 });
+  });
+});
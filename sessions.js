@@ -0,0 +1,143 @@
+import _ from 'lodash';
+
+/**
+ * Conversation state (pending actions such as "the next message is a need") persisted in Storage.
+ *
+ * Sessions are stored on user records as user.sessions[chatId] = { action, createdAt, expiresAt, ... }
+ * and mirrored in memory for synchronous lookups. Expired sessions are ignored and cleaned up.
+ */
+class SessionStore {
+  /**
+   * @param {Object} storage - Storage instance.
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs=86400000] - Lifetime of a session, 24 hours by default.
+   */
+  constructor(storage, { ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+    this.storage = storage;
+    this.ttlMs = ttlMs;
+    this.sessions = new Map();
+  }
+
+  key(userId, chatId) {
+    return `${userId}_${chatId}`;
+  }
+
+  isExpired(session, now = Date.now()) {
+    return new Date(session.expiresAt).getTime() <= now;
+  }
+
+  /**
+   * Get the active session of a user in a chat.
+   * @returns {Object|null} Session with action, createdAt, expiresAt, prompted and languageCode.
+   */
+  getSession(userId, chatId) {
+    const session = this.sessions.get(this.key(userId, chatId));
+    if (!session || this.isExpired(session)) return null;
+    return session;
+  }
+
+  /**
+   * Get the pending action of a user in a chat.
+   * @returns {string|null} Action such as 'need', 'resource', 'search' or 'edit_need_42'.
+   */
+  get(userId, chatId) {
+    return this.getSession(userId, chatId)?.action ?? null;
+  }
+
+  /**
+   * Start a new session, replacing the previous one in the same chat.
+   * @param {number|string} userId - Telegram user ID.
+   * @param {number|string} chatId - Telegram chat ID.
+   * @param {string} action - Pending action.
+   * @param {Object} [options]
+   * @param {string} [options.languageCode] - Language for prompts sent when the session is resumed.
+   * @param {boolean} [options.prompted=false] - Whether the user was already asked for input.
+   */
+  async set(userId, chatId, action, { languageCode, prompted = false } = {}) {
+    const now = Date.now();
+    const session = _.omitBy({
+      action,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+      prompted,
+      languageCode,
+    }, _.isUndefined);
+    this.sessions.set(this.key(userId, chatId), session);
+    await this.storage.transaction(async (data) => {
+      const user = await data.getUserData(userId);
+      user.sessions = { ...user.sessions, [chatId]: session };
+    });
+    return session;
+  }
+
+  // Remember that the prompt for the current session was sent
+  async markPrompted(userId, chatId) {
+    const session = this.getSession(userId, chatId);
+    if (!session || session.prompted) return;
+    session.prompted = true;
+    await this.storage.transaction(async (data) => {
+      const user = await data.getUserData(userId);
+      if (user.sessions?.[chatId]) user.sessions[chatId].prompted = true;
+    });
+  }
+
+  // Store extra fields, such as picked categories, on the current session
+  async update(userId, chatId, fields) {
+    const session = this.getSession(userId, chatId);
+    if (!session) return null;
+    Object.assign(session, fields);
+    await this.storage.transaction(async (data) => {
+      const user = await data.getUserData(userId);
+      if (user.sessions?.[chatId]) Object.assign(user.sessions[chatId], fields);
+    });
+    return session;
+  }
+
+  // End the session of a user in a chat
+  async delete(userId, chatId) {
+    const key = this.key(userId, chatId);
+    if (!this.sessions.has(key)) return;
+    this.sessions.delete(key);
+    await this.storage.transaction(async (data) => {
+      const user = await data.getUserData(userId);
+      if (!user.sessions) return;
+      delete user.sessions[chatId];
+      if (_.isEmpty(user.sessions)) delete user.sessions;
+    });
+  }
+
+  // Drop all sessions of a user from memory after their record was deleted from storage
+  forget(userId) {
+    for (const key of [...this.sessions.keys()]) {
+      if (key.startsWith(`${userId}_`)) this.sessions.delete(key);
+    }
+  }
+
+  /**
+   * Load sessions saved before a restart, dropping expired ones.
+   * @returns {Promise<Array<{userId: string, chatId: string, session: Object}>>} Restored sessions.
+   */
+  async restore() {
+    const now = Date.now();
+    return this.storage.transaction(async (data) => {
+      const restored = [];
+      this.sessions.clear();
+      for (const userId of await data.listUserIds()) {
+        const user = await data.getUserData(userId);
+        if (!user.sessions) continue;
+        for (const [chatId, session] of Object.entries(user.sessions)) {
+          if (this.isExpired(session, now)) {
+            delete user.sessions[chatId];
+            continue;
+          }
+          this.sessions.set(this.key(userId, chatId), session);
+          restored.push({ userId, chatId, session });
+        }
+        if (_.isEmpty(user.sessions)) delete user.sessions;
+      }
+      return restored;
+    });
+  }
+}
+
+export default SessionStore;
@@ -0,0 +1,105 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import Storage from './storage.js';
+import SessionStore from './sessions.js';
+
+describe('SessionStore', () => {
+  let dir;
+  let dbPath;
+  let storage;
+
+  const restart = async () => {
+    await storage.close();
+    storage = new Storage({ backend: 'lowdb', path: dbPath });
+    await storage.initDB();
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+    dbPath = path.join(dir, 'db.json');
+    storage = new Storage({ backend: 'lowdb', path: dbPath });
+    await storage.initDB();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns null when there is no session', () => {
+    assert.strictEqual(new SessionStore(storage).get(1, 2), null);
+  });
+
+  it('stores the pending action per user and chat', async () => {
+    const sessions = new SessionStore(storage);
+    await sessions.set(1, 2, 'need');
+    assert.strictEqual(sessions.get(1, 2), 'need');
+    assert.strictEqual(sessions.get(1, 3), null);
+  });
+
+  it('restores sessions after a restart', async () => {
+    await new SessionStore(storage).set(1, 2, 'resource', { languageCode: 'ru' });
+    await restart();
+    const sessions = new SessionStore(storage);
+    const restored = await sessions.restore();
+    assert.strictEqual(restored.length, 1);
+    assert.strictEqual(restored[0].userId, '1');
+    assert.strictEqual(restored[0].chatId, '2');
+    assert.strictEqual(restored[0].session.languageCode, 'ru');
+    assert.strictEqual(restored[0].session.prompted, false);
+    assert.strictEqual(sessions.get(1, 2), 'resource');
+  });
+
+  it('remembers that the user was prompted', async () => {
+    const sessions = new SessionStore(storage);
+    await sessions.set(1, 2, 'need');
+    await sessions.markPrompted(1, 2);
+    await restart();
+    const [restored] = await new SessionStore(storage).restore();
+    assert.strictEqual(restored.session.prompted, true);
+  });
+
+  it('stores extra fields on the current session', async () => {
+    const sessions = new SessionStore(storage);
+    assert.strictEqual(await sessions.update(1, 2, { categories: ['food'] }), null);
+    await sessions.set(1, 2, 'need');
+    await sessions.update(1, 2, { categories: ['food'] });
+    await restart();
+    const [restored] = await new SessionStore(storage).restore();
+    assert.deepStrictEqual(restored.session.categories, ['food']);
+  });
+
+  it('deletes sessions from storage', async () => {
+    const sessions = new SessionStore(storage);
+    await sessions.set(1, 2, 'need');
+    await sessions.delete(1, 2);
+    assert.strictEqual(sessions.get(1, 2), null);
+    await restart();
+    assert.deepStrictEqual(await new SessionStore(storage).restore(), []);
+    assert.strictEqual((await storage.getUserData(1)).sessions, undefined);
+  });
+
+  it('forgets the sessions of a deleted user', async () => {
+    const sessions = new SessionStore(storage);
+    await sessions.set(1, 2, 'need');
+    await sessions.set(1, 3, 'search');
+    await sessions.set(11, 2, 'need');
+    await storage.deleteUser(1);
+    sessions.forget(1);
+    assert.strictEqual(sessions.get(1, 2), null);
+    assert.strictEqual(sessions.get(1, 3), null);
+    assert.strictEqual(sessions.get(11, 2), 'need');
+  });
+
+  it('ignores and drops expired sessions', async () => {
+    const sessions = new SessionStore(storage, { ttlMs: -1 });
+    await sessions.set(1, 2, 'need');
+    assert.strictEqual(sessions.get(1, 2), null);
+    await restart();
+    assert.deepStrictEqual(await new SessionStore(storage).restore(), []);
+    assert.strictEqual((await storage.getUserData(1)).sessions, undefined);
+  });
+});
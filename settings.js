@@ -0,0 +1,67 @@
+import _ from 'lodash';
+
+/**
+ * Per-user preferences persisted in Storage: interface language, time zone and date format.
+ *
+ * Settings are stored on user records as user.settings = { language, timeZone, dateFormat } and
+ * mirrored in memory, so translations can look them up synchronously. Missing fields fall back to
+ * the Telegram client language, the server time zone and the locale date format.
+ */
+class SettingsStore {
+  /**
+   * @param {Object} storage - Storage instance.
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.settings = new Map();
+  }
+
+  /**
+   * Get the settings of a user.
+   * @param {number|string} userId - Telegram user ID.
+   * @returns {Object} Saved settings, empty when the user has none.
+   */
+  get(userId) {
+    return this.settings.get(String(userId)) || {};
+  }
+
+  /**
+   * Change settings of a user; null or undefined values reset a field to its default.
+   * @param {number|string} userId - Telegram user ID.
+   * @param {Object} fields - Fields such as { language: 'ru' } or { timeZone: null }.
+   * @returns {Promise<Object>} The updated settings.
+   */
+  async set(userId, fields) {
+    const settings = _.omitBy({ ...this.get(userId), ...fields }, _.isNil);
+    if (_.isEmpty(settings)) this.settings.delete(String(userId));
+    else this.settings.set(String(userId), settings);
+    await this.storage.transaction(async (data) => {
+      const user = await data.getUserData(userId);
+      if (_.isEmpty(settings)) delete user.settings;
+      else user.settings = settings;
+    });
+    return settings;
+  }
+
+  // Drop the settings of a user from memory after their record was deleted from storage
+  forget(userId) {
+    this.settings.delete(String(userId));
+  }
+
+  /**
+   * Load the settings of all users, e.g. after a restart.
+   * @returns {Promise<number>} Number of users with settings.
+   */
+  async load() {
+    return this.storage.transaction(async (data) => {
+      this.settings.clear();
+      for (const userId of await data.listUserIds()) {
+        const user = await data.getUserData(userId);
+        if (!_.isEmpty(user.settings)) this.settings.set(String(userId), { ...user.settings });
+      }
+      return this.settings.size;
+    });
+  }
+}
+
+export default SettingsStore;
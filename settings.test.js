@@ -0,0 +1,71 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import Storage from './storage.js';
+import SettingsStore from './settings.js';
+
+describe('SettingsStore', () => {
+  let dir;
+  let dbPath;
+  let storage;
+
+  const restart = async () => {
+    await storage.close();
+    storage = new Storage({ backend: 'lowdb', path: dbPath });
+    await storage.initDB();
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-test-'));
+    dbPath = path.join(dir, 'db.json');
+    storage = new Storage({ backend: 'lowdb', path: dbPath });
+    await storage.initDB();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns empty settings for unknown users', () => {
+    assert.deepStrictEqual(new SettingsStore(storage).get(1), {});
+  });
+
+  it('merges changed fields', async () => {
+    const settings = new SettingsStore(storage);
+    await settings.set(1, { language: 'ru' });
+    await settings.set(1, { timeZone: 'Europe/Berlin' });
+    assert.deepStrictEqual(settings.get(1), { language: 'ru', timeZone: 'Europe/Berlin' });
+    assert.deepStrictEqual(settings.get('1'), settings.get(1));
+  });
+
+  it('loads settings after a restart', async () => {
+    await new SettingsStore(storage).set(1, { dateFormat: 'iso' });
+    await restart();
+    const settings = new SettingsStore(storage);
+    assert.strictEqual(await settings.load(), 1);
+    assert.deepStrictEqual(settings.get(1), { dateFormat: 'iso' });
+  });
+
+  it('resets fields set to null and drops empty settings', async () => {
+    const settings = new SettingsStore(storage);
+    await settings.set(1, { language: 'ru', timeZone: 'UTC' });
+    await settings.set(1, { timeZone: null });
+    assert.deepStrictEqual(settings.get(1), { language: 'ru' });
+    await settings.set(1, { language: null });
+    assert.deepStrictEqual(settings.get(1), {});
+    assert.strictEqual((await storage.getUserData(1)).settings, undefined);
+  });
+
+  it('forgets the settings of a deleted user', async () => {
+    const settings = new SettingsStore(storage);
+    await settings.set(1, { language: 'ru' });
+    await settings.set(2, { language: 'ru' });
+    await storage.deleteUser(1);
+    settings.forget(1);
+    assert.deepStrictEqual(settings.get(1), {});
+    assert.deepStrictEqual(settings.get(2), { language: 'ru' });
+  });
+});
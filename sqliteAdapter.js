@@ -0,0 +1,206 @@
+import _ from 'lodash';
+import { ITEM_STATUSES, isItemActive } from './status.js';
+
+const ITEM_TYPES = ['need', 'resource'];
+// Statuses of items that no longer take part in matching, search and reminders
+const FINAL_STATUSES = _.reject(ITEM_STATUSES, (status) => isItemActive({ status }));
+
+// Open a SQLite database with the driver built into the current runtime (Bun or Node.js 22+)
+async function openDatabase(path) {
+  if (typeof Bun !== 'undefined') {
+    const { Database } = await import('bun:sqlite');
+    return new Database(path, { create: true });
+  }
+  const { DatabaseSync } = await import('node:sqlite');
+  return new DatabaseSync(path);
+}
+
+/**
+ * Storage adapter keeping users and items in a file-based SQLite database.
+ *
+ * Items are stored one per row with indexes on owner, channel message, creation time, and type and status,
+ * so lookups and saves only touch the rows of the affected users.
+ */
+class SqliteAdapter {
+  constructor({ path = 'db.sqlite' } = {}) {
+    this.path = path;
+    this.db = null;
+  }
+
+  async init() {
+    this.db = await openDatabase(this.path);
+    this.db.exec('PRAGMA journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        guid TEXT,
+        channel_message_id INTEGER,
+        created_at TEXT,
+        updated_at TEXT,
+        status TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS items_user ON items (user_id, type, position);
+      CREATE INDEX IF NOT EXISTS items_guid ON items (guid);
+      CREATE INDEX IF NOT EXISTS items_channel_message ON items (channel_message_id);
+      CREATE INDEX IF NOT EXISTS items_created_at ON items (created_at);
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+    // Databases created before the status column get it filled from the stored items
+    if (!_.some(this.db.prepare('PRAGMA table_info(items)').all(), { name: 'status' })) {
+      this.db.exec('ALTER TABLE items ADD COLUMN status TEXT');
+      this.db.exec("UPDATE items SET status = json_extract(data, '$.status')");
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS items_type_status ON items (type, status)');
+  }
+
+  async reload() {}
+
+  async getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key) ?? null;
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  async setMeta(key, value) {
+    this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(key, JSON.stringify(value));
+  }
+
+  // Read through the connection, failing when the database is closed or can't be read
+  async check() {
+    this.db.prepare('SELECT count(*) FROM meta').get();
+  }
+
+  // Assemble a user record from its row and item rows
+  buildRecord(userRow, itemRows) {
+    const record = userRow ? JSON.parse(userRow.data) : {};
+    for (const type of ITEM_TYPES) record[`${type}s`] = [];
+    for (const row of itemRows) {
+      record[`${row.type}s`].push(JSON.parse(row.data));
+    }
+    return record;
+  }
+
+  async getUser(userId) {
+    const id = String(userId);
+    const userRow = this.db.prepare('SELECT data FROM users WHERE id = ?').get(id) ?? null;
+    const itemRows = this.db.prepare(
+      'SELECT type, data FROM items WHERE user_id = ? ORDER BY type, position'
+    ).all(id);
+    if (!userRow && !itemRows.length) return null;
+    return this.buildRecord(userRow, itemRows);
+  }
+
+  async getAllUsers() {
+    const userRows = _.keyBy(this.db.prepare('SELECT id, data FROM users').all(), 'id');
+    const itemRows = _.groupBy(
+      this.db.prepare('SELECT user_id, type, data FROM items ORDER BY user_id, type, position').all(),
+      'user_id'
+    );
+    const users = new Map();
+    for (const id of _.union(Object.keys(userRows), Object.keys(itemRows))) {
+      users.set(id, this.buildRecord(userRows[id], itemRows[id] || []));
+    }
+    return users;
+  }
+
+  async listUserIds() {
+    const rows = this.db.prepare('SELECT id FROM users UNION SELECT user_id AS id FROM items').all();
+    return _.map(rows, 'id');
+  }
+
+  async saveUsers(records) {
+    const upsertUser = this.db.prepare('INSERT OR REPLACE INTO users (id, data) VALUES (?, ?)');
+    const deleteItems = this.db.prepare('DELETE FROM items WHERE user_id = ?');
+    const insertItem = this.db.prepare(`
+      INSERT INTO items (user_id, type, position, guid, channel_message_id, created_at, updated_at, status, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    this.db.exec('BEGIN');
+    try {
+      for (const [userId, record] of records) {
+        const id = String(userId);
+        upsertUser.run(id, JSON.stringify(_.omit(record, _.map(ITEM_TYPES, (type) => `${type}s`))));
+        deleteItems.run(id);
+        for (const type of ITEM_TYPES) {
+          _.forEach(record[`${type}s`], (item, position) => {
+            insertItem.run(
+              id,
+              type,
+              position,
+              item.guid ?? null,
+              item.channelMessageId ?? null,
+              item.createdAt ?? null,
+              item.updatedAt ?? null,
+              item.status ?? null,
+              JSON.stringify(item)
+            );
+          });
+        }
+      }
+      this.db.exec('COMMIT');
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  async deleteUser(userId) {
+    const id = String(userId);
+    this.db.exec('BEGIN');
+    try {
+      this.db.prepare('DELETE FROM items WHERE user_id = ?').run(id);
+      this.db.prepare('DELETE FROM users WHERE id = ?').run(id);
+      this.db.exec('COMMIT');
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  async findItems({ channelMessageId, guid, createdSince, type, active } = {}) {
+    const conditions = [];
+    const params = [];
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+    if (active) {
+      conditions.push(`(status IS NULL OR status NOT IN (${FINAL_STATUSES.map(() => '?').join(', ')}))`);
+      params.push(...FINAL_STATUSES);
+    }
+    if (!_.isUndefined(channelMessageId)) {
+      conditions.push('channel_message_id IS ?');
+      params.push(channelMessageId);
+    }
+    if (!_.isUndefined(guid)) {
+      conditions.push('guid IS ?');
+      params.push(guid);
+    }
+    if (createdSince) {
+      conditions.push('created_at >= ?');
+      params.push(new Date(createdSince).toISOString());
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(
+      `SELECT user_id, type, position, guid FROM items ${where} ORDER BY user_id, type, position`
+    ).all(...params);
+    return _.map(rows, (row) => ({ userId: row.user_id, type: row.type, guid: row.guid, index: row.position }));
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+}
+
+export default SqliteAdapter;
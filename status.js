@@ -0,0 +1,55 @@
+import _ from 'lodash';
+
+// Fulfilment lifecycle of needs and resources
+export const ITEM_STATUSES = ['open', 'in_progress', 'satisfied', 'withdrawn', 'expired'];
+
+// Allowed transitions; satisfied, withdrawn and expired items are final and kept for history.
+// Items only expire through the stale item scheduler, never by a user transition.
+const TRANSITIONS = {
+  open: ['in_progress', 'satisfied', 'withdrawn'],
+  in_progress: ['open', 'satisfied', 'withdrawn'],
+  satisfied: [],
+  withdrawn: [],
+  expired: [],
+};
+
+/**
+ * Get the status of an item, treating items stored before statuses existed as open.
+ *
+ * @param {Object} item - Stored need or resource.
+ * @returns {'open'|'in_progress'|'satisfied'|'withdrawn'|'expired'} The item status.
+ */
+export function getItemStatus(item) {
+  return _.includes(ITEM_STATUSES, item?.status) ? item.status : 'open';
+}
+
+/**
+ * Check whether an item still takes part in matching, search and reminders.
+ *
+ * @param {Object} item - Stored need or resource.
+ * @returns {boolean} True for open and in progress items.
+ */
+export function isItemActive(item) {
+  return !_.isEmpty(TRANSITIONS[getItemStatus(item)]);
+}
+
+/**
+ * Check whether an item may move from one status to another.
+ *
+ * @param {string} from - Current status.
+ * @param {string} to - Requested status.
+ * @returns {boolean} True if the transition is allowed.
+ */
+export function canTransition(from, to) {
+  return _.includes(TRANSITIONS[from], to);
+}
+
+/**
+ * List the statuses an item can move to next.
+ *
+ * @param {Object} item - Stored need or resource.
+ * @returns {string[]} Allowed target statuses.
+ */
+export function getNextStatuses(item) {
+  return TRANSITIONS[getItemStatus(item)];
+}
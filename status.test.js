@@ -0,0 +1,62 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { getItemStatus, isItemActive, canTransition, getNextStatuses } from './status.js';
+
+describe('getItemStatus', () => {
+  it('treats items without status as open', () => {
+    assert.strictEqual(getItemStatus({ description: 'Old item' }), 'open');
+  });
+
+  it('treats unknown statuses as open', () => {
+    assert.strictEqual(getItemStatus({ status: 'lost' }), 'open');
+  });
+
+  it('returns the stored status', () => {
+    assert.strictEqual(getItemStatus({ status: 'satisfied' }), 'satisfied');
+  });
+});
+
+describe('isItemActive', () => {
+  it('is true for open and in progress items', () => {
+    assert.strictEqual(isItemActive({}), true);
+    assert.strictEqual(isItemActive({ status: 'in_progress' }), true);
+  });
+
+  it('is false for satisfied, withdrawn and expired items', () => {
+    assert.strictEqual(isItemActive({ status: 'satisfied' }), false);
+    assert.strictEqual(isItemActive({ status: 'withdrawn' }), false);
+    assert.strictEqual(isItemActive({ status: 'expired' }), false);
+  });
+});
+
+describe('canTransition', () => {
+  it('allows moving an open item forward', () => {
+    assert.strictEqual(canTransition('open', 'in_progress'), true);
+    assert.strictEqual(canTransition('open', 'satisfied'), true);
+  });
+
+  it('allows moving an in progress item back to open', () => {
+    assert.strictEqual(canTransition('in_progress', 'open'), true);
+  });
+
+  it('does not allow leaving final statuses', () => {
+    assert.strictEqual(canTransition('satisfied', 'open'), false);
+    assert.strictEqual(canTransition('withdrawn', 'in_progress'), false);
+    assert.strictEqual(canTransition('expired', 'open'), false);
+  });
+
+  it('does not allow users to expire items', () => {
+    assert.strictEqual(canTransition('open', 'expired'), false);
+  });
+
+  it('does not allow staying in the same status', () => {
+    assert.strictEqual(canTransition('open', 'open'), false);
+  });
+});
+
+describe('getNextStatuses', () => {
+  it('lists allowed targets', () => {
+    assert.deepStrictEqual(getNextStatuses({}), ['in_progress', 'satisfied', 'withdrawn']);
+    assert.deepStrictEqual(getNextStatuses({ status: 'satisfied' }), []);
+  });
+});
@@ -1,34 +1,320 @@
-import { Low, JSONFile } from 'lowdb';
+import fs from 'fs';
+import _ from 'lodash';
+import LowdbAdapter from './lowdbAdapter.js';
+import SqliteAdapter from './sqliteAdapter.js';
 
+const ITEM_TYPES = ['need', 'resource'];
+
+// Whether a process is alive; signal 0 only checks that it exists
+function isProcessRunning(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Storage facade over a pluggable backend adapter.
+ *
+ * Records returned by getUserData and item entries returned by the queries are live objects:
+ * mutate them inside transaction() to persist. Only records that actually changed are saved.
+ * At most cacheSize records stay loaded: the least recently used unchanged ones are dropped once no
+ * transaction runs, so objects read outside a transaction may be stale; look items up again inside
+ * the transaction that changes them.
+ *
+ * Adapters implement: init, reload, getUser, getAllUsers, listUserIds, saveUsers, deleteUser,
+ * findItems({ channelMessageId, guid, createdSince, type, active }), getMeta, setMeta, check and close.
+ *
+ * Loaded records are written back as a whole, so a database is opened by one process
+ * at a time: initDB takes a lock file next to it (<path>.lock with the process ID) and close releases it.
+ * Tools like admin.js and migrate.js therefore refuse to run while the bot uses the database.
+ */
 class Storage {
-  constructor() {
-    this.adapter = new JSONFile('db.json');
-    this.db = new Low(this.adapter);
+  /**
+   * @param {Object} [options]
+   * @param {'lowdb'|'sqlite'} [options.backend=process.env.STORAGE_BACKEND||'lowdb'] - Storage backend.
+   * @param {string} [options.path=process.env.DB_PATH] - Database file, db.json or db.sqlite by default.
+   * @param {number} [options.cacheSize=process.env.DB_CACHE_SIZE??1000] - User records kept loaded between transactions.
+   */
+  constructor({
+    backend = process.env.STORAGE_BACKEND || 'lowdb',
+    path = process.env.DB_PATH,
+    cacheSize = Number(process.env.DB_CACHE_SIZE ?? 1000),
+  } = {}) {
+    this.backend = backend;
+    if (backend === 'sqlite') {
+      this.adapter = new SqliteAdapter({ path: path || 'db.sqlite' });
+    } else if (backend === 'lowdb') {
+      this.adapter = new LowdbAdapter({ path: path || 'db.json' });
+    } else {
+      throw new Error(`Unknown storage backend: ${backend}`);
+    }
+    // Loaded user records with the JSON they had when last loaded or saved, least recently used first
+    this.records = new Map();
+    this.cacheSize = Number.isFinite(cacheSize) ? cacheSize : 1000;
+    // Tail of the queue serializing transactions, and whether one runs
+    this.queue = Promise.resolve();
+    this.inTransaction = false;
+    this.lockPath = `${this.adapter.path}.lock`;
+    this.releaseOnExit = null;
+    // Error of the last save, cleared by the next successful one
+    this.writeError = null;
   }
 
   async initDB() {
-    await this.db.read();
-    this.db.data ||= { users: {} };
-    await this.db.write();
+    this.lock();
+    try {
+      await this.adapter.init();
+    } catch (err) {
+      this.unlock();
+      throw err;
+    }
+  }
+
+  // Take the lock file of the database, or fail if another running process holds it
+  lock() {
+    try {
+      fs.writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const pid = Number(fs.readFileSync(this.lockPath, 'utf-8'));
+      if (pid !== process.pid && isProcessRunning(pid)) {
+        throw new Error(`${this.adapter.path} is in use by process ${pid}. Stop the bot first, or remove ${this.lockPath} if that process doesn't use the database.`);
+      }
+      // Left behind by a process that exited without closing the database
+      fs.writeFileSync(this.lockPath, String(process.pid));
+    }
+    this.releaseOnExit = () => this.unlock();
+    process.once('exit', this.releaseOnExit);
+  }
+
+  // Remove the lock file if this process holds it
+  unlock() {
+    if (!this.releaseOnExit) return;
+    process.off('exit', this.releaseOnExit);
+    this.releaseOnExit = null;
+    try {
+      if (Number(fs.readFileSync(this.lockPath, 'utf-8')) === process.pid) fs.rmSync(this.lockPath, { force: true });
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  // Keep a loaded record so later changes to it can be detected and saved
+  track(userId, record) {
+    const id = String(userId);
+    if (!this.records.has(id)) {
+      this.records.set(id, { record, saved: JSON.stringify(record) });
+      this.evict();
+    }
+    return this.records.get(id).record;
+  }
+
+  // Drop the least recently used unchanged records beyond the cache size. Not while a transaction runs,
+  // it may still change the records it read.
+  evict() {
+    if (this.inTransaction || this.records.size <= this.cacheSize) return;
+    for (const [id, { record, saved }] of this.records) {
+      if (this.records.size <= this.cacheSize) break;
+      if (JSON.stringify(record) === saved) this.records.delete(id);
+    }
   }
 
   async getUserData(userId) {
-    // Ensure latest data is loaded before accessing user
-    await this.db.read();
-    this.db.data ||= { users: {} };
     const id = String(userId);
-    if (!this.db.data.users[id]) {
-      this.db.data.users[id] = { needs: [], resources: [] };
+    const entry = this.records.get(id);
+    if (entry) {
+      // Move to the end, as the most recently used
+      this.records.delete(id);
+      this.records.set(id, entry);
+      return entry.record;
+    }
+    const record = await this.adapter.getUser(id);
+    if (record) return this.track(id, record);
+    // New users start with an empty record which is saved on the next write
+    const created = { needs: [], resources: [] };
+    this.records.set(id, { record: created, saved: null });
+    return created;
+  }
+
+  async listUserIds() {
+    return _.union(await this.adapter.listUserIds(), Array.from(this.records.keys()));
+  }
+
+  // Remove a user with all their items; serialized with transactions, so don't call it from one
+  async deleteUser(userId) {
+    await this.transaction(async () => {
+      this.records.delete(String(userId));
+      await this.adapter.deleteUser(userId);
+    });
+  }
+
+  // List every stored item across users as { userId, type, item } entries; reads every record, so prefer findItems
+  async getAllItems() {
+    const loaded = new Map(Array.from(this.records, ([id, { record }]) => [id, record]));
+    const users = await this.adapter.getAllUsers();
+    const entries = [];
+    for (const userId of _.union(Array.from(users.keys()), Array.from(loaded.keys()))) {
+      const record = loaded.get(userId) || this.track(userId, users.get(userId));
+      for (const type of ITEM_TYPES) {
+        for (const item of record[`${type}s`] || []) {
+          entries.push({ userId, type, item });
+        }
+      }
+    }
+    return entries;
+  }
+
+  // Resolve item references returned by the adapter to live entries
+  async resolveItems(refs) {
+    const entries = [];
+    for (const ref of refs) {
+      const user = await this.getUserData(ref.userId);
+      const items = user[`${ref.type}s`] || [];
+      const item = ref.guid ? _.find(items, { guid: ref.guid }) : items[ref.index];
+      if (item) entries.push({ userId: ref.userId, type: ref.type, item });
+    }
+    return entries;
+  }
+
+  async findItemByChannelMessageId(channelMessageId) {
+    const [entry] = await this.resolveItems(await this.adapter.findItems({ channelMessageId }));
+    return entry || null;
+  }
+
+  // Message IDs are only unique within a channel, so several items may share one
+  async findItemsByChannelMessageId(channelMessageId) {
+    return this.resolveItems(await this.adapter.findItems({ channelMessageId }));
+  }
+
+  async findItemByGuid(guid) {
+    const [entry] = await this.resolveItems(await this.adapter.findItems({ guid }));
+    return entry || null;
+  }
+
+  async getItemsCreatedSince(since) {
+    return this.resolveItems(await this.adapter.findItems({ createdSince: since }));
+  }
+
+  /**
+   * List items through the indexed queries of the backend.
+   * @param {Object} [filter]
+   * @param {'need'|'resource'} [filter.type] - Only items of this type.
+   * @param {boolean} [filter.active] - Only open and in progress items.
+   * @param {string|number} [filter.createdSince] - Only items created at or after this time.
+   * @param {string} [filter.guid] - Only the item with this guid.
+   * @returns {Promise<Array<{userId: string, type: string, item: Object}>>} Matching entries.
+   */
+  async findItems(filter = {}) {
+    return this.resolveItems(await this.adapter.findItems(_.omitBy(filter, _.isUndefined)));
+  }
+
+  // Read a value stored outside user records, such as the schema version
+  async getMeta(key) {
+    return this.adapter.getMeta(key);
+  }
+
+  // Store a value outside user records; written immediately
+  async setMeta(key, value) {
+    await this.adapter.setMeta(key, value);
+  }
+
+  /**
+   * Import users and meta values, such as the schema version, from the lowdb db.json layout, replacing
+   * existing records and values with the same IDs and keys.
+   * @param {{users: Object, meta: Object}} data - Parsed contents of db.json.
+   * @returns {Promise<{users: number, items: number, meta: number}>} Number of imported users, items and meta values.
+   */
+  async importData(data) {
+    const users = Object.entries(data?.users || {});
+    const meta = Object.entries(data?.meta || {});
+    await this.transaction(async () => {
+      await this.adapter.saveUsers(users);
+      for (const [id] of users) this.records.delete(id);
+      for (const [key, value] of meta) await this.adapter.setMeta(key, value);
+    });
+    const items = _.sumBy(users, ([, user]) => _.sumBy(ITEM_TYPES, (type) => (user[`${type}s`] || []).length));
+    return { users: users.length, items, meta: meta.length };
+  }
+
+  /**
+   * Check that the database can still be used: the adapter probes the file or connection, and a save
+   * that failed without a successful one since counts as a failure too.
+   * @returns {Promise<{ok: boolean, error?: Error}>} Whether storage works, with the error otherwise.
+   */
+  async checkHealth() {
+    if (this.writeError) return { ok: false, error: this.writeError };
+    try {
+      await this.adapter.check();
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, error: err };
     }
-    return this.db.data.users[id];
   }
 
+  // Drop loaded records so the next access sees the latest stored data
   async readDB() {
-    await this.db.read();
+    this.records.clear();
+    await this.adapter.reload();
+  }
+
+  /**
+   * Run a read-modify-write as one serialized unit. Transactions run one at a time in call order;
+   * changes made by the callback are saved when it resolves and discarded when it throws.
+   * Do not start another transaction from inside the callback, it would wait forever.
+   * @param {(data: Storage) => Promise<*>} fn - Callback reading and mutating records through `data`.
+   * @returns {Promise<*>} The value returned by the callback.
+   */
+  transaction(fn) {
+    const run = async () => {
+      this.inTransaction = true;
+      try {
+        const result = await fn(this);
+        await this.flush();
+        return result;
+      } catch (err) {
+        // Reload stored data so partial changes are not saved by a later transaction
+        await this.readDB();
+        throw err;
+      } finally {
+        this.inTransaction = false;
+        this.evict();
+      }
+    };
+    const result = this.queue.then(run);
+    this.queue = result.catch(() => {});
+    return result;
   }
 
+  // Save pending changes after all queued transactions
   async writeDB() {
-    await this.db.write();
+    await this.transaction(async () => {});
+  }
+
+  // Save every loaded record that changed since it was loaded or last saved
+  async flush() {
+    const changed = [];
+    for (const [id, entry] of this.records) {
+      const json = JSON.stringify(entry.record);
+      if (json !== entry.saved) changed.push([id, entry.record, json]);
+    }
+    if (!changed.length) return;
+    try {
+      await this.adapter.saveUsers(changed.map(([id, record]) => [id, record]));
+    } catch (err) {
+      this.writeError = err;
+      throw err;
+    }
+    this.writeError = null;
+    for (const [id, , json] of changed) this.records.get(id).saved = json;
+  }
+
+  async close() {
+    await this.adapter.close();
+    this.unlock();
   }
 }
 
@@ -0,0 +1,263 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import Storage from './storage.js';
+
+// SQLite needs a runtime with a built-in driver (Bun or Node.js 22+)
+const sqliteAvailable = typeof Bun !== 'undefined' || await import('node:sqlite').then(() => true, () => false);
+
+const backends = [
+  { backend: 'lowdb', file: 'db.json' },
+  { backend: 'sqlite', file: 'db.sqlite', skip: !sqliteAvailable && 'SQLite driver is not available' },
+];
+
+for (const { backend, file, skip } of backends) {
+  describe(`Storage (${backend})`, { skip }, () => {
+    let dir;
+    let dbPath;
+    let storage;
+
+    const reopen = async () => {
+      await storage.close();
+      storage = new Storage({ backend, path: dbPath });
+      await storage.initDB();
+    };
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+      dbPath = path.join(dir, file);
+      storage = new Storage({ backend, path: dbPath });
+      await storage.initDB();
+    });
+
+    afterEach(async () => {
+      await storage.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('creates empty records for new users', async () => {
+      assert.deepStrictEqual(await storage.getUserData(1), { needs: [], resources: [] });
+    });
+
+    it('persists changes to user records on writeDB', async () => {
+      const user = await storage.getUserData(1);
+      user.needs.push({ guid: 'a', description: 'Drill', channelMessageId: 10 });
+      user.language = 'ru';
+      await storage.writeDB();
+      await reopen();
+      const reloaded = await storage.getUserData(1);
+      assert.strictEqual(reloaded.language, 'ru');
+      assert.deepStrictEqual(reloaded.needs, [{ guid: 'a', description: 'Drill', channelMessageId: 10 }]);
+    });
+
+    it('returns the same live record until reloaded', async () => {
+      const first = await storage.getUserData(1);
+      assert.strictEqual(await storage.getUserData('1'), first);
+    });
+
+    it('lists all items with their owners and types', async () => {
+      (await storage.getUserData(1)).needs.push({ guid: 'a' });
+      (await storage.getUserData(2)).resources.push({ guid: 'b' }, { guid: 'c' });
+      await storage.writeDB();
+      await reopen();
+      const entries = await storage.getAllItems();
+      assert.deepStrictEqual(
+        entries.map((e) => [e.userId, e.type, e.item.guid]).sort(),
+        [['1', 'need', 'a'], ['2', 'resource', 'b'], ['2', 'resource', 'c']]
+      );
+      assert.deepStrictEqual((await storage.listUserIds()).sort(), ['1', '2']);
+    });
+
+    it('finds items by channel message ID and guid', async () => {
+      (await storage.getUserData(1)).needs.push({ guid: 'a', channelMessageId: 10 });
+      (await storage.getUserData(2)).resources.push({ guid: 'b', channelMessageId: 11 });
+      await storage.writeDB();
+      await reopen();
+      const byMessage = await storage.findItemByChannelMessageId(11);
+      assert.strictEqual(byMessage.userId, '2');
+      assert.strictEqual(byMessage.type, 'resource');
+      assert.strictEqual(byMessage.item.guid, 'b');
+      assert.strictEqual((await storage.findItemByGuid('a')).item.channelMessageId, 10);
+      assert.strictEqual(await storage.findItemByChannelMessageId(99), null);
+    });
+
+    it('finds all items posted with the same message ID', async () => {
+      (await storage.getUserData(1)).needs.push({ guid: 'a', channelMessageId: 10, channel: '@one' });
+      (await storage.getUserData(2)).needs.push({ guid: 'b', channelMessageId: 10, channel: '@two' });
+      await storage.writeDB();
+      await reopen();
+      const entries = await storage.findItemsByChannelMessageId(10);
+      assert.deepStrictEqual(entries.map((e) => e.item.channel).sort(), ['@one', '@two']);
+    });
+
+    it('returns live entries from queries', async () => {
+      (await storage.getUserData(1)).needs.push({ guid: 'a', channelMessageId: 10 });
+      await storage.writeDB();
+      const entry = await storage.findItemByGuid('a');
+      entry.item.status = 'satisfied';
+      await storage.writeDB();
+      await reopen();
+      assert.strictEqual((await storage.findItemByGuid('a')).item.status, 'satisfied');
+    });
+
+    it('finds items created since a given time', async () => {
+      (await storage.getUserData(1)).needs.push(
+        { guid: 'old', createdAt: '2025-01-01T00:00:00.000Z' },
+        { guid: 'new', createdAt: '2025-02-01T00:00:00.000Z' }
+      );
+      await storage.writeDB();
+      await reopen();
+      const entries = await storage.getItemsCreatedSince('2025-01-15T00:00:00.000Z');
+      assert.deepStrictEqual(entries.map((e) => e.item.guid), ['new']);
+    });
+
+    it('finds items by type and activity', async () => {
+      (await storage.getUserData(1)).needs.push({ guid: 'a' }, { guid: 'b', status: 'satisfied' });
+      (await storage.getUserData(2)).resources.push({ guid: 'c', status: 'in_progress' });
+      await storage.writeDB();
+      await reopen();
+      const guids = async (filter) => (await storage.findItems(filter)).map((e) => e.item.guid).sort();
+      assert.deepStrictEqual(await guids({ type: 'need' }), ['a', 'b']);
+      assert.deepStrictEqual(await guids({ active: true }), ['a', 'c']);
+      assert.deepStrictEqual(await guids({ type: 'resource', active: true }), ['c']);
+      assert.deepStrictEqual(await guids({ guid: 'b', type: undefined }), ['b']);
+    });
+
+    it('keeps at most cacheSize unchanged records loaded after a transaction', async () => {
+      await storage.close();
+      storage = new Storage({ backend, path: dbPath, cacheSize: 1 });
+      await storage.initDB();
+      await storage.transaction(async (data) => {
+        for (const id of [1, 2, 3]) (await data.getUserData(id)).needs.push({ guid: `g${id}` });
+        assert.strictEqual(data.records.size, 3);
+      });
+      assert.strictEqual(storage.records.size, 1);
+      assert.strictEqual((await storage.getAllItems()).length, 3);
+      assert.strictEqual(storage.records.size, 1);
+      assert.deepStrictEqual((await storage.getUserData(1)).needs, [{ guid: 'g1' }]);
+    });
+
+    it('does not drop changed records before they are saved', async () => {
+      await storage.close();
+      storage = new Storage({ backend, path: dbPath, cacheSize: 1 });
+      await storage.initDB();
+      (await storage.getUserData(1)).language = 'ru';
+      (await storage.getUserData(2)).language = 'en';
+      await storage.getUserData(3);
+      await storage.writeDB();
+      await reopen();
+      assert.strictEqual((await storage.getUserData(1)).language, 'ru');
+      assert.strictEqual((await storage.getUserData(2)).language, 'en');
+    });
+
+    it('deletes users with their items', async () => {
+      (await storage.getUserData(1)).needs.push({ guid: 'a' });
+      await storage.writeDB();
+      await storage.deleteUser(1);
+      await reopen();
+      assert.deepStrictEqual(await storage.listUserIds(), []);
+      assert.strictEqual(await storage.findItemByGuid('a'), null);
+    });
+
+    it('runs transactions one at a time in call order', async () => {
+      const order = [];
+      const slow = storage.transaction(async (data) => {
+        order.push('slow start');
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        (await data.getUserData(1)).needs.push({ guid: 'a' });
+        order.push('slow end');
+      });
+      const fast = storage.transaction(async (data) => {
+        order.push('fast');
+        return (await data.getUserData(1)).needs.length;
+      });
+      await slow;
+      assert.strictEqual(await fast, 1);
+      assert.deepStrictEqual(order, ['slow start', 'slow end', 'fast']);
+    });
+
+    it('saves changes when a transaction resolves', async () => {
+      await storage.transaction(async (data) => {
+        (await data.getUserData(1)).needs.push({ guid: 'a' });
+      });
+      await reopen();
+      assert.strictEqual((await storage.getUserData(1)).needs.length, 1);
+    });
+
+    it('discards changes when a transaction throws', async () => {
+      await storage.transaction(async (data) => {
+        (await data.getUserData(1)).needs.push({ guid: 'a' });
+      });
+      await assert.rejects(storage.transaction(async (data) => {
+        (await data.getUserData(1)).needs.push({ guid: 'b' });
+        throw new Error('boom');
+      }), /boom/);
+      await storage.writeDB();
+      await reopen();
+      assert.deepStrictEqual((await storage.getUserData(1)).needs, [{ guid: 'a' }]);
+    });
+
+    it('reports failed probes and saves in the health check', async () => {
+      assert.deepStrictEqual(await storage.checkHealth(), { ok: true });
+      const { saveUsers } = storage.adapter;
+      storage.adapter.saveUsers = async () => {
+        throw new Error('disk full');
+      };
+      await assert.rejects(storage.transaction(async (data) => {
+        (await data.getUserData(1)).needs.push({ guid: 'a' });
+      }), /disk full/);
+      assert.match((await storage.checkHealth()).error.message, /disk full/);
+      storage.adapter.saveUsers = saveUsers;
+      await storage.transaction(async (data) => {
+        (await data.getUserData(1)).needs.push({ guid: 'a' });
+      });
+      assert.strictEqual((await storage.checkHealth()).ok, true);
+      fs.rmSync(dir, { recursive: true, force: true });
+      if (backend === 'sqlite') await storage.adapter.close();
+      assert.strictEqual((await storage.checkHealth()).ok, false);
+    });
+
+    it('stores meta values outside user records', async () => {
+      assert.strictEqual(await storage.getMeta('schemaVersion'), undefined);
+      await storage.setMeta('schemaVersion', 2);
+      await reopen();
+      assert.strictEqual(await storage.getMeta('schemaVersion'), 2);
+      assert.deepStrictEqual(await storage.listUserIds(), []);
+    });
+
+    it('imports the db.json layout', async () => {
+      const result = await storage.importData({
+        users: {
+          1: { needs: [{ guid: 'a' }], resources: [] },
+          2: { needs: [], resources: [{ guid: 'b' }, { guid: 'c' }] },
+        },
+        meta: { schemaVersion: 4, relayConversations: { x: { guid: 'a' } } },
+      });
+      assert.deepStrictEqual(result, { users: 2, items: 3, meta: 2 });
+      await reopen();
+      assert.strictEqual((await storage.getAllItems()).length, 3);
+      assert.strictEqual(await storage.getMeta('schemaVersion'), 4);
+      assert.deepStrictEqual(await storage.getMeta('relayConversations'), { x: { guid: 'a' } });
+    });
+
+    it('refuses a database locked by another running process', async () => {
+      await storage.close();
+      assert.strictEqual(fs.existsSync(`${dbPath}.lock`), false);
+      // The parent process of the test runner is alive, a huge process ID is not
+      fs.writeFileSync(`${dbPath}.lock`, String(process.ppid));
+      storage = new Storage({ backend, path: dbPath });
+      await assert.rejects(storage.initDB(), /is in use by process/);
+      fs.writeFileSync(`${dbPath}.lock`, '2147483646');
+      await storage.initDB();
+      assert.strictEqual(fs.readFileSync(`${dbPath}.lock`, 'utf-8'), String(process.pid));
+    });
+  });
+}
+
+describe('Storage', () => {
+  it('rejects unknown backends', () => {
+    assert.throws(() => new Storage({ backend: 'mongo' }), /Unknown storage backend: mongo/);
+  });
+});
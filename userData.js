@@ -0,0 +1,62 @@
+import _ from 'lodash';
+import { getItemStatus } from './status.js';
+import { getItemPostLink } from './channel.js';
+import { formatCsv } from './csv.js';
+
+/**
+ * Copies of the personal data the bot stores about a user, for /export.
+ *
+ * The JSON export is the user record: needs and resources with the profile snapshot saved on each of
+ * them, settings, pending sessions and admin overrides such as trust and limits. IDs of other people
+ * are left out: who reported the items, and which admins moderated or edited them, banned or trusted
+ * the user. The CSV export lists the items only, one per row.
+ */
+
+const ITEM_TYPES = ['need', 'resource'];
+
+// Copy of an item without the reports about it and the IDs of the admins who moderated or edited it
+function exportItem(item) {
+  const copy = _.cloneDeep(item);
+  if (copy.moderation) copy.moderation = _.omit(copy.moderation, ['reports', 'decidedBy']);
+  if (copy.editHistory) copy.editHistory = _.map(copy.editHistory, (entry) => _.omit(entry, 'editedBy'));
+  return copy;
+}
+
+export const EXPORT_CSV_COLUMNS = ['type', 'guid', 'status', 'description', 'categories', 'place', 'createdAt', 'updatedAt', 'link'];
+
+/**
+ * Build the JSON export of a user.
+ * @param {number|string} userId - Telegram user ID.
+ * @param {Object} user - User record.
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Time of the export.
+ * @returns {Object} Export with exportedAt, userId and the fields of the record.
+ */
+export function buildUserExport(userId, user, { now = Date.now() } = {}) {
+  const record = _.cloneDeep(user);
+  for (const type of ITEM_TYPES) record[`${type}s`] = _.map(user[`${type}s`], exportItem);
+  if (record.banned) record.banned = _.omit(record.banned, 'by');
+  if (record.trust) record.trust = _.omit(record.trust, 'by');
+  return {
+    exportedAt: new Date(now).toISOString(),
+    userId: String(userId),
+    settings: {},
+    ...record,
+  };
+}
+
+// CSV export of the items of a user, needs first
+export function buildItemsCsv(user) {
+  const rows = _.flatMap(ITEM_TYPES, (type) => _.map(user[`${type}s`], (item) => ({
+    type,
+    guid: item.guid,
+    status: getItemStatus(item),
+    description: item.description,
+    categories: (item.categories || []).join(' '),
+    place: item.location?.name,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+    link: item.channelMessageId ? getItemPostLink(item) : '',
+  })));
+  return formatCsv(rows, EXPORT_CSV_COLUMNS);
+}
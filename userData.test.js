@@ -0,0 +1,67 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { buildUserExport, buildItemsCsv } from './userData.js';
+
+const user = {
+  needs: [{
+    guid: 'a',
+    description: 'Need a drill, "cordless"',
+    categories: ['tools', 'diy'],
+    createdAt: '2024-03-01T10:00:00.000Z',
+    channelMessageId: 10,
+    channel: '@Center',
+    user: { id: 1, username: 'ann' },
+  }],
+  resources: [{ guid: 'b', description: 'Sofa', createdAt: '2024-03-02T10:00:00.000Z', status: 'withdrawn', location: { name: 'Berlin' } }],
+  settings: { language: 'ru' },
+};
+
+describe('buildUserExport', () => {
+  it('copies the whole user record', () => {
+    const data = buildUserExport(1, user, { now: Date.parse('2024-03-05T00:00:00Z') });
+    assert.strictEqual(data.exportedAt, '2024-03-05T00:00:00.000Z');
+    assert.strictEqual(data.userId, '1');
+    assert.deepStrictEqual(data.needs[0].user, { id: 1, username: 'ann' });
+    assert.deepStrictEqual(data.settings, { language: 'ru' });
+    assert.notStrictEqual(data.needs, user.needs);
+  });
+
+  it('leaves out the IDs of reporters and admins', () => {
+    const data = buildUserExport(1, {
+      needs: [{
+        guid: 'a',
+        moderation: { state: 'approved', decidedBy: '42', decidedAt: '2024-03-02T00:00:00.000Z', reports: [{ reporterId: '77', reason: 'spam' }] },
+        editHistory: [{ description: 'Drill', editedAt: '2024-03-03T00:00:00.000Z', editedBy: '42' }],
+      }],
+      resources: [],
+      banned: { by: '42', at: '2024-03-04T00:00:00.000Z' },
+      trust: { tier: 'new', by: '42', at: '2024-03-04T00:00:00.000Z' },
+    }, { now: 0 });
+    assert.deepStrictEqual(data.needs[0].moderation, { state: 'approved', decidedAt: '2024-03-02T00:00:00.000Z' });
+    assert.deepStrictEqual(data.needs[0].editHistory, [{ description: 'Drill', editedAt: '2024-03-03T00:00:00.000Z' }]);
+    assert.deepStrictEqual(data.banned, { at: '2024-03-04T00:00:00.000Z' });
+    assert.deepStrictEqual(data.trust, { tier: 'new', at: '2024-03-04T00:00:00.000Z' });
+    assert.doesNotMatch(JSON.stringify(data), /"(42|77)"/);
+  });
+
+  it('lists empty sections of a user without data', () => {
+    assert.deepStrictEqual(buildUserExport(2, { needs: [], resources: [] }, { now: 0 }), {
+      exportedAt: '1970-01-01T00:00:00.000Z',
+      userId: '2',
+      needs: [],
+      resources: [],
+      settings: {},
+    });
+  });
+});
+
+describe('buildItemsCsv', () => {
+  it('lists items one per row', () => {
+    assert.strictEqual(buildItemsCsv(user), [
+      'type,guid,status,description,categories,place,createdAt,updatedAt,link',
+      'need,a,open,"Need a drill, ""cordless""",tools diy,,2024-03-01T10:00:00.000Z,,https://t.me/Center/10',
+      'resource,b,withdrawn,Sofa,,Berlin,2024-03-02T10:00:00.000Z,,',
+      '',
+    ].join('\r\n'));
+  });
+});
@@ -0,0 +1,120 @@
+import http from 'http';
+import crypto from 'crypto';
+
+/**
+ * HTTP server of the bot: webhook updates, health endpoints and other routes such as the public API.
+ *
+ * In the webhook mode Telegram POSTs updates as JSON to the webhook path; requests without the secret
+ * token configured with setWebhook are refused. GET /healthz tells that the process is up, GET /readyz whether it can
+ * serve updates (503 otherwise). Both report the status details, such as storage state and the time
+ * of the last successfully handled update, but no error messages: these endpoints are public.
+ */
+
+// Largest accepted update, Telegram updates are far smaller
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Read a request body, rejecting bodies larger than the limit
+function readBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Compare secrets in constant time
+function isSameSecret(expected, actual) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check the storage for the health endpoints. They are public, so the error details only go to the log.
+ * @param {Object} storage - Storage instance.
+ * @returns {Promise<'ok'|'error'>} Storage state.
+ */
+export async function getStorageStatus(storage) {
+  const { ok, error } = await storage.checkHealth();
+  if (ok) return 'ok';
+  console.error('Storage health check failed:', error);
+  return 'error';
+}
+
+/**
+ * Create the webhook server; call listen() on it to start.
+ * @param {Object} options
+ * @param {Function} [options.handleUpdate] - Handles a parsed update, e.g. bot.handleUpdate; no webhook path without it.
+ * @param {Function} [options.handleRequest] - async (req, res, url) => boolean, serves other routes and tells whether it did.
+ * @param {Function} options.getStatus - Resolves to { ready: boolean, ...details } for the health endpoints.
+ * @param {string} [options.path='/'] - Path Telegram posts updates to.
+ * @param {string} [options.secretToken] - Expected X-Telegram-Bot-Api-Secret-Token header, not checked when empty.
+ * @returns {http.Server} The server.
+ */
+export function createWebhookServer({ handleUpdate, handleRequest, getStatus, path = '/', secretToken }) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
+    try {
+      if (req.method === 'GET' && (pathname === '/healthz' || pathname === '/readyz')) {
+        const status = await getStatus();
+        const ok = pathname === '/healthz' || status.ready;
+        sendJson(res, ok ? 200 : 503, status);
+        return;
+      }
+      if (handleRequest && pathname !== path && await handleRequest(req, res, url)) return;
+      if (!handleUpdate || pathname !== path) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+      }
+      if (req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+      }
+      if (secretToken && !isSameSecret(secretToken, req.headers['x-telegram-bot-api-secret-token'])) {
+        sendJson(res, 401, { error: 'Invalid secret token' });
+        return;
+      }
+      let update;
+      try {
+        update = JSON.parse(await readBody(req));
+      } catch (err) {
+        sendJson(res, err.statusCode || 400, { error: err.statusCode ? err.message : 'Invalid JSON' });
+        return;
+      }
+      try {
+        await handleUpdate(update);
+      } catch (err) {
+        // Telegram would resend a failed update forever, so it is logged and acknowledged
+        console.error(`Failed to handle update ${update.update_id}:`, err);
+      }
+      sendJson(res, 200, { ok: true });
+    } catch (err) {
+      console.error('Webhook server error:', err);
+      if (!res.headersSent) sendJson(res, 500, { error: 'Internal error' });
+    }
+  });
+}
+
+// Stop accepting connections and wait for requests in flight to finish
+export function stopWebhookServer(server) {
+  return new Promise((resolve, reject) => {
+    server.close((err) => (err ? reject(err) : resolve()));
+    server.closeIdleConnections?.();
+  });
+}
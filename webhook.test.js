@@ -0,0 +1,123 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import Storage from './storage.js';
+import { createWebhookServer, getStorageStatus, stopWebhookServer } from './webhook.js';
+
+describe('createWebhookServer', () => {
+  let server;
+  let baseUrl;
+  let updates;
+  let status;
+
+  const start = async (options = {}) => {
+    server = createWebhookServer({
+      handleUpdate: async (update) => {
+        if (update.fail) throw new Error('handler failed');
+        updates.push(update);
+      },
+      getStatus: async () => status,
+      path: '/telegram',
+      secretToken: 'secret',
+      ...options,
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const post = (body, headers = { 'X-Telegram-Bot-Api-Secret-Token': 'secret' }) => fetch(`${baseUrl}/telegram`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+
+  beforeEach(async () => {
+    updates = [];
+    status = { ready: true, storage: 'ok', lastUpdateAt: null };
+    await start();
+  });
+
+  afterEach(async () => {
+    await stopWebhookServer(server);
+  });
+
+  it('passes updates with the secret token to the bot', async () => {
+    const response = await post({ update_id: 1, message: { text: 'hi' } });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(updates, [{ update_id: 1, message: { text: 'hi' } }]);
+  });
+
+  it('refuses updates without the secret token', async () => {
+    assert.strictEqual((await post({ update_id: 1 }, {})).status, 401);
+    assert.strictEqual((await post({ update_id: 1 }, { 'X-Telegram-Bot-Api-Secret-Token': 'wrong' })).status, 401);
+    assert.deepStrictEqual(updates, []);
+  });
+
+  it('accepts any update when no secret token is configured', async () => {
+    await stopWebhookServer(server);
+    await start({ secretToken: undefined });
+    assert.strictEqual((await post({ update_id: 1 }, {})).status, 200);
+  });
+
+  it('rejects invalid JSON, other paths and methods', async () => {
+    assert.strictEqual((await post('{')).status, 400);
+    assert.strictEqual((await fetch(`${baseUrl}/other`, { method: 'POST' })).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/telegram`)).status, 405);
+  });
+
+  it('acknowledges updates that failed to be handled', async () => {
+    assert.strictEqual((await post({ update_id: 2, fail: true })).status, 200);
+  });
+
+  it('reports health and readiness', async () => {
+    const health = await fetch(`${baseUrl}/healthz`);
+    assert.strictEqual(health.status, 200);
+    assert.deepStrictEqual(await health.json(), status);
+    assert.strictEqual((await fetch(`${baseUrl}/readyz`)).status, 200);
+    status = { ready: false, storage: 'error', lastUpdateAt: null };
+    assert.strictEqual((await fetch(`${baseUrl}/healthz`)).status, 200);
+    const ready = await fetch(`${baseUrl}/readyz`);
+    assert.strictEqual(ready.status, 503);
+    assert.strictEqual((await ready.json()).storage, 'error');
+  });
+
+  it('is not ready while the storage probe fails', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-'));
+    const storage = new Storage({ backend: 'lowdb', path: path.join(dir, 'db.json') });
+    await storage.initDB();
+    t.after(async () => {
+      await storage.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    t.mock.method(console, 'error', () => {});
+    await stopWebhookServer(server);
+    await start({ getStatus: async () => ({ ready: (await getStorageStatus(storage)) === 'ok' }) });
+    assert.strictEqual((await fetch(`${baseUrl}/readyz`)).status, 200);
+    storage.adapter.check = async () => {
+      throw new Error('EACCES: permission denied');
+    };
+    const ready = await fetch(`${baseUrl}/readyz`);
+    assert.strictEqual(ready.status, 503);
+    assert.doesNotMatch(await ready.text(), /EACCES/);
+    assert.strictEqual((await fetch(`${baseUrl}/healthz`)).status, 200);
+  });
+
+  it('passes other requests to the request handler', async () => {
+    await stopWebhookServer(server);
+    await start({
+      handleUpdate: undefined,
+      handleRequest: async (req, res, url) => {
+        if (url.pathname !== '/api') return false;
+        res.end(url.searchParams.get('q'));
+        return true;
+      },
+    });
+    const response = await fetch(`${baseUrl}/api?q=drill`);
+    assert.strictEqual(await response.text(), 'drill');
+    assert.strictEqual((await fetch(`${baseUrl}/other`)).status, 404);
+    assert.strictEqual((await post({ update_id: 1 })).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/healthz`)).status, 200);
+  });
+});